@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -8,45 +8,64 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { Badge } from "@/components/ui/badge";
-import { CalendarDays, Check, LineChart, Settings, UserRoundPlus, Users } from "lucide-react";
+import { Bell, CalendarDays, Check, HeartHandshake, History, LineChart, Redo2, Settings, Undo2, UserRoundPlus, Users } from "lucide-react";
 import { ResponsiveContainer, LineChart as RLineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, BarChart, Bar } from "recharts";
+import { HISTORIAL_MAX, mergeStates } from "./sync.js";
+import { ZONA_HORARIA_DEFECTO, ahoraISO, diaSemana, esFechaISO, fechaLocal, formatFecha, formatInstante, hoyLocal, setZonaHoraria, sumarDias, zonaValida } from "./fechas.js";
+import { CODIGO_PAIS_DEFECTO, codigoPaisValido, formatTelefono, parseTelefono, setCodigoPais } from "./telefonos.js";
+import { ROLES, canEditClass, conservarClaves, filterUnauthorized, findUserByHash, isAdmin, isOpenMode, normalizeName, paraCliente, sinClavesHistorial } from "./permisos.js";
 
 /**
- * IBBLA Asistencia – App web (Google Sheets backend opcional)
+ * IBBLA Asistencia – App web (backend opcional: Google Sheets o servidor REST propio)
  *
  * ✔ Clases preconfiguradas: Logos (18-24), Smart Class (25-39), Moriah (40-55), Horeb (56-65), Sabiduría (+66)
+ * ✔ Clases propias: crear, renombrar, editar el rango de edad, reordenar y archivar (el historial se conserva).
  * ✔ Docente por clase editable. Alumnos con teléfono opcional.
- * ✔ Tomar asistencia semanal con nota por alumno.
- * ✔ Estadísticas por fecha y por persona (rachas, % y alerta de abandono ≥3 semanas).
- * ✔ Persistencia local (localStorage) + modo sincronizado con Google Sheets (Apps Script WebApp).
+ * ✔ Importación masiva de alumnos desde CSV: asignación de columnas, vista previa y aviso de duplicados.
+ * ✔ Bajas de alumnos (motivo y fecha) que conservan su historial; borrado definitivo aparte y con confirmación.
+ * ✔ Búsqueda de personas duplicadas (nombre sin tildes ni mayúsculas, mismo teléfono) y unión de su asistencia y notas.
+ * ✔ Cambio de clase de un alumno conservando su id y su historial (la asistencia pasada queda en la clase original).
+ * ✔ Fecha de nacimiento opcional, rango de edad por clase, clase sugerida al agregar y reporte anual de promoción.
+ * ✔ Usuarios con rol (admin, coordinador, docente) y permisos por clase, aplicados también en el servidor.
+ * ✔ Historial de cambios (quién, cuándo, valor anterior y nuevo) con filtros y opción de revertir; se rota y no guarda claves.
+ * ✔ Deshacer / rehacer cualquier edición (Ctrl+Z / Ctrl+Shift+Z), con aviso para deshacer borrados e importaciones (el borrado definitivo no se deshace).
+ * ✔ Tomar asistencia semanal con nota por alumno; en bloque (todos presentes/ausentes, copiar la semana anterior) o con el teclado.
+ * ✔ Visitantes: alta rápida al tomar asistencia (quién los invitó), conteo por sesión y paso a alumno con sus visitas.
+ * ✔ Estadísticas por fecha y por persona (rachas, % y alerta de abandono).
+ * ✔ Reglas de alerta configurables (racha, caída de asistencia, por clase) y bandeja de Alertas: vista, pospuesta o resuelta.
+ * ✔ Seguimiento pastoral: casos con responsable, contactos y próxima acción; se cierran al volver y se reabren solos.
+ * ✔ Teléfonos validados y guardados en formato internacional (E.164) con código de país configurable; limpieza de los datos anteriores.
+ * ✔ Plantillas de mensaje editables ({nombre}, {clase}, {docente}, {semanas}) con enlaces de WhatsApp / SMS y envío uno por uno a los ausentes.
+ * ✔ Fechas en la zona horaria configurada de la iglesia (no UTC), mostradas en formato local, con arreglo de las tomas que quedaron corridas un día.
+ * ✔ Días de reunión por clase (cambiarlos no reinterpreta las fechas pasadas) y calendario de sesiones suspendidas: solo cuentan las sesiones que hubo.
+ * ✔ Estados de asistencia configurables (presente, tarde, virtual, justificado, ausente); las ausencias justificadas no cuentan en contra.
+ * ✔ Exportación a CSV (UTF-8 con BOM) para Excel: matriz alumnos × fechas por clase y un registro por fila.
+ * ✔ Persistencia local (IndexedDB por registro, con respaldo en localStorage) + modo sincronizado con Google Sheets (Apps Script WebApp) o un servidor REST (server.js),
+ *   configurable en Configuración → Conexión sin recompilar.
+ * ✔ Sincronización fusionando registro por registro (clases, alumnos, asistencias) con lápidas para borrados.
+ * ✔ Migraciones versionadas del esquema para caché local, copias de seguridad y datos remotos.
+ * ✔ Bandeja de salida persistente: reintentos con espera exponencial y reanudación al recuperar conexión.
  * ✔ Pruebas internas accesibles en la pestaña 🧪 Tests.
  */
 
-// ===================== CONFIGURACIÓN BACKEND =====================
-// 1) Pega aquí la URL del WebApp de Google Apps Script cuando lo despliegues.
-//    Si está vacía, la app funciona en modo LOCAL (solo localStorage).
-//    Ejemplo: const SHEETS_WEBAPP_URL = "https://script.google.com/macros/s/AKfy.../exec";
-const SHEETS_WEBAPP_URL = ""; // <- si la dejas vacía, funciona en local
-
-// 2) Si SHEETS_WEBAPP_URL tiene valor, se activa el modo "sheets".
-const SYNC_MODE = SHEETS_WEBAPP_URL ? "sheets" : "local";
-
 // ================= Utilidades =================
 const STORAGE_KEY = "ibbla_asistencia_v3"; // bump version al agregar backend
+// Claves usadas por versiones anteriores de la app; se leen si la actual está vacía.
+const LEGACY_STORAGE_KEYS = ["ibbla_asistencia_v2", "ibbla_asistencia_v1"];
 const deepClone = (obj) => (typeof structuredClone === "function" ? structuredClone(obj) : JSON.parse(JSON.stringify(obj)));
 
-function loadLocal() {
+function loadLocalStorage() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
+    const key = [STORAGE_KEY, ...LEGACY_STORAGE_KEYS].find((k) => localStorage.getItem(k));
+    if (!key) return null;
+    return JSON.parse(localStorage.getItem(key));
   } catch (e) {
     console.error("Error cargando estado local:", e);
     return null;
   }
 }
 
-function saveLocal(state) {
+function saveLocalStorage(state) {
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
   } catch (e) {
@@ -54,501 +73,4252 @@ function saveLocal(state) {
   }
 }
 
+// ======== Almacenamiento local (IndexedDB) ========
+// Clases, alumnos y asistencias se guardan como registros separados y en cada guardado
+// solo se escriben los que cambiaron respecto al último guardado. Si el navegador no
+// tiene IndexedDB se sigue usando localStorage.
+const IDB_NAME = "ibbla_asistencia";
+const IDB_VERSION = 2;
+const IDB_STORES = { meta: "key", clases: "id", alumnos: "id", asistencias: "key", historial: "id" };
+
+// Estado → { store: Map(clave → registro) }
+function stateToRecords(state) {
+  const { clases = [], asistencias = {}, historial = [], ...resto } = state || {};
+  const out = { meta: new Map(), clases: new Map(), alumnos: new Map(), asistencias: new Map(), historial: new Map() };
+  out.meta.set("estado", { ...resto, key: "estado", ordenClases: clases.map((c) => c.id) });
+  for (const c of clases) {
+    const { alumnos = [], ...campos } = c;
+    out.clases.set(c.id, campos);
+    alumnos.forEach((a, orden) => out.alumnos.set(a.id, { ...a, classId: c.id, orden }));
+  }
+  for (const [fecha, porClase] of Object.entries(asistencias)) {
+    for (const [classId, regs] of Object.entries(porClase || {})) {
+      for (const [alumnoId, registro] of Object.entries(regs || {})) {
+        const key = `${fecha}/${classId}/${alumnoId}`;
+        out.asistencias.set(key, { key, fecha, classId, alumnoId, registro });
+      }
+    }
+  }
+  for (const h of historial) out.historial.set(h.id, h);
+  return out;
+}
+
+// { store: [registros] } (como los devuelve getAll) → estado; null si no hay nada guardado
+function recordsToState(rows) {
+  const meta = (rows.meta || []).find((m) => m.key === "estado");
+  if (!meta) return null;
+  const { key, ordenClases = [], ...resto } = meta;
+  const pos = (id) => {
+    const i = ordenClases.indexOf(id);
+    return i < 0 ? Infinity : i;
+  };
+  const clases = [...(rows.clases || [])].sort((a, b) => pos(a.id) - pos(b.id)).map((c) => ({ ...c, alumnos: [] }));
+  for (const { classId, orden, ...alumno } of [...(rows.alumnos || [])].sort((a, b) => a.orden - b.orden)) {
+    clases.find((c) => c.id === classId)?.alumnos.push(alumno);
+  }
+  const asistencias = {};
+  for (const { fecha, classId, alumnoId, registro } of rows.asistencias || []) {
+    asistencias[fecha] = asistencias[fecha] || {};
+    asistencias[fecha][classId] = asistencias[fecha][classId] || {};
+    asistencias[fecha][classId][alumnoId] = registro;
+  }
+  const historial = [...(rows.historial || [])].sort((a, b) => (a.at || "").localeCompare(b.at || ""));
+  return { ...resto, clases, asistencias, historial };
+}
+
+// Compara con la foto del último guardado (clave → JSON) y devuelve qué escribir y qué borrar.
+function diffRecords(prevSnap, next) {
+  const snap = {};
+  const diff = {};
+  let cambios = 0;
+  for (const [store, registros] of Object.entries(next)) {
+    const antes = prevSnap?.[store] || new Map();
+    const ahora = new Map();
+    const put = [];
+    for (const [k, v] of registros) {
+      const json = JSON.stringify(v);
+      ahora.set(k, json);
+      if (antes.get(k) !== json) put.push(v);
+    }
+    const del = [...antes.keys()].filter((k) => !ahora.has(k));
+    cambios += put.length + del.length;
+    snap[store] = ahora;
+    diff[store] = { put, del };
+  }
+  return { snap, diff, cambios };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openIdb() {
+  const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    for (const [name, keyPath] of Object.entries(IDB_STORES)) {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+    }
+  };
+  return idbRequest(req);
+}
+
+function createIdbStorage() {
+  let dbPromise = null;
+  let snapshot = null; // null → el próximo guardado reescribe todo
+  let cola = Promise.resolve(); // los guardados se aplican en orden
+  const db = () => (dbPromise = dbPromise || openIdb());
+
+  async function write(diff, limpiar) {
+    const d = await db();
+    const tx = d.transaction(Object.keys(IDB_STORES), "readwrite");
+    for (const [store, { put, del }] of Object.entries(diff)) {
+      const os = tx.objectStore(store);
+      if (limpiar) os.clear();
+      put.forEach((v) => os.put(v));
+      del.forEach((k) => os.delete(k));
+    }
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  let sinIdb = false; // IndexedDB falló al abrir (p. ej. modo privado): seguir con localStorage
+
+  const storage = {
+    async load() {
+      try {
+        return await loadIdb();
+      } catch (e) {
+        console.error("IndexedDB no disponible, uso localStorage:", e);
+        sinIdb = true;
+        return loadLocalStorage();
+      }
+    },
+    save(state) {
+      if (sinIdb) {
+        saveLocalStorage(state);
+        return cola;
+      }
+      const { snap, diff, cambios } = diffRecords(snapshot, stateToRecords(state));
+      const limpiar = !snapshot;
+      snapshot = snap;
+      if (!cambios && !limpiar) return cola;
+      cola = cola.then(() => write(diff, limpiar)).catch((e) => {
+        console.error("Error guardando estado local:", e);
+        snapshot = null;
+      });
+      return cola;
+    },
+  };
+
+  async function loadIdb() {
+    const d = await db();
+    const tx = d.transaction(Object.keys(IDB_STORES), "readonly");
+    const stores = Object.keys(IDB_STORES);
+    const todos = await Promise.all(stores.map((store) => idbRequest(tx.objectStore(store).getAll())));
+    const rows = Object.fromEntries(stores.map((store, i) => [store, todos[i]]));
+    const state = recordsToState(rows);
+    if (state) {
+      snapshot = diffRecords(null, stateToRecords(state)).snap;
+      return state;
+    }
+    // Primera vez con IndexedDB: traer lo que hubiera en localStorage
+    const legado = loadLocalStorage();
+    if (!legado) return null;
+    await storage.save(legado);
+    // Ya está en IndexedDB: liberar el espacio de localStorage
+    if (snapshot) [STORAGE_KEY, ...LEGACY_STORAGE_KEYS].forEach((k) => localStorage.removeItem(k));
+    return legado;
+  }
+
+  return storage;
+}
+
+const localStorageStorage = {
+  load: async () => loadLocalStorage(),
+  save: async (state) => saveLocalStorage(state),
+};
+
+const storage = typeof indexedDB !== "undefined" ? createIdbStorage() : localStorageStorage;
+
+// API usada por la App (asíncrona)
+const loadLocal = () => storage.load();
+const saveLocal = (state) => storage.save(state);
+
 const DEFAULT_CLASSES = [
-  { id: "logos", nombre: "Logos", rango: "18–24 años", docente: "", alumnos: [] },
-  { id: "smart", nombre: "Smart Class", rango: "25–39 años", docente: "", alumnos: [] },
-  { id: "moriah", nombre: "Moriah", rango: "40–55 años", docente: "", alumnos: [] },
-  { id: "horeb", nombre: "Horeb", rango: "56–65 años", docente: "", alumnos: [] },
-  { id: "sabiduria", nombre: "Sabiduría", rango: "+66 años", docente: "", alumnos: [] },
+  { id: "logos", nombre: "Logos", rango: "18–24 años", edadMin: 18, edadMax: 24, docente: "", orden: 0, dias: [0], alumnos: [] },
+  { id: "smart", nombre: "Smart Class", rango: "25–39 años", edadMin: 25, edadMax: 39, docente: "", orden: 1, dias: [0], alumnos: [] },
+  { id: "moriah", nombre: "Moriah", rango: "40–55 años", edadMin: 40, edadMax: 55, docente: "", orden: 2, dias: [0], alumnos: [] },
+  { id: "horeb", nombre: "Horeb", rango: "56–65 años", edadMin: 56, edadMax: 65, docente: "", orden: 3, dias: [0], alumnos: [] },
+  { id: "sabiduria", nombre: "Sabiduría", rango: "+66 años", edadMin: 66, edadMax: null, docente: "", orden: 4, dias: [0], alumnos: [] },
+];
+
+// Estados de asistencia. `cuenta` dice cómo entra en las estadísticas: "presente" cuenta como
+// asistencia, "justificado" no cuenta ni a favor ni en contra y "ausente" es una falta.
+// "presente" y "ausente" son fijos (los usan las acciones en bloque); el resto se configura.
+const ESTADOS_DEFECTO = [
+  { id: "presente", nombre: "Presente", sigla: "P", cuenta: "presente", activo: true },
+  { id: "tarde", nombre: "Tarde", sigla: "T", cuenta: "presente", activo: true },
+  { id: "virtual", nombre: "Virtual", sigla: "V", cuenta: "presente", activo: true },
+  { id: "justificado", nombre: "Justificado", sigla: "J", cuenta: "justificado", activo: true },
+  { id: "ausente", nombre: "Ausente", sigla: "A", cuenta: "ausente", activo: true },
 ];
+const ESTADOS_FIJOS = ["presente", "ausente"];
+const ESTADO_CUENTAS = { presente: "Cuenta como asistencia", justificado: "Justificada (no cuenta en contra)", ausente: "Ausencia" };
+
+// Por qué no se puede guardar un estado (null = se puede). La letra es una sola tecla, porque
+// en el modo teclado se marca con una pulsación, y no puede repetirse.
+function problemaEstado(estados, { nombre, sigla }, id = null) {
+  const letra = sigla.trim();
+  if (!nombre.trim()) return "Escriba el nombre del estado.";
+  if (!letra) return "Escriba la letra del estado.";
+  if (!/^[\p{L}\p{N}]$/u.test(letra)) return "La letra debe ser una sola letra o número.";
+  if (estados.some((e) => e.id !== id && e.sigla.toLowerCase() === letra.toLowerCase())) return `La letra «${letra.toUpperCase()}» ya la usa otro estado.`;
+  return null;
+}
 
 // Modelo de datos
 // {
 //   version: number,
 //   updatedAt: string (ISO),
-//   clases: [ { id, nombre, rango, docente, alumnos: [ { id, nombre, telefono?: string } ] } ],
-//   asistencias: { [fechaISO]: { [classId]: { [alumnoId]: { presente: boolean, nota?: string } } } }
+//   clases: [ { id, nombre, rango, edadMin: number | null, edadMax: number | null, docente, orden: number, dias: number[] (0 = domingo), archivada?: boolean, updatedAt, alumnos: [ { id, nombre, telefono?: string (E.164, "+50688888888"), nacimiento?: "AAAA-MM-DD", baja?: { fecha, motivo }, visitante?: { invitadoPor, desde }, updatedAt } ] } ],
+//   asistencias: { [fecha AAAA-MM-DD en la zona de la iglesia]: { [classId]: { [alumnoId]: { estado: string, nota?: string, visitante?: true, updatedAt } } } },
+//   suspensiones: [ { id, fecha, classId: string | null (null = todas), motivo, updatedAt } ],
+//   ajustes: { zonaHoraria: "America/Costa_Rica", codigoPais: "506", alertas: { semanas, caida, caidaPorcentaje, caidaSesiones, porClase: { [classId]: {…} } },
+//              plantillas: [ { id, nombre, texto } ], updatedAt? },
+//   alertas: [ { id: "<alumnoId>:<última asistencia>", alumnoId, classId, estado: "vista" | "pospuesta" | "resuelta", hasta?, updatedAt } ],
+//   seguimientos: [ { id, alumnoId, classId, estado: "abierto" | "cerrado", abierto, reabierto?, responsable, ultimaAsistencia,
+//                     proxima: { fecha, accion } | null, contactos: [ { id, fecha, canal, resultado, nota, por, at } ],
+//                     cierre: { fecha, motivo: "volvio" | "manual", nota? } | null, updatedAt } ],
+//   estados: [ { id, nombre, sigla, cuenta: "presente" | "justificado" | "ausente", activo, updatedAt? } ],
+//   usuarios: [ { id, nombre, rol: "admin" | "coordinador" | "docente", claveHash, updatedAt } ],
+//   historial: [ { id, lote, at, usuario: { id, nombre } | null, ruta, tipo, classId?, alumnoId?, fecha?, antes, despues, claveRenovada? } ],  // sin hashes; las HISTORIAL_MAX más recientes
+//   borrados: { [ruta]: ISO }   // lápidas: "clase/<id>", "alumno/<id>", "usuario/<id>", "suspension/<id>", "alerta/<id>", "seguimiento/<id>", "asistencia/<fecha>/<classId>/<alumnoId>"
 // }
+// Cada clase, alumno y registro lleva su propio updatedAt para poder fusionar por registro entre dispositivos.
 
 const newId = () => Math.random().toString(36).slice(2, 10);
-const normalizePhone = (t) => (t || "").replace(/[^+\d]/g, "");
+// Teléfono en E.164 ("+50688888888") o "" si no es válido; lo sin "+" es del país de `ajustes.codigoPais`
+const normalizePhone = (t) => parseTelefono(t).e164;
+
+// ======== Edades y clases ========
+// Cada clase tiene un rango de edad estructurado (`edadMin`, `edadMax`; null = sin límite);
+// `rango` es solo el texto que se muestra y se genera a partir de ellos.
+
+// Edad cumplida en `fecha` (ISO), para nacimientos en formato ISO
+function edadEn(nacimiento, fecha) {
+  const [y, m, d] = nacimiento.split("-").map(Number);
+  const [fy, fm, fd] = fecha.split("-").map(Number);
+  return fy - y - (fm < m || (fm === m && fd < d) ? 1 : 0);
+}
+
+// "18–24 años" → { edadMin: 18, edadMax: 24 }; "+66 años" → { edadMin: 66, edadMax: null }
+function parseRango(rango) {
+  const m = /(\d+)\s*[–-]\s*(\d+)/.exec(rango || "");
+  if (m) return { edadMin: Number(m[1]), edadMax: Number(m[2]) };
+  const mas = /\+\s*(\d+)/.exec(rango || "");
+  return { edadMin: mas ? Number(mas[1]) : null, edadMax: null };
+}
+
+function rangoTexto(edadMin, edadMax) {
+  if (edadMin !== null && edadMax !== null) return `${edadMin}–${edadMax} años`;
+  if (edadMin !== null) return `+${edadMin} años`;
+  if (edadMax !== null) return `hasta ${edadMax} años`;
+  return "Todas las edades";
+}
+
+const tieneRango = (c) => (c.edadMin ?? null) !== null || (c.edadMax ?? null) !== null;
+const edadEnClase = (c, edad) => tieneRango(c) && (c.edadMin ?? -Infinity) <= edad && edad <= (c.edadMax ?? Infinity);
+const claseParaEdad = (clases, edad) => clases.find((c) => !c.archivada && edadEnClase(c, edad));
+
+// Personas con fecha de nacimiento cuya edad en `fecha` ya no corresponde a su clase, con la clase sugerida
+function promocionReport(state, fecha) {
+  return state.clases.flatMap((c) => c.alumnos
+    .filter((a) => a.nacimiento && !a.baja && !a.visitante && tieneRango(c))
+    .map((a) => ({ alumno: a, classId: c.id, edad: edadEn(a.nacimiento, fecha) }))
+    .filter((r) => !edadEnClase(c, r.edad))
+    .map((r) => ({ ...r, sugerida: claseParaEdad(state.clases, r.edad)?.id || "" })));
+}
+
+// ======== Migraciones de esquema ========
+// Cada migración lleva el estado de la versión `to - 1` a `to`. Se aplican en orden a todo
+// lo que entra a la app: caché local, copias de seguridad importadas y respuestas del backend.
+
+// Días de reunión de una clase según las fechas en que ya se tomó asistencia: los días de la
+// semana con al menos la quinta parte de sus sesiones (una fecha mal escrita no agrega un día).
+// Sin registros, domingo.
+function inferirDias(asistencias, classId) {
+  const porDia = new Map();
+  let total = 0;
+  for (const [fecha, porClase] of Object.entries(asistencias || {})) {
+    if (!esFechaISO(fecha) || !Object.keys(porClase?.[classId] || {}).length) continue;
+    porDia.set(diaSemana(fecha), (porDia.get(diaSemana(fecha)) || 0) + 1);
+    total += 1;
+  }
+  const dias = [...porDia].filter(([, n]) => n * 5 >= total).map(([d]) => d).sort();
+  return dias.length ? dias : [0];
+}
+
+const MIGRATIONS = [
+  {
+    to: 2,
+    desc: "Marcas updatedAt por registro y lápidas de borrado",
+    up: (s) => ({ ...s, borrados: s.borrados && typeof s.borrados === "object" ? s.borrados : {} }),
+  },
+  {
+    to: 3,
+    desc: "Usuarios con rol y clave de acceso",
+    up: (s) => ({ ...s, usuarios: Array.isArray(s.usuarios) ? s.usuarios : [] }),
+  },
+  {
+    to: 4,
+    desc: "Historial (auditoría) de cambios",
+    up: (s) => ({ ...s, historial: Array.isArray(s.historial) ? s.historial : [] }),
+  },
+  {
+    to: 5,
+    desc: "Rango de edad estructurado por clase (edadMin / edadMax)",
+    up: (s) => ({
+      ...s,
+      clases: Array.isArray(s.clases) ? s.clases.map((c) => ("edadMin" in c ? c : { ...c, ...parseRango(c.rango) })) : s.clases,
+    }),
+  },
+  {
+    to: 6,
+    desc: "Orden explícito de las clases (para reordenar y sincronizar el orden)",
+    up: (s) => ({
+      ...s,
+      clases: Array.isArray(s.clases) ? s.clases.map((c, i) => (typeof c.orden === "number" ? c : { ...c, orden: i })) : s.clases,
+    }),
+  },
+  {
+    to: 7,
+    desc: "Estados de asistencia (presente, tarde, virtual, justificado, ausente) en lugar de presente sí/no",
+    // Se reescriben todos los registros: el estado queda como más reciente para que, al fusionar
+    // con una copia sin migrar, los campos generales se tomen de este lado
+    up: (s) => ({
+      ...s,
+      updatedAt: ahoraISO(),
+      estados: Array.isArray(s.estados) ? s.estados : ESTADOS_DEFECTO.map((e) => ({ ...e })),
+      asistencias: Object.fromEntries(Object.entries(s.asistencias || {}).map(([f, porClase]) => [f, Object.fromEntries(
+        Object.entries(porClase || {}).map(([cId, regs]) => [cId, Object.fromEntries(
+          Object.entries(regs || {}).map(([aId, { presente, ...r }]) => [aId, { ...r, estado: r.estado || (presente ? "presente" : "ausente") }]),
+        )]),
+      )])),
+    }),
+  },
+  {
+    to: 8,
+    desc: "Días de reunión por clase (los de las fechas ya tomadas) y calendario de sesiones suspendidas",
+    up: (s) => ({
+      ...s,
+      clases: Array.isArray(s.clases) ? s.clases.map((c) => (Array.isArray(c.dias) ? c : { ...c, dias: inferirDias(s.asistencias, c.id) })) : s.clases,
+      suspensiones: Array.isArray(s.suspensiones) ? s.suspensiones : [],
+    }),
+  },
+  {
+    to: 9,
+    desc: "Ajustes generales con la zona horaria de la iglesia (las fechas de asistencia son días locales)",
+    up: (s) => ({ ...s, ajustes: { zonaHoraria: ZONA_HORARIA_DEFECTO, ...s.ajustes } }),
+  },
+  {
+    to: 10,
+    desc: "Reglas de alerta de abandono configurables y bandeja de alertas",
+    up: (s) => ({
+      ...s,
+      ajustes: { ...s.ajustes, alertas: { ...REGLAS_DEFECTO, porClase: {}, ...s.ajustes?.alertas } },
+      alertas: Array.isArray(s.alertas) ? s.alertas : [],
+    }),
+  },
+  {
+    to: 11,
+    desc: "Casos de seguimiento pastoral (responsable, contactos, próxima acción)",
+    up: (s) => ({ ...s, seguimientos: Array.isArray(s.seguimientos) ? s.seguimientos : [] }),
+  },
+  {
+    to: 12,
+    desc: "Plantillas de mensajes para WhatsApp y SMS",
+    up: (s) => ({ ...s, ajustes: { ...s.ajustes, plantillas: s.ajustes?.plantillas || PLANTILLAS_DEFECTO.map((x) => ({ ...x })) } }),
+  },
+  {
+    to: 13,
+    desc: "Código de país para los teléfonos (E.164)",
+    up: (s) => ({ ...s, ajustes: { ...s.ajustes, codigoPais: s.ajustes?.codigoPais || CODIGO_PAIS_DEFECTO } }),
+  },
+  {
+    to: 14,
+    desc: "El historial ya no guarda los hashes de las claves de acceso",
+    up: (s) => ({ ...s, historial: sinClavesHistorial(s.historial) }),
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS.reduce((v, m) => Math.max(v, m.to), 1);
+
+class SchemaVersionError extends Error {
+  constructor(version) {
+    super(`Estos datos son de la versión ${version} y esta app solo conoce hasta la versión ${SCHEMA_VERSION}. Actualice la app (recargue la página) antes de abrirlos; no se modificó nada.`);
+    this.name = "SchemaVersionError";
+    this.version = version;
+  }
+}
+
+function migrateState(s) {
+  const from = Number(s.version) || 1;
+  if (from > SCHEMA_VERSION) throw new SchemaVersionError(from);
+  let out = s;
+  for (const m of [...MIGRATIONS].sort((a, b) => a.to - b.to)) {
+    if (m.to <= from) continue;
+    out = { ...m.up(out), version: m.to };
+  }
+  return out;
+}
 
 function ensureStateShape(s) {
-  const base = { version: 1, updatedAt: new Date().toISOString(), clases: DEFAULT_CLASSES.map((c) => ({ ...c })), asistencias: {} };
+  const base = { version: SCHEMA_VERSION, updatedAt: ahoraISO(), clases: DEFAULT_CLASSES.map((c) => ({ ...c })), asistencias: {}, suspensiones: [], ajustes: { zonaHoraria: ZONA_HORARIA_DEFECTO, codigoPais: CODIGO_PAIS_DEFECTO, alertas: { ...REGLAS_DEFECTO, porClase: {} }, plantillas: PLANTILLAS_DEFECTO.map((x) => ({ ...x })) }, alertas: [], seguimientos: [], estados: ESTADOS_DEFECTO.map((e) => ({ ...e })), usuarios: [], historial: [], borrados: {} };
   if (!s || typeof s !== "object") return base;
+  s = migrateState(s);
   if (!Array.isArray(s.clases)) s.clases = base.clases;
   if (!s.asistencias || typeof s.asistencias !== "object") s.asistencias = {};
-  if (!s.version) s.version = 1;
-  if (!s.updatedAt) s.updatedAt = new Date().toISOString();
+  if (!s.borrados || typeof s.borrados !== "object") s.borrados = {};
+  if (!Array.isArray(s.suspensiones)) s.suspensiones = [];
+  if (!s.ajustes || typeof s.ajustes !== "object") s.ajustes = base.ajustes;
+  if (!s.ajustes.alertas) s.ajustes = { ...s.ajustes, alertas: base.ajustes.alertas };
+  if (!Array.isArray(s.ajustes.plantillas)) s.ajustes = { ...s.ajustes, plantillas: base.ajustes.plantillas };
+  if (!s.ajustes.codigoPais) s.ajustes = { ...s.ajustes, codigoPais: CODIGO_PAIS_DEFECTO };
+  if (!Array.isArray(s.alertas)) s.alertas = [];
+  if (!Array.isArray(s.seguimientos)) s.seguimientos = [];
+  if (!Array.isArray(s.estados) || !s.estados.length) s.estados = base.estados;
+  if (!Array.isArray(s.usuarios)) s.usuarios = [];
+  if (!Array.isArray(s.historial)) s.historial = [];
+  if (!s.updatedAt) s.updatedAt = ahoraISO();
   // Normalizar alumnos
   s.clases.forEach((c) => {
     if (!Array.isArray(c.alumnos)) c.alumnos = [];
   });
+  // La fusión no conserva el orden del arreglo: manda `orden`
+  s.clases = ordenarClases(s.clases);
   return s;
 }
 
-// ======== Backend (Apps Script WebApp) – fetch helpers ========
-async function remoteLoad() {
-  const res = await fetch(SHEETS_WEBAPP_URL, { method: "GET" });
-  if (!res.ok) throw new Error("Remote load failed");
-  const json = await res.json();
-  return ensureStateShape(json);
+// Registra una lápida para que el borrado se propague al fusionar con otros dispositivos.
+function markDeleted(state, ruta, at) {
+  state.borrados = state.borrados || {};
+  state.borrados[ruta] = at;
 }
 
-async function remoteSave(state) {
-  const body = JSON.stringify(state);
-  const res = await fetch(SHEETS_WEBAPP_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body,
-  });
-  if (!res.ok) throw new Error("Remote save failed");
-  const json = await res.json();
-  return json;
+// Cambia un alumno de clase conservando su id. Sus asistencias pasadas no se tocan: quedan
+// en la clase (y fecha) donde se tomaron. Muta `p`; devuelve false si no hay nada que mover.
+function moveAlumno(p, alumnoId, toClassId, at) {
+  const origen = p.clases.find((c) => c.alumnos.some((a) => a.id === alumnoId));
+  const destino = p.clases.find((c) => c.id === toClassId);
+  if (!origen || !destino || origen === destino) return false;
+  const alumno = origen.alumnos.find((a) => a.id === alumnoId);
+  origen.alumnos = origen.alumnos.filter((a) => a.id !== alumnoId);
+  destino.alumnos.push({ ...alumno, updatedAt: at });
+  p.updatedAt = at;
+  return true;
 }
 
-// ================== UI: Encabezado ==================
-function Header({ sync }) {
-  const connected = sync.mode === "sheets";
-  const statusColor = connected ? (sync.status === "synced" ? "bg-green-500" : sync.status === "syncing" ? "bg-amber-500" : "bg-slate-400") : "bg-slate-400";
-  const label = connected ? (sync.status === "synced" ? "Sheets conectado" : sync.status === "syncing" ? "Sincronizando…" : "Sheets listo") : "Modo local";
-  return (
-    <div className="flex items-center justify-between gap-4 mb-4">
-      <div>
-        <h1 className="text-2xl font-bold">IBBLA – Registro de Asistencia</h1>
-        <p className="text-sm text-muted-foreground">Seguimiento semanal por clase y por persona, con estadísticas.</p>
-      </div>
-      <div className="hidden md:flex items-center gap-2">
-        <span className={`inline-flex items-center gap-2 text-xs px-2 py-1 rounded-full text-white ${statusColor}`}>
-          <span className="w-2 h-2 rounded-full bg-white/80" /> {label}
-        </span>
-      </div>
-    </div>
-  );
+// ======== Gestión de clases ========
+const ordenarClases = (clases) => [...clases].sort((a, b) => (a.orden ?? Number.MAX_SAFE_INTEGER) - (b.orden ?? Number.MAX_SAFE_INTEGER));
+const clasesActivas = (state) => state.clases.filter((c) => !c.archivada);
+
+// El nombre (para reconocerla en rutas y exportaciones) más una parte al azar: dos dispositivos
+// que crean sin conexión una clase con el mismo nombre no la mezclan al sincronizar
+function classIdFor(state, nombre) {
+  const base = normalizeName(nombre).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "clase";
+  const usados = new Set([
+    ...state.clases.map((c) => c.id),
+    ...Object.keys(state.borrados || {}).filter((r) => r.startsWith("clase/")).map((r) => r.slice("clase/".length)),
+  ]);
+  let id;
+  do id = `${base}-${newId()}`; while (usados.has(id));
+  return id;
 }
 
-// ================== UI: Tarjeta Clase ==================
-function ClassCard({ clase, onChangeDocente, onAddAlumno, onRemoveAlumno, onEditAlumnoTelefono }) {
-  const [alumnoNombre, setAlumnoNombre] = useState("");
-  const [alumnoTel, setAlumnoTel] = useState("");
-  return (
-    <Card className="shadow-sm">
-      <CardContent className="p-4 space-y-3">
-        <div className="flex items-start justify-between gap-4">
-          <div>
-            <h3 className="text-lg font-semibold">{clase.nombre} <span className="text-sm text-muted-foreground">({clase.rango})</span></h3>
-            <div className="flex items-center gap-2 mt-1">
-              <Label className="text-xs">Docente</Label>
-              <Input
-                className="h-8 w-56"
-                placeholder="Nombre del docente"
-                value={clase.docente}
-                onChange={(e) => onChangeDocente(clase.id, e.target.value)}
-              />
-            </div>
-          </div>
-          <Badge>{clase.alumnos.length} alumnos</Badge>
-        </div>
+// Agrega una clase al final (muta `p`) y devuelve su id
+function createClase(p, { nombre, edadMin = null, edadMax = null }, at) {
+  const id = classIdFor(p, nombre);
+  const orden = Math.max(-1, ...p.clases.map((c) => c.orden ?? -1)) + 1;
+  p.clases.push({ id, nombre: nombre.trim(), rango: rangoTexto(edadMin, edadMax), edadMin, edadMax, docente: "", orden, dias: [0], alumnos: [], updatedAt: at });
+  p.updatedAt = at;
+  return id;
+}
 
-        <div className="grid grid-cols-2 gap-2">
-          <Input
-            placeholder="Nombre del alumno"
-            value={alumnoNombre}
-            onChange={(e) => setAlumnoNombre(e.target.value)}
-          />
-          <Input
-            placeholder="Teléfono (opcional)"
-            value={alumnoTel}
-            onChange={(e) => setAlumnoTel(e.target.value)}
-          />
-        </div>
-        <Button
-          onClick={() => {
-            if (!alumnoNombre.trim()) return;
-            onAddAlumno(clase.id, { id: newId(), nombre: alumnoNombre.trim(), telefono: alumnoTel.trim() });
-            setAlumnoNombre("");
-            setAlumnoTel("");
-          }}
-        >
-          <UserRoundPlus className="w-4 h-4 mr-1" /> Añadir Alumno
-        </Button>
+// Intercambia el orden con la clase vecina (delta -1 sube, +1 baja) entre las de su mismo estado
+function moveClase(p, classId, delta, at) {
+  const cls = p.clases.find((c) => c.id === classId);
+  if (!cls) return false;
+  const grupo = ordenarClases(p.clases.filter((c) => !!c.archivada === !!cls.archivada));
+  const vecina = grupo[grupo.indexOf(cls) + delta];
+  if (!vecina) return false;
+  [cls.orden, vecina.orden] = [vecina.orden, cls.orden];
+  if (cls.orden === vecina.orden) cls.orden += delta; // datos viejos con orden repetido
+  cls.updatedAt = vecina.updatedAt = p.updatedAt = at;
+  p.clases = ordenarClases(p.clases);
+  return true;
+}
 
-        <div className="grid md:grid-cols-2 gap-2">
-          {clase.alumnos.map((a) => (
-            <div key={a.id} className="flex flex-col border rounded-xl px-3 py-2">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium text-sm">{a.nombre}</p>
-                  <p className="text-[11px] text-muted-foreground">📞 {a.telefono || "(sin teléfono)"}</p>
-                </div>
-                <Button variant="ghost" size="sm" onClick={() => onRemoveAlumno(clase.id, a.id)}>Eliminar</Button>
-              </div>
-              <Input
-                className="mt-1 h-8"
-                placeholder="Teléfono"
-                value={a.telefono || ""}
-                onChange={(e) => onEditAlumnoTelefono(clase.id, a.id, e.target.value)}
-              />
-            </div>
-          ))}
-          {clase.alumnos.length === 0 && (
-            <p className="text-xs text-muted-foreground italic">Aún no hay alumnos. Agrega algunos para esta clase.</p>
-          )}
-        </div>
-      </CardContent>
-    </Card>
-  );
+// ======== Calendario de clases ========
+// Cada clase se reúne ciertos días de la semana (`dias`, 0 = domingo; vacío = cualquier día).
+// Una sesión cuenta para las estadísticas si cae en un día de clase, no está suspendida y se
+// tomó asistencia en ella; así una fecha mal escrita o tomada por otra clase no es una falta.
+// Al cambiar los días, los anteriores se guardan en `horarios` = [{ hasta: "AAAA-MM-DD", dias }]
+// (de lo más viejo a lo más nuevo; cada uno valía antes de `hasta`), para no reinterpretar el pasado.
+const DIAS_SEMANA = ["Domingo", "Lunes", "Martes", "Miércoles", "Jueves", "Viernes", "Sábado"];
+
+const diasEn = (clase, fecha) => (clase?.horarios || []).find((h) => fecha < h.hasta)?.dias ?? clase?.dias;
+
+const esDiaDeClase = (clase, fecha) => !diasEn(clase, fecha)?.length || diasEn(clase, fecha).includes(diaSemana(fecha));
+
+// Los días nuevos rigen desde `desde`; si ya se cambiaron ese mismo día, vale el horario de antes del primer cambio
+function cambiarDias(cls, dias, desde) {
+  const horarios = cls.horarios || [];
+  if (!horarios.some((h) => h.hasta >= desde)) cls.horarios = [...horarios, { hasta: desde, dias: cls.dias || [] }];
+  cls.dias = dias;
 }
 
-// ================== UI: Tomar Asistencia ==================
-function AttendanceTaker({ state, setState }) {
-  const [fecha, setFecha] = useState(() => new Date().toISOString().slice(0, 10)); // YYYY-MM-DD
-  const [claseId, setClaseId] = useState(state.clases[0]?.id ?? "");
+// El día de clase más cercano a `fecha` (ante un empate, el anterior); `sentido` ±1 busca solo hacia un lado
+function ajustarAClase(clase, fecha, sentido = 0) {
+  if (!diasEn(clase, fecha)?.length) return sentido ? sumarDias(fecha, sentido) : fecha;
+  if (!sentido && esDiaDeClase(clase, fecha)) return fecha;
+  for (let n = 1; n <= 7; n++) {
+    if (sentido <= 0 && esDiaDeClase(clase, sumarDias(fecha, -n))) return sumarDias(fecha, -n);
+    if (sentido >= 0 && esDiaDeClase(clase, sumarDias(fecha, n))) return sumarDias(fecha, n);
+  }
+  return fecha;
+}
 
-  const registrosFecha = state.asistencias[fecha] || {};
-  const registrosClase = registrosFecha[claseId] || {};
-  const clase = state.clases.find((c) => c.id === claseId);
+const suspensionDe = (state, fecha, classId) => (state.suspensiones || []).find((x) => x.fecha === fecha && (!x.classId || x.classId === classId)) || null;
 
-  function togglePresente(alumnoId, presente) {
-    setState((prev) => {
-      const p = deepClone(prev);
-      p.asistencias[fecha] = p.asistencias[fecha] || {};
-      p.asistencias[fecha][claseId] = p.asistencias[fecha][claseId] || {};
-      p.asistencias[fecha][claseId][alumnoId] = p.asistencias[fecha][claseId][alumnoId] || {};
-      p.asistencias[fecha][claseId][alumnoId].presente = presente;
-      p.updatedAt = new Date().toISOString();
-      return p;
-    });
+// classId → Set de fechas en que la clase realmente se reunió
+function sesionesPorClase(state) {
+  const clases = new Map(state.clases.map((c) => [c.id, c]));
+  const out = new Map();
+  for (const [fecha, porClase] of Object.entries(state.asistencias)) {
+    for (const [classId, regs] of Object.entries(porClase || {})) {
+      if (!Object.keys(regs || {}).length || !esDiaDeClase(clases.get(classId), fecha) || suspensionDe(state, fecha, classId)) continue;
+      if (!out.has(classId)) out.set(classId, new Set());
+      out.get(classId).add(fecha);
+    }
   }
+  return out;
+}
 
-  function setNota(alumnoId, nota) {
-    setState((prev) => {
-      const p = deepClone(prev);
-      p.asistencias[fecha] = p.asistencias[fecha] || {};
-      p.asistencias[fecha][claseId] = p.asistencias[fecha][claseId] || {};
-      p.asistencias[fecha][claseId][alumnoId] = p.asistencias[fecha][claseId][alumnoId] || {};
-      p.asistencias[fecha][claseId][alumnoId].nota = nota;
-      p.updatedAt = new Date().toISOString();
-      return p;
-    });
+// Baja de un alumno: sigue en su clase y en las estadísticas, pero desde `baja.fecha` no se le
+// toma asistencia ni genera alertas. `baja` = { fecha: "AAAA-MM-DD", motivo }; null la reactiva.
+const activoEn = (a, fecha) => !a.baja || fecha < a.baja.fecha;
+
+function setBaja(p, alumnoId, baja, at) {
+  const alumno = p.clases.flatMap((c) => c.alumnos).find((a) => a.id === alumnoId);
+  if (!alumno) return false;
+  if (baja) alumno.baja = baja;
+  else delete alumno.baja;
+  alumno.updatedAt = p.updatedAt = at;
+  return true;
+}
+
+// ======== Registros de asistencia ========
+// Estado de un registro. Los registros de antes de la versión 7 (o de un dispositivo sin
+// actualizar) traen `presente: true/false`.
+const estadoDe = (reg) => (!reg ? null : reg.estado || (reg.presente ? "presente" : "ausente"));
+
+// id → definición del estado (incluye los desactivados, que pueden tener registros viejos)
+const mapaEstados = (state) => new Map((state.estados?.length ? state.estados : ESTADOS_DEFECTO).map((e) => [e.id, e]));
+
+// "presente" | "justificado" | "ausente" (sin registro = ausente)
+function cuentaDe(estados, reg) {
+  const id = estadoDe(reg);
+  if (!id) return "ausente";
+  return estados.get(id)?.cuenta || (id === "presente" ? "presente" : "ausente");
+}
+
+// Cambia varios registros de una fecha y clase en una sola actualización. Copia solo el camino
+// hasta esos registros (el resto del estado se comparte), en vez de clonar todo el estado.
+function patchAsistencias(prev, fecha, classId, parches, at) {
+  const regs = { ...(prev.asistencias[fecha]?.[classId] || {}) };
+  for (const [alumnoId, campos] of Object.entries(parches)) regs[alumnoId] = { ...regs[alumnoId], ...campos, updatedAt: at };
+  return { ...prev, updatedAt: at, asistencias: { ...prev.asistencias, [fecha]: { ...prev.asistencias[fecha], [classId]: regs } } };
+}
+
+// La fecha anterior más reciente con asistencia tomada en la clase (para "copiar de la semana anterior")
+function fechaAnteriorDeClase(state, fecha, classId) {
+  return Object.keys(state.asistencias)
+    .filter((f) => f < fecha && Object.keys(state.asistencias[f]?.[classId] || {}).length)
+    .sort()
+    .pop() || null;
+}
+
+// Fechas corridas: antes de la versión 9 el día se sacaba en UTC, y una clase de la noche en
+// UTC−6 quedó anotada al día siguiente. Un grupo (fecha, clase) está corrido si todos sus
+// registros se guardaron cuando en UTC ya era `fecha` pero en la iglesia era el día anterior
+// (si alguno se editó después, no se toca). El arreglo está en Configuración → Ajustes generales.
+function revisarFechasCorridas(state, zona = state.ajustes?.zonaHoraria) {
+  const nombres = new Map(state.clases.map((c) => [c.id, c.nombre]));
+  const grupos = [];
+  for (const [fecha, porClase] of Object.entries(state.asistencias)) {
+    const anterior = sumarDias(fecha, -1);
+    for (const [classId, regs] of Object.entries(porClase || {})) {
+      const registros = Object.values(regs || {});
+      if (!registros.length || !registros.every((r) => r.updatedAt?.slice(0, 10) === fecha && fechaLocal(r.updatedAt, zona) === anterior)) continue;
+      grupos.push({ fecha, nueva: anterior, classId, clase: nombres.get(classId) || classId, registros: registros.length });
+    }
   }
+  return grupos.sort((a, b) => a.fecha.localeCompare(b.fecha) || a.clase.localeCompare(b.clase));
+}
 
-  function setTelefono(alumnoId, telefono) {
-    setState((prev) => {
-      const p = deepClone(prev);
-      const cls = p.clases.find((c) => c.id === claseId);
-      if (!cls) return p;
-      const alumno = cls.alumnos.find((a) => a.id === alumnoId);
-      if (alumno) alumno.telefono = telefono;
-      p.updatedAt = new Date().toISOString();
-      return p;
-    });
+// Pasa los grupos de revisarFechasCorridas a su día (con lápidas en la fecha vieja). Si en el
+// día correcto ya hay un registro de la persona, queda el más reciente.
+function moverFechasCorridas(p, grupos, at) {
+  let n = 0;
+  for (const g of grupos) {
+    const regs = p.asistencias[g.fecha]?.[g.classId];
+    if (!regs) continue;
+    p.asistencias[g.nueva] = p.asistencias[g.nueva] || {};
+    const destino = (p.asistencias[g.nueva][g.classId] = p.asistencias[g.nueva][g.classId] || {});
+    for (const [alumnoId, reg] of Object.entries(regs)) {
+      if ((destino[alumnoId]?.updatedAt || "") < (reg.updatedAt || "")) destino[alumnoId] = { ...reg, updatedAt: at };
+      markDeleted(p, `asistencia/${g.fecha}/${g.classId}/${alumnoId}`, at);
+    }
+    delete p.asistencias[g.fecha][g.classId];
+    if (!Object.keys(p.asistencias[g.fecha]).length) delete p.asistencias[g.fecha];
+    n += 1;
   }
+  if (n) p.updatedAt = at;
+  return n;
+}
 
-  const presentes = Object.values(registrosClase).filter((r) => r.presente).length;
-  const total = clase?.alumnos.length ?? 0;
+// Visitantes: se guardan como alumnos de la clase con `visitante` = { invitadoPor, desde } hasta
+// que se les hace alumnos regulares (mismo id, así sus visitas pasan a ser su historial). Cada
+// visita es un registro de asistencia con `visitante: true`, para contarlas por sesión.
+function registrarVisita(p, fecha, classId, alumnoId, at) {
+  p.asistencias[fecha] = p.asistencias[fecha] || {};
+  p.asistencias[fecha][classId] = p.asistencias[fecha][classId] || {};
+  p.asistencias[fecha][classId][alumnoId] = { ...p.asistencias[fecha][classId][alumnoId], estado: "presente", visitante: true, updatedAt: at };
+  p.updatedAt = at;
+}
 
-  return (
-    <Card className="shadow-sm">
-      <CardContent className="p-4 space-y-4">
-        <div className="grid sm:grid-cols-3 gap-3">
-          <div className="space-y-1">
-            <Label>Fecha (semana)</Label>
-            <Input type="date" value={fecha} onChange={(e) => setFecha(e.target.value)} />
-          </div>
-          <div className="space-y-1">
-            <Label>Clase</Label>
-            <Select value={claseId} onValueChange={setClaseId}>
-              <SelectTrigger>
-                <SelectValue placeholder="Seleccione una clase" />
-              </SelectTrigger>
-              <SelectContent>
-                {state.clases.map((c) => (
-                  <SelectItem key={c.id} value={c.id}>{c.nombre} — Docente: {c.docente || "(sin asignar)"}</SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-          </div>
-          <div className="flex items-end gap-2">
-            <Badge className="h-9 flex items-center"><CalendarDays className="w-4 h-4 mr-1" /> {presentes}/{total} presentes</Badge>
-          </div>
-        </div>
+function addVisitante(p, fecha, classId, { nombre, telefono = "", invitadoPor = "" }, at) {
+  const cls = p.clases.find((c) => c.id === classId);
+  if (!cls) return null;
+  const id = newId();
+  cls.alumnos.push({ id, nombre: nombre.trim(), telefono: telefono.trim(), visitante: { invitadoPor: invitadoPor.trim(), desde: fecha }, updatedAt: at });
+  registrarVisita(p, fecha, classId, id, at);
+  return id;
+}
 
-        <div className="grid md:grid-cols-2 gap-2">
-          {clase?.alumnos.map((a) => {
-            const reg = registrosClase[a.id] || { presente: false, nota: "" };
-            const tel = a.telefono || "";
-            const telHref = normalizePhone(tel);
-            return (
-              <div key={a.id} className="flex flex-col gap-2 border rounded-xl p-3">
-                <div className="flex items-center justify-between gap-2">
-                  <div className="min-w-0">
-                    <p className="font-medium truncate">{a.nombre}</p>
-                    <p className="text-[11px] text-muted-foreground">{clase.nombre} • Docente: {clase.docente || "(sin asignar)"}</p>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <Switch checked={!!reg.presente} onCheckedChange={(v) => togglePresente(a.id, v)} />
-                    <span className="text-sm">{reg.presente ? "Presente" : "Ausente"}</span>
-                  </div>
-                </div>
+function promoverVisitante(p, alumnoId, at) {
+  const alumno = p.clases.flatMap((c) => c.alumnos).find((a) => a.id === alumnoId);
+  if (!alumno?.visitante) return false;
+  delete alumno.visitante;
+  alumno.updatedAt = p.updatedAt = at;
+  return true;
+}
 
-                <div className="grid grid-cols-5 gap-2">
-                  <div className="col-span-3">
-                    <Input
-                      placeholder="Teléfono del alumno"
-                      value={tel}
-                      onChange={(e) => setTelefono(a.id, e.target.value)}
-                    />
-                  </div>
-                  <div className="col-span-2 flex items-center gap-3 text-[12px]">
-                    <span className="text-muted-foreground">📞 {tel || "—"}</span>
-                    {telHref && <a className="underline" href={`tel:${telHref}`}>Llamar</a>}
-                  </div>
-                </div>
+// Visitas registradas de una persona (en cualquier clase)
+const contarVisitas = (state, alumnoId) => Object.values(state.asistencias)
+  .reduce((n, porClase) => n + Object.values(porClase || {}).filter((regs) => regs?.[alumnoId]?.visitante).length, 0);
 
-                <Textarea
-                  className="min-h-[40px]"
-                  placeholder="Nota breve (opcional): motivo de ausencia, seguimiento, etc."
-                  value={reg.nota || ""}
-                  onChange={(e) => setNota(a.id, e.target.value)}
-                />
-              </div>
-            );
-          })}
-          {total === 0 && <p className="text-sm text-muted-foreground italic">Agregue alumnos a esta clase en Configuración.</p>}
-        </div>
-      </CardContent>
-    </Card>
-  );
+// Registro de asistencia de una persona en una fecha, en la clase que sea (la preferida primero)
+function registroPersona(state, fecha, alumnoId, classId) {
+  const porClase = state.asistencias[fecha] || {};
+  if (porClase[classId]?.[alumnoId]) return { classId, reg: porClase[classId][alumnoId] };
+  for (const [cId, regs] of Object.entries(porClase)) if (regs?.[alumnoId]) return { classId: cId, reg: regs[alumnoId] };
+  return null;
 }
 
-// ================== UI: Estadísticas por Fecha ==================
+// ======== Estadísticas por persona y alertas de abandono ========
+// Una fila por persona con su historial de sesiones (ver sesionesPorClase), sin ordenar.
+// `recientes` son las cuentas de sus sesiones de la más reciente a la más antigua, sin las
+// justificadas, para la regla de caída de asistencia (`recientesFechas`, sus fechas).
+// `inicioRacha` es la primera ausencia de la racha actual.
+// `soloIds` (Set) limita el cálculo a esas personas.
+function estadisticasPersonas(state, soloIds = null) {
+  const fechas = Object.keys(state.asistencias).sort();
+  const estados = mapaEstados(state);
+  const sesiones = sesionesPorClase(state);
 
-function StatsByDate({ state }) {
-  const serie = useMemo(() => {
-    const map = {};
-    for (const [f, porClase] of Object.entries(state.asistencias)) {
-      let count = 0;
-      for (const cId of Object.keys(porClase)) {
-        for (const aId of Object.keys(porClase[cId])) {
-          if (porClase[cId][aId]?.presente) count += 1;
+  return state.clases.flatMap((c) => c.alumnos.filter((a) => !soloIds || soloIds.has(a.id)).map((a) => {
+    const p = { alumnoId: a.id, nombre: a.nombre, telefono: a.telefono, clase: c.nombre, docente: c.docente, classId: c.id, baja: a.baja || null, visitante: a.visitante || null };
+    // Solo cuentan las sesiones que hubo en la clase donde tiene registro (o, si no lo tiene, en
+    // la suya), y para quien está de baja solo las anteriores a la baja
+    const fechasPersona = (p.baja ? fechas.filter((f) => f < p.baja.fecha) : fechas)
+      .map((f) => ({ f, encontrado: registroPersona(state, f, p.alumnoId, p.classId) }))
+      .filter(({ f, encontrado }) => sesiones.get(encontrado?.classId ?? p.classId)?.has(f));
+    let semanas = fechasPersona.length;
+    let presentes = 0;
+    let justificadas = 0; // no cuentan para el porcentaje ni cortan o alargan la racha
+    let lastAttendance = null; // fecha última asistencia presente
+    let currentAbsentStreak = 0;
+    let inicioRacha = null;
+    let running = 0; // conteo de ausencias consecutivas desde la fecha más reciente hacia atrás
+    const otrasClases = new Set(); // clases donde estuvo antes (si se le cambió de clase)
+    const recientes = [];
+    const recientesFechas = [];
+
+    for (let i = fechasPersona.length - 1; i >= 0; i--) {
+      const { f, encontrado } = fechasPersona[i];
+      const reg = encontrado?.reg;
+      if (encontrado && encontrado.classId !== p.classId) otrasClases.add(encontrado.classId);
+      const cuenta = cuentaDe(estados, reg);
+      if (cuenta !== "justificado") {
+        recientes.push(cuenta);
+        recientesFechas.push(f);
+      }
+      if (cuenta === "justificado") {
+        justificadas += 1;
+        semanas -= 1;
+      } else if (cuenta === "presente") {
+        presentes += 1;
+        if (!lastAttendance) lastAttendance = f;
+        if (running === 0) currentAbsentStreak = 0;
+        running = 0;
+      } else {
+        running += 1;
+        if (!lastAttendance) {
+          currentAbsentStreak = running;
+          inicioRacha = f;
         }
       }
-      map[f] = count;
     }
-    const arr = Object.entries(map)
-      .map(([fecha, total]) => ({ fecha, total }))
-      .sort((a, b) => a.fecha.localeCompare(b.fecha));
-    return arr;
-  }, [state.asistencias]);
 
-  const ranking = useMemo(() => {
-    return [...serie].sort((a, b) => b.total - a.total);
-  }, [serie]);
+    const porcentaje = semanas ? Math.round((presentes / semanas) * 100) : 0;
+    const antes = state.clases.filter((x) => otrasClases.has(x.id)).map((x) => x.nombre);
+    return { ...p, presentes, semanas, justificadas, porcentaje, lastAttendance, currentAbsentStreak, inicioRacha, recientes, recientesFechas, antes };
+  }));
+}
+
+// Reglas de alerta (`ajustes.alertas`): racha de `semanas` ausencias seguidas (0 = no se usa) y,
+// si `caida` está activa, asistencia por debajo de `caidaPorcentaje` en las últimas
+// `caidaSesiones` sesiones. `porClase[classId]` cambia solo los valores que define.
+const REGLAS_DEFECTO = { semanas: 3, caida: false, caidaPorcentaje: 50, caidaSesiones: 8 };
+
+function reglasDeClase(state, classId) {
+  const { porClase = {}, ...generales } = state.ajustes?.alertas || {};
+  return { ...REGLAS_DEFECTO, ...generales, ...porClase[classId] };
+}
+
+const porcentajeVentana = (ventana) => Math.round((ventana.filter((c) => c === "presente").length / ventana.length) * 100);
+
+// Por qué una persona dispara alerta (vacío = no la dispara). `inicio` es la fecha en que empezó
+// el episodio de cada regla: la primera ausencia de la racha, o para la caída la sesión en que
+// la ventana de `caidaSesiones` bajó del porcentaje y ya no volvió a subir. No cambia mientras
+// la regla se siga cumpliendo.
+function motivosAlerta(p, reglas) {
+  if (p.baja || p.visitante) return [];
+  const motivos = [];
+  if (reglas.semanas > 0 && p.currentAbsentStreak >= reglas.semanas) {
+    motivos.push({ regla: "racha", inicio: p.inicioRacha, texto: `lleva ${p.currentAbsentStreak} semanas sin asistir` });
+  }
+  const n = reglas.caidaSesiones;
+  if (reglas.caida && n > 0 && p.recientes.length >= n) {
+    const pct = porcentajeVentana(p.recientes.slice(0, n));
+    if (pct < reglas.caidaPorcentaje) {
+      let k = 0; // ventana más antigua de la caída actual (0 = las últimas `n` sesiones)
+      while (k + n < p.recientes.length && porcentajeVentana(p.recientes.slice(k + 1, k + 1 + n)) < reglas.caidaPorcentaje) k += 1;
+      motivos.push({ regla: "caida", inicio: p.recientesFechas[k], texto: `asistió al ${pct}% de las últimas ${n} sesiones` });
+    }
+  }
+  return motivos;
+}
+
+// Bandeja de alertas. Una alerta es de una persona, una regla y un "episodio" (ver `inicio` en
+// motivosAlerta): si vuelve y más adelante deja de venir otra vez, es una alerta nueva. Lo que se
+// hizo con cada una se guarda en `state.alertas` = [{ id, alumnoId, classId, estado, hasta?, updatedAt }]
+// con estado "vista", "pospuesta" (hasta la fecha `hasta`) o "resuelta"; lo de episodios que ya
+// terminaron se poda (con lápida) la próxima vez que se guarda una alerta.
+const ALERTA_ESTADOS = { nueva: "Nueva", vista: "Vista", pospuesta: "Pospuesta", resuelta: "Resuelta" };
+
+const alertaId = (p, motivo) => `${p.alumnoId}:${motivo.regla}:${motivo.inicio}`;
+
+function calcularAlertas(state, personas = estadisticasPersonas(state)) {
+  const guardadas = new Map((state.alertas || []).map((a) => [a.id, a]));
+  return personas.flatMap((p) => motivosAlerta(p, reglasDeClase(state, p.classId)).map((motivo) => {
+    const id = alertaId(p, motivo);
+    const g = guardadas.get(id);
+    return { id, persona: p, motivos: [motivo], estado: g?.estado || "nueva", hasta: g?.hasta || null };
+  }));
+}
+
+// Una entrada por persona con los motivos de todas sus alertas (para listas de personas)
+function alertasPorPersona(alertas) {
+  const porPersona = new Map();
+  for (const a of alertas) {
+    const previa = porPersona.get(a.persona.alumnoId);
+    porPersona.set(a.persona.alumnoId, previa ? { ...previa, motivos: [...previa.motivos, ...a.motivos], alertas: [...previa.alertas, a] } : { ...a, alertas: [a] });
+  }
+  return [...porPersona.values()];
+}
+
+// Las pospuestas vuelven a la bandeja el día `hasta`
+const alertaPendiente = (a, hoy) => a.estado === "nueva" || a.estado === "vista" || (a.estado === "pospuesta" && a.hasta <= hoy);
+
+function setAlerta(p, alerta, campos, at) {
+  const vigentes = new Set(calcularAlertas(p).map((a) => a.id));
+  for (const a of (p.alertas || []).filter((x) => !vigentes.has(x.id))) markDeleted(p, `alerta/${a.id}`, at);
+  p.alertas = (p.alertas || []).filter((x) => vigentes.has(x.id));
+  const existente = p.alertas.find((a) => a.id === alerta.id);
+  const datos = { alumnoId: alerta.persona.alumnoId, classId: alerta.persona.classId, ...campos, updatedAt: at };
+  if (datos.estado !== "pospuesta") delete datos.hasta;
+  if (existente) {
+    delete existente.hasta;
+    Object.assign(existente, datos);
+  } else {
+    p.alertas.push({ id: alerta.id, ...datos });
+  }
+  p.updatedAt = at;
+}
+
+// ======== Seguimiento pastoral ========
+// Un caso por persona ausente: responsable, contactos (fecha, canal, resultado), próxima acción
+// y cierre. `ultimaAsistencia` es la última asistencia de la persona cuando se abrió (o reabrió)
+// el caso: si vuelve a asistir después, el caso se cierra solo ("volvio"); si luego vuelve a
+// saltar la alerta, ese mismo caso se reabre. Los cerrados a mano no se reabren solos.
+const CONTACTO_CANALES = ["Llamada", "WhatsApp", "SMS", "Visita", "En persona", "Otro"];
+const CONTACTO_RESULTADOS = ["No contestó", "Dejé mensaje", "Habló: volverá", "Habló: necesita apoyo", "Habló: no volverá", "Otro"];
+
+const casoAbierto = (state, alumnoId) => (state.seguimientos || []).find((c) => c.alumnoId === alumnoId && c.estado === "abierto") || null;
+
+// Abre un caso (o devuelve el que ya está abierto) para la persona de `persona` (fila de estadisticasPersonas)
+function abrirSeguimiento(p, persona, { responsable = "", fecha }, at) {
+  const existente = casoAbierto(p, persona.alumnoId);
+  if (existente) return existente.id;
+  const id = newId();
+  p.seguimientos.push({
+    id, alumnoId: persona.alumnoId, classId: persona.classId, estado: "abierto", abierto: fecha, responsable: responsable.trim(),
+    ultimaAsistencia: persona.lastAttendance || null, proxima: null, contactos: [], cierre: null, updatedAt: at,
+  });
+  p.updatedAt = at;
+  return id;
+}
+
+// Muta el caso `casoId` de `p`: campos sueltos (responsable, proxima…) o un contacto nuevo
+function editSeguimiento(p, casoId, campos, at) {
+  const caso = p.seguimientos.find((c) => c.id === casoId);
+  if (!caso) return false;
+  Object.assign(caso, campos, { updatedAt: at });
+  p.updatedAt = at;
+  return true;
+}
+
+function registrarContacto(p, casoId, contacto, at) {
+  const caso = p.seguimientos.find((c) => c.id === casoId);
+  if (!caso) return false;
+  return editSeguimiento(p, casoId, { contactos: [...caso.contactos, { id: newId(), ...contacto, at }] }, at);
+}
+
+// Cierra o reabre solos los casos según la asistencia (ver arriba). Devuelve `state` si no hubo
+// nada que cambiar o una copia con los casos actualizados; se aplica junto con cada edición.
+function seguirCasos(state, at) {
+  const casos = state.seguimientos || [];
+  const ultimos = new Map(); // el caso más reciente de cada persona
+  for (const c of casos) if (!ultimos.has(c.alumnoId) || c.abierto >= ultimos.get(c.alumnoId).abierto) ultimos.set(c.alumnoId, c);
+  const candidatos = [...ultimos.values()].filter((c) => c.estado === "abierto" || c.cierre?.motivo === "volvio");
+  if (!candidatos.length) return state;
+  const personas = new Map(estadisticasPersonas(state, new Set(candidatos.map((c) => c.alumnoId))).map((x) => [x.alumnoId, x]));
+  const cambios = new Map();
+  for (const c of candidatos) {
+    const persona = personas.get(c.alumnoId);
+    if (!persona) continue;
+    const volvio = (persona.lastAttendance || "") > (c.ultimaAsistencia || "");
+    if (c.estado === "abierto" && volvio) {
+      cambios.set(c.id, { ...c, estado: "cerrado", ultimaAsistencia: persona.lastAttendance, cierre: { fecha: persona.lastAttendance, motivo: "volvio" }, updatedAt: at });
+    } else if (c.estado === "cerrado" && motivosAlerta(persona, reglasDeClase(state, persona.classId)).length) {
+      cambios.set(c.id, { ...c, estado: "abierto", classId: persona.classId, reabierto: fechaLocal(at), ultimaAsistencia: persona.lastAttendance, cierre: null, updatedAt: at });
+    }
+  }
+  if (!cambios.size) return state;
+  return { ...state, updatedAt: at, seguimientos: casos.map((c) => cambios.get(c.id) || c) };
+}
+
+// ======== Mensajes (WhatsApp / SMS) ========
+// Plantillas editables (`ajustes.plantillas`) con {nombre}, {clase}, {docente} y {semanas}; se
+// abren como enlaces wa.me o sms: ya rellenados, para que el docente solo tenga que enviar.
+const PLANTILLA_CAMPOS = ["nombre", "clase", "docente", "semanas"];
+const PLANTILLAS_DEFECTO = [
+  { id: "extranamos", nombre: "Te extrañamos", texto: "Hola {nombre}, ¡te extrañamos en {clase}! Hace {semanas} semanas que no te vemos. ¿Cómo estás? Cualquier cosa que necesites, aquí estamos. {docente}" },
+  { id: "recordatorio", nombre: "Recordatorio", texto: "Hola {nombre}, te esperamos este domingo en {clase}. ¡Bendiciones! {docente}" },
+  { id: "bienvenida", nombre: "Gracias por visitarnos", texto: "Hola {nombre}, gracias por acompañarnos en {clase}. Nos encantaría verte de nuevo. {docente}" },
+];
+
+const rellenarPlantilla = (texto, datos) => texto.replace(/\{(\w+)\}/g, (m, k) => (PLANTILLA_CAMPOS.includes(k) ? String(datos[k] ?? "") : m)).replace(/[ \t]+$/gm, "");
+
+const datosMensaje = (persona) => ({ nombre: persona.nombre, clase: persona.clase, docente: persona.docente || "", semanas: persona.currentAbsentStreak ?? 0 });
+
+// wa.me quiere el número internacional solo con dígitos
+function enlaceWhatsApp(telefono, texto) {
+  const numero = normalizePhone(telefono).replace(/^\+/, "");
+  return numero ? `https://wa.me/${numero}?text=${encodeURIComponent(texto)}` : "";
+}
+
+function enlaceSms(telefono, texto) {
+  const numero = normalizePhone(telefono);
+  return numero ? `sms:${numero}?body=${encodeURIComponent(texto)}` : "";
+}
+
+// ======== Teléfonos ========
+// Se guardan en E.164 (telefonos.js). Los datos anteriores quedaron como se escribieron; el
+// arreglo de una vez está en Configuración → Teléfonos.
+
+// Qué cambiaría al normalizar: `cambios` (el texto pasa a E.164) e `invalidos` (hay que corregirlos a mano)
+function revisarTelefonos(state, codigo = state.ajustes?.codigoPais) {
+  const cambios = [];
+  const invalidos = [];
+  for (const c of state.clases) {
+    for (const a of c.alumnos) {
+      if (!a.telefono) continue;
+      const { e164, error } = parseTelefono(a.telefono, codigo);
+      const fila = { classId: c.id, clase: c.nombre, alumnoId: a.id, nombre: a.nombre, antes: a.telefono };
+      if (error) invalidos.push({ ...fila, error });
+      else if (e164 !== a.telefono) cambios.push({ ...fila, despues: e164 });
+    }
+  }
+  return { cambios, invalidos };
+}
+
+// Aplica `cambios` de revisarTelefonos sobre `p` (una copia); salta los que ya no coinciden
+function aplicarTelefonos(p, cambios, at) {
+  let n = 0;
+  for (const x of cambios) {
+    const alumno = p.clases.find((c) => c.id === x.classId)?.alumnos.find((a) => a.id === x.alumnoId);
+    if (!alumno || alumno.telefono !== x.antes) continue;
+    alumno.telefono = x.despues;
+    alumno.updatedAt = at;
+    n += 1;
+  }
+  return n;
+}
+
+// ======== Personas duplicadas ========
+// La misma persona puede quedar dos veces (con y sin tildes, o en dos clases). Los pares se
+// puntúan de 0 a 100 por el parecido de los nombres (sin tildes ni mayúsculas) y por tener el
+// mismo teléfono; al unirlos queda un solo id con la asistencia y las notas de ambos.
+const DUPLICADO_MINIMO = 60;
+
+function distanciaEdicion(x, y) {
+  let fila = Array.from({ length: y.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= x.length; i++) {
+    const nueva = [i];
+    for (let j = 1; j <= y.length; j++) {
+      nueva[j] = Math.min(fila[j] + 1, nueva[j - 1] + 1, fila[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+    }
+    fila = nueva;
+  }
+  return fila[y.length];
+}
+
+const parecido = (x, y) => 1 - distanciaEdicion(x, y) / Math.max(x.length, y.length, 1);
+
+// 0–1 entre dos nombres ya normalizados; tolera un apellido de más o las palabras en otro orden
+function similitudNombres(x, y) {
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const [corto, largo] = [x.split(" "), y.split(" ")].sort((p, q) => p.length - q.length);
+  const comunes = corto.filter((t) => largo.some((u) => u === t || (t.length > 3 && parecido(t, u) >= 0.8))).length;
+  return Math.max(parecido(x, y), corto.length >= 2 && comunes === corto.length ? 0.9 : 0);
+}
+
+// Cuántos registros de asistencia tiene cada persona (para sugerir a quién conservar)
+function registrosPorPersona(state) {
+  const n = new Map();
+  for (const porClase of Object.values(state.asistencias)) {
+    for (const regs of Object.values(porClase || {})) {
+      for (const aId of Object.keys(regs || {})) n.set(aId, (n.get(aId) || 0) + 1);
+    }
+  }
+  return n;
+}
+
+/**
+ * Pares de posibles duplicados, del más probable al menos. En cada par `a` es a quien conviene
+ * conservar (alumno regular antes que visitante, luego quien tiene más registros).
+ * `puede(classId)` deja fuera los pares de clases que el usuario no puede editar.
+ */
+function buscarDuplicados(state, puede = () => true) {
+  const registros = registrosPorPersona(state);
+  const personas = state.clases.filter((c) => puede(c.id)).flatMap((c) => c.alumnos.map((a) => ({
+    alumnoId: a.id, nombre: a.nombre, classId: c.id, clase: c.nombre, telefono: a.telefono || "", visitante: !!a.visitante,
+    registros: registros.get(a.id) || 0, clave: normalizeName(a.nombre), e164: normalizePhone(a.telefono),
+  })));
+  const pares = [];
+  for (let i = 0; i < personas.length; i++) {
+    for (let j = i + 1; j < personas.length; j++) {
+      const [x, y] = [personas[i], personas[j]];
+      const mismoTelefono = !!x.e164 && x.e164 === y.e164;
+      // Nombres de largo muy distinto no llegan al mínimo; se evita compararlos letra por letra
+      if (!mismoTelefono && Math.min(x.clave.length, y.clave.length) * 2 < Math.max(x.clave.length, y.clave.length)) continue;
+      const similitud = similitudNombres(x.clave, y.clave);
+      const puntaje = Math.round(similitud * 70 + (mismoTelefono ? 30 : 0));
+      if (puntaje < DUPLICADO_MINIMO) continue;
+      const motivos = [similitud === 1 ? "mismo nombre" : `nombres ${Math.round(similitud * 100)}% parecidos`];
+      if (mismoTelefono) motivos.push("mismo teléfono");
+      const [a, b] = x.visitante !== y.visitante ? (x.visitante ? [y, x] : [x, y]) : y.registros > x.registros ? [y, x] : [x, y];
+      pares.push({ id: [x.alumnoId, y.alumnoId].sort().join("+"), puntaje, motivos, a, b });
+    }
+  }
+  return pares.sort((p, q) => q.puntaje - p.puntaje);
+}
+
+const PRIORIDAD_CUENTA = { presente: 2, justificado: 1, ausente: 0 };
+
+const juntarNotas = (notas) => [...new Set(notas.map((t) => (t || "").trim()).filter(Boolean))].join(" / ");
+
+/**
+ * Registros de una persona en una fecha juntados en uno (puede tener en más de una clase): queda
+ * el que más cuenta (si empatan, el primero) con las notas de todos. { classId, reg, clases } o null.
+ */
+function registroUnido(state, estados, fecha, alumnoId) {
+  const regs = Object.entries(state.asistencias[fecha] || {}).filter(([, r]) => r?.[alumnoId]).map(([classId, r]) => ({ classId, reg: r[alumnoId] }));
+  if (!regs.length) return null;
+  const mejor = regs.reduce((a, b) => (PRIORIDAD_CUENTA[cuentaDe(estados, b.reg)] > PRIORIDAD_CUENTA[cuentaDe(estados, a.reg)] ? b : a));
+  const nota = juntarNotas(regs.map((x) => x.reg.nota));
+  return { classId: mejor.classId, reg: nota ? { ...mejor.reg, nota } : mejor.reg, clases: regs.map((x) => x.classId) };
+}
+
+/**
+ * Fechas en que las dos personas tienen registro: { fecha, conservar, quitar, sugerido }, donde
+ * conservar/quitar son { classId, reg, clases } (ver registroUnido) y `sugerido` ("conservar" | "quitar")
+ * es el registro que más cuenta (presente > justificado > ausente); si empatan, el de quien se conserva.
+ */
+function conflictosUnion(state, conservarId, quitarId) {
+  const estados = mapaEstados(state);
+  return Object.keys(state.asistencias).sort().flatMap((fecha) => {
+    const conservar = registroUnido(state, estados, fecha, conservarId);
+    const quitar = registroUnido(state, estados, fecha, quitarId);
+    if (!conservar || !quitar) return [];
+    const gana = PRIORIDAD_CUENTA[cuentaDe(estados, quitar.reg)] > PRIORIDAD_CUENTA[cuentaDe(estados, conservar.reg)];
+    return [{ fecha, conservar, quitar, sugerido: gana ? "quitar" : "conservar" }];
+  });
+}
+
+/**
+ * Une a `quitarId` en `conservarId` (muta `p`, una copia): su asistencia pasa al id que queda (en
+ * la clase y fecha donde se tomó), los datos que le faltan se completan y sus casos de
+ * seguimiento pasan a la otra persona. Queda un registro por fecha: si alguno tiene varios (en
+ * distintas clases) se juntan primero, y donde ambos tienen se queda el de `elecciones[fecha]`
+ * (o el sugerido) con las notas de los dos. Devuelve false si falta alguno.
+ */
+function unirPersonas(p, conservarId, quitarId, elecciones, at) {
+  const origen = p.clases.find((c) => c.alumnos.some((a) => a.id === quitarId));
+  const destino = p.clases.find((c) => c.alumnos.some((a) => a.id === conservarId));
+  if (!origen || !destino || conservarId === quitarId) return false;
+  const conservar = destino.alumnos.find((a) => a.id === conservarId);
+  const quitar = origen.alumnos.find((a) => a.id === quitarId);
+  const conflictos = new Map(conflictosUnion(p, conservarId, quitarId).map((x) => [x.fecha, x]));
+  const estados = mapaEstados(p);
+
+  for (const [fecha, porClase] of Object.entries(p.asistencias)) {
+    const quitado = registroUnido(p, estados, fecha, quitarId);
+    if (!quitado) continue;
+    for (const cId of quitado.clases) delete porClase[cId][quitarId];
+    const conflicto = conflictos.get(fecha);
+    if (!conflicto) {
+      porClase[quitado.classId][conservarId] = { ...quitado.reg, updatedAt: at };
+      continue;
+    }
+    const nota = juntarNotas([conflicto.conservar.reg.nota, quitado.reg.nota]);
+    const ganador = (elecciones?.[fecha] || conflicto.sugerido) === "quitar" ? quitado : conflicto.conservar;
+    for (const cId of conflicto.conservar.clases) {
+      if (cId === ganador.classId) continue;
+      delete porClase[cId][conservarId];
+      markDeleted(p, `asistencia/${fecha}/${cId}/${conservarId}`, at);
+    }
+    porClase[ganador.classId][conservarId] = { ...ganador.reg, updatedAt: at };
+    if (nota) porClase[ganador.classId][conservarId].nota = nota;
+  }
+
+  // Datos del alumno: lo que le falte al que queda; sigue activo y regular si el otro lo era
+  if (!conservar.telefono && quitar.telefono) conservar.telefono = quitar.telefono;
+  if (!conservar.nacimiento && quitar.nacimiento) conservar.nacimiento = quitar.nacimiento;
+  if (conservar.visitante && !quitar.visitante) delete conservar.visitante;
+  if (conservar.baja && !quitar.baja) delete conservar.baja;
+  conservar.updatedAt = at;
+  origen.alumnos = origen.alumnos.filter((a) => a.id !== quitarId);
+  markDeleted(p, `alumno/${quitarId}`, at);
+
+  // Casos de seguimiento: pasan a quien queda (si ya tiene uno abierto, el otro se cierra)
+  const yaAbierto = casoAbierto(p, conservarId);
+  for (const caso of p.seguimientos || []) {
+    if (caso.alumnoId !== quitarId) continue;
+    caso.alumnoId = conservarId;
+    caso.classId = destino.id;
+    if (caso.estado === "abierto" && yaAbierto) {
+      caso.estado = "cerrado";
+      caso.cierre = { fecha: fechaLocal(at), motivo: "manual", nota: `Unido con el caso de ${conservar.nombre}` };
+    }
+    caso.updatedAt = at;
+  }
+  // Las alertas se vuelven a calcular con el historial unido
+  for (const alerta of (p.alertas || []).filter((x) => x.alumnoId === quitarId)) markDeleted(p, `alerta/${alerta.id}`, at);
+  p.alertas = (p.alertas || []).filter((x) => x.alumnoId !== quitarId);
+  p.updatedAt = at;
+  return true;
+}
+
+const sameState = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+
+// ======== Historial de cambios (auditoría) ========
+// Cada edición hecha desde la interfaz se compara con el estado anterior y se anota en
+// `state.historial` (quién, cuándo, qué registro, valor anterior y nuevo). Los cambios de
+// una misma acción comparten `lote` para poder revertirlos juntos. Los hashes de las claves no
+// se anotan (solo `claveRenovada`) y se conservan las HISTORIAL_MAX entradas más recientes.
+const AUDIT_COALESCE_MS = 60 * 1000; // ediciones seguidas del mismo registro (p. ej. escribir una nota) cuentan como una
+const AUDIT_MAX_LOTE = 200; // por encima de esto (importar, reiniciar) se anota un resumen no revertible
+
+const sinMarca = (rec) => {
+  if (!rec) return null;
+  const { updatedAt, ...resto } = rec;
+  return resto;
+};
+
+// ruta → { tipo, classId?, alumnoId?, fecha?, valor } de todo lo que se audita
+function auditRecords(state) {
+  const out = new Map();
+  for (const c of state.clases || []) {
+    const { alumnos = [], ...campos } = c;
+    out.set(`clase/${c.id}`, { tipo: "clase", classId: c.id, valor: sinMarca(campos) });
+    for (const a of alumnos) {
+      out.set(`alumno/${a.id}`, { tipo: "alumno", classId: c.id, alumnoId: a.id, valor: { ...sinMarca(a), classId: c.id } });
+    }
+  }
+  for (const [fecha, porClase] of Object.entries(state.asistencias || {})) {
+    for (const [classId, regs] of Object.entries(porClase || {})) {
+      for (const [alumnoId, r] of Object.entries(regs || {})) {
+        out.set(`asistencia/${fecha}/${classId}/${alumnoId}`, { tipo: "asistencia", classId, alumnoId, fecha, valor: sinMarca(r) });
+      }
+    }
+  }
+  for (const u of state.usuarios || []) {
+    const { claveHash, ...datos } = sinMarca(u);
+    out.set(`usuario/${u.id}`, { tipo: "usuario", valor: datos, claveHash });
+  }
+  for (const e of state.estados || []) out.set(`estado/${e.id}`, { tipo: "estado", valor: sinMarca(e) });
+  if (state.ajustes) out.set("ajustes", { tipo: "ajustes", valor: sinMarca(state.ajustes) });
+  for (const c of state.seguimientos || []) {
+    out.set(`seguimiento/${c.id}`, { tipo: "seguimiento", classId: c.classId, alumnoId: c.alumnoId, valor: sinMarca(c) });
+  }
+  for (const a of state.alertas || []) {
+    out.set(`alerta/${a.id}`, { tipo: "alerta", classId: a.classId, alumnoId: a.alumnoId, valor: sinMarca(a) });
+  }
+  for (const x of state.suspensiones || []) {
+    out.set(`suspension/${x.id}`, { tipo: "suspension", fecha: x.fecha, ...(x.classId ? { classId: x.classId } : {}), valor: sinMarca(x) });
+  }
+  return out;
+}
+
+function auditChanges(prev, next) {
+  const antes = auditRecords(prev);
+  const despues = auditRecords(next);
+  const cambios = [];
+  for (const ruta of new Set([...antes.keys(), ...despues.keys()])) {
+    const a = antes.get(ruta);
+    const d = despues.get(ruta);
+    if (a && d && JSON.stringify(a.valor) === JSON.stringify(d.valor) && a.claveHash === d.claveHash) continue;
+    const ref = d || a;
+    const cambio = { ruta, tipo: ref.tipo, antes: a?.valor ?? null, despues: d?.valor ?? null };
+    if (a && d && a.claveHash !== d.claveHash) cambio.claveRenovada = true;
+    for (const k of ["classId", "alumnoId", "fecha"]) if (ref[k]) cambio[k] = ref[k];
+    cambios.push(cambio);
+  }
+  return cambios;
+}
+
+// Texto para mostrar a qué se refiere el cambio aunque el registro ya no exista
+function auditEtiqueta(cambio, prev, next) {
+  const buscar = (s) => {
+    const clase = (s.clases || []).find((c) => c.id === cambio.classId);
+    const alumno = (s.clases || []).flatMap((c) => c.alumnos || []).find((a) => a.id === cambio.alumnoId);
+    return { clase: clase?.nombre, alumno: alumno?.nombre };
+  };
+  const a = buscar(next);
+  const b = buscar(prev);
+  if (cambio.tipo === "usuario" || cambio.tipo === "estado") return (cambio.despues || cambio.antes).nombre;
+  if (cambio.tipo === "ajustes") return "Ajustes generales";
+  if (cambio.tipo === "clase") return a.clase || b.clase || cambio.classId;
+  if (cambio.tipo === "suspension") return [(cambio.despues || cambio.antes).motivo || "Suspendida", a.clase || b.clase || "Todas las clases"].join(" · ");
+  return [a.alumno || b.alumno || cambio.alumnoId, a.clase || b.clase].filter(Boolean).join(" · ");
+}
+
+// Devuelve `next` con los cambios respecto a `prev` anotados en el historial
+function withAudit(prev, next, usuario, at = ahoraISO(), cambios = auditChanges(prev, next)) {
+  // El historial solo crece: se conserva lo anterior aunque `next` venga de una importación
+  const historial = [...(prev.historial || [])];
+  const ids = new Set(historial.map((h) => h.id));
+  for (const h of next.historial || []) if (!ids.has(h.id)) historial.push(h);
+
+  // Borrado definitivo de una persona (p. ej. a pedido suyo): el historial no guarda sus datos.
+  // Las entradas anteriores sobre ella se vacían y solo queda constancia de que se borró.
+  const purgados = new Set(Object.keys(next.borrados || {})
+    .filter((r) => r.startsWith("alumno/") && next.borrados[r] !== prev.borrados?.[r])
+    .map((r) => r.slice("alumno/".length)));
+  if (purgados.size) {
+    for (let i = 0; i < historial.length; i++) {
+      if (purgados.has(historial[i].alumnoId) && !historial[i].redactado) historial[i] = redactAudit(historial[i], at);
+    }
+    cambios = [
+      ...cambios.filter((c) => !purgados.has(c.alumnoId)),
+      ...[...purgados].map((id) => ({ ruta: `alumno/${id}`, tipo: "borrado", alumnoId: id, antes: null, despues: null, redactado: true, resumen: "Borrado definitivo: se eliminaron sus datos y toda su asistencia" })),
+    ];
+  }
+
+  if (!cambios.length) return { ...next, historial: historial.slice(-HISTORIAL_MAX) };
+  const quien = usuario ? { id: usuario.id, nombre: usuario.nombre } : null;
+  const lote = newId();
+
+  if (cambios.length > AUDIT_MAX_LOTE) {
+    historial.push({ id: newId(), lote, at, updatedAt: at, usuario: quien, ruta: null, tipo: "masivo", resumen: `${cambios.length} registros cambiados de una vez (importación o reinicio)`, antes: null, despues: null });
+    return { ...next, historial: historial.slice(-HISTORIAL_MAX) };
+  }
+
+  const ultima = historial[historial.length - 1];
+  const solaEnSuLote = ultima && historial[historial.length - 2]?.lote !== ultima.lote;
+  if (cambios.length === 1 && solaEnSuLote && ultima.ruta === cambios[0].ruta && ultima.tipo === cambios[0].tipo && ultima.usuario?.id === quien?.id && Date.parse(at) - Date.parse(ultima.at) < AUDIT_COALESCE_MS) {
+    historial[historial.length - 1] = { ...ultima, at, updatedAt: at, despues: cambios[0].despues };
+    return { ...next, historial: historial.slice(-HISTORIAL_MAX) };
+  }
+
+  for (const c of cambios) {
+    historial.push({ id: newId(), lote, at, updatedAt: at, usuario: quien, etiqueta: c.redactado ? "Persona borrada" : auditEtiqueta(c, prev, next), ...c });
+  }
+  return { ...next, historial: historial.slice(-HISTORIAL_MAX) };
+}
+
+const redactAudit = (h, at) => ({ ...h, etiqueta: "Persona borrada", antes: null, despues: null, resumen: "Datos borrados", redactado: true, updatedAt: at });
+
+// Vuelve a dejar cada registro de `entradas` como estaba antes (en orden inverso).
+// Muta `p` (una copia) como el resto de las ediciones.
+function revertAudit(p, entradas, at) {
+  for (const h of [...entradas].reverse()) {
+    if (h.tipo === "asistencia") {
+      const { fecha, classId, alumnoId } = h;
+      if (h.antes) {
+        p.asistencias[fecha] = p.asistencias[fecha] || {};
+        p.asistencias[fecha][classId] = p.asistencias[fecha][classId] || {};
+        p.asistencias[fecha][classId][alumnoId] = { ...h.antes, updatedAt: at };
+      } else {
+        if (p.asistencias[fecha]?.[classId]) delete p.asistencias[fecha][classId][alumnoId];
+        markDeleted(p, h.ruta, at);
+      }
+    } else if (h.tipo === "alumno") {
+      for (const c of p.clases) c.alumnos = c.alumnos.filter((a) => a.id !== h.alumnoId);
+      if (h.antes) {
+        const { classId, ...alumno } = h.antes;
+        p.clases.find((c) => c.id === classId)?.alumnos.push({ ...alumno, updatedAt: at });
+      } else {
+        markDeleted(p, h.ruta, at);
+      }
+    } else if (h.tipo === "clase") {
+      const cls = p.clases.find((c) => c.id === h.classId);
+      if (h.antes && cls) Object.assign(cls, h.antes, { updatedAt: at });
+      else if (h.antes) p.clases.push({ ...h.antes, alumnos: [], updatedAt: at });
+      else if (cls) {
+        p.clases = p.clases.filter((c) => c.id !== h.classId);
+        markDeleted(p, h.ruta, at);
+      }
+    } else if (h.tipo === "usuario") {
+      const id = (h.antes || h.despues).id;
+      const claveHash = p.usuarios.find((u) => u.id === id)?.claveHash; // el historial no la guarda: queda la actual
+      p.usuarios = p.usuarios.filter((u) => u.id !== id);
+      if (h.antes) p.usuarios.push({ ...h.antes, ...(claveHash ? { claveHash } : {}), updatedAt: at });
+      else markDeleted(p, h.ruta, at);
+    } else if (h.tipo === "seguimiento") {
+      const id = (h.antes || h.despues).id;
+      p.seguimientos = p.seguimientos.filter((c) => c.id !== id);
+      if (h.antes) p.seguimientos.push({ ...h.antes, updatedAt: at });
+      else markDeleted(p, h.ruta, at);
+    } else if (h.tipo === "alerta") {
+      const id = (h.antes || h.despues).id;
+      p.alertas = p.alertas.filter((a) => a.id !== id);
+      if (h.antes) p.alertas.push({ ...h.antes, updatedAt: at });
+      else markDeleted(p, h.ruta, at);
+    } else if (h.tipo === "ajustes") {
+      p.ajustes = { ...h.antes, updatedAt: at };
+    } else if (h.tipo === "suspension") {
+      const id = (h.antes || h.despues).id;
+      p.suspensiones = p.suspensiones.filter((x) => x.id !== id);
+      if (h.antes) p.suspensiones.push({ ...h.antes, updatedAt: at });
+      else markDeleted(p, h.ruta, at);
+    } else if (h.tipo === "estado") {
+      const id = (h.antes || h.despues).id;
+      const i = p.estados.findIndex((e) => e.id === id);
+      if (h.antes && i >= 0) p.estados[i] = { ...h.antes, updatedAt: at };
+      else if (h.antes) p.estados.push({ ...h.antes, updatedAt: at });
+      else if (i >= 0) p.estados.splice(i, 1);
+    }
+  }
+  p.updatedAt = at;
+  return p;
+}
+
+// Si el usuario puede deshacer la entrada (mismos permisos que para hacer el cambio)
+function canRevertAudit(h, usuario, state) {
+  if (h.redactado) return false;
+  if (h.tipo === "asistencia" || h.tipo === "alerta" || h.tipo === "seguimiento") return canEditClass(usuario, state, h.classId);
+  if (h.tipo === "alumno") {
+    return [h.antes?.classId, h.despues?.classId].filter(Boolean).every((id) => canEditClass(usuario, state, id));
+  }
+  if (h.tipo === "suspension") {
+    return [h.antes, h.despues].filter(Boolean).every((x) => (x.classId ? canEditClass(usuario, state, x.classId) : isAdmin(usuario, state)));
+  }
+  if (h.tipo === "clase" || h.tipo === "usuario" || h.tipo === "estado" || h.tipo === "ajustes") return isAdmin(usuario, state);
+  return false;
+}
+
+// ======== Deshacer / rehacer ========
+// Cada edición guarda sus cambios (los mismos que calcula el historial). Deshacer no vuelve a
+// una foto anterior del estado, sino que aplica el cambio inverso con marcas nuevas: así lo
+// que llegó de otros dispositivos mientras tanto se conserva y el deshacer también se sincroniza.
+const UNDO_LIMITE = 100;
+const UNDO_COALESCE_MS = 1500; // teclear en un mismo campo se deshace de una vez
+
+// pila = { hechas: [entrada], deshechas: [entrada] }; entrada = { id, at, cambios, agrupable }
+// Es idempotente por `id` (React puede ejecutar dos veces la función que actualiza el estado).
+function pushUndo(pila, entrada) {
+  const hechas = [...pila.hechas];
+  const ultima = hechas[hechas.length - 1];
+  if (ultima?.id === entrada.id) {
+    hechas[hechas.length - 1] = entrada;
+  } else if (
+    ultima?.agrupable && entrada.agrupable && ultima.cambios.length === 1 && entrada.cambios.length === 1
+    && ultima.cambios[0].ruta === entrada.cambios[0].ruta && Date.parse(entrada.at) - Date.parse(ultima.at) < UNDO_COALESCE_MS
+  ) {
+    hechas[hechas.length - 1] = { ...ultima, at: entrada.at, cambios: [{ ...ultima.cambios[0], despues: entrada.cambios[0].despues }] };
+  } else {
+    hechas.push(entrada);
+  }
+  return { hechas: hechas.slice(-UNDO_LIMITE), deshechas: [] };
+}
+
+// Borrado definitivo de una persona: no se puede deshacer, y la pila tampoco guarda sus datos ni
+// permite traerlos de vuelta deshaciendo algo anterior. Idempotente, como pushUndo.
+function olvidarEnDeshacer(pila, alumnoId) {
+  const limpiar = (entradas) => entradas
+    .map((e) => ({ ...e, cambios: e.cambios.filter((c) => c.alumnoId !== alumnoId) }))
+    .filter((e) => e.cambios.length);
+  return { hechas: limpiar(pila.hechas), deshechas: limpiar(pila.deshechas) };
+}
+
+// Cambios que rehacen lo deshecho (revertAudit recorre la lista al revés)
+const invertChanges = (cambios) => [...cambios].reverse().map((c) => ({ ...c, antes: c.despues, despues: c.antes }));
+
+// ======== Backends de sincronización ========
+// Todos exponen la misma interfaz:
+//   { kind, nombre, remote, load(): Promise<estado|null>, save(estado): Promise<{ ok, updatedAt?, state? }> }
+// `save` devuelve el estado ya fusionado en el servidor (si el backend lo soporta).
+const localBackend = {
+  kind: "local",
+  nombre: "Modo local",
+  remote: false,
+  load: async () => null,
+  save: async () => ({ ok: true }),
+};
+
+// El servidor rechazó la clave de acceso: no tiene sentido reintentar hasta iniciar sesión de nuevo
+class AuthError extends Error {
+  constructor(message = "Clave de acceso no válida") {
+    super(`${message}. Inicie sesión de nuevo en Configuración.`);
+    this.name = "AuthError";
+  }
+}
+
+async function fetchJson(url, options, what, hacerFetch = fetch) {
+  const res = await hacerFetch(url, options);
+  if (res.status === 401 || res.status === 403) throw new AuthError();
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `${what} failed (${res.status})`);
+  return res.json();
+}
+
+// Apps Script responde siempre 200: los errores llegan como { ok: false, code, error }
+function shapeLoadResponse(json) {
+  if (json?.ok === false) throw json.code === "auth" ? new AuthError(json.error) : new Error(json.error || "Remote load failed");
+  return ensureStateShape(json);
+}
+
+function shapeSaveResponse(json) {
+  if (json?.ok === false) throw json.code === "auth" ? new AuthError(json.error) : new Error(json.error || "Remote save failed");
+  if (json?.state) json.state = ensureStateShape(json.state);
+  if (json?.rechazados?.length) console.warn("El servidor descartó cambios sin permiso:", json.rechazados);
+  return json;
+}
+
+// Google Apps Script WebApp: GET devuelve el estado, POST lo fusiona (ver documentación al final).
+// Apps Script no expone las cabeceras, así que la clave viaja como parámetro ?clave=
+function createAppsScriptBackend(url, clave) {
+  const conClave = clave ? `${url}${url.includes("?") ? "&" : "?"}clave=${encodeURIComponent(clave)}` : url;
+  return {
+    kind: "appsScript",
+    nombre: "Sheets",
+    remote: true,
+    load: async () => shapeLoadResponse(await fetchJson(conClave, { method: "GET" }, "Remote load")),
+    save: async (state) => shapeSaveResponse(await fetchJson(conClave, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(state),
+    }, "Remote save")),
+  };
+}
+
+// REST/JSON genérico: GET {url}/state y POST {url}/state (mismo protocolo que server.js).
+// `hacerFetch` permite probarlo sin red.
+function createRestBackend(baseUrl, clave, hacerFetch = fetch) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/state`;
+  const headers = { "Content-Type": "application/json", ...(clave ? { Authorization: `Bearer ${clave}` } : {}) };
+  return {
+    kind: "rest",
+    nombre: "Servidor",
+    remote: true,
+    load: async () => shapeLoadResponse(await fetchJson(url, { method: "GET", headers }, "Remote load", hacerFetch)),
+    save: async (state) => shapeSaveResponse(await fetchJson(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(state),
+    }, "Remote save", hacerFetch)),
+  };
+}
+
+// Qué backend usa este dispositivo. Se elige en Configuración → Conexión y se guarda
+// solo en este navegador (no viaja con los datos sincronizados).
+const BACKEND_KEY = "ibbla_asistencia_backend_v1";
+const BACKEND_KINDS = {
+  appsScript: { nombre: "Google Sheets (Apps Script)", placeholder: "https://script.google.com/macros/s/AKfy.../exec" },
+  rest: { nombre: "Servidor REST propio", placeholder: "http://localhost:8787" },
+};
+
+function loadBackendConfig() {
+  try {
+    const raw = localStorage.getItem(BACKEND_KEY);
+    const config = raw ? JSON.parse(raw) : null;
+    return config && BACKEND_KINDS[config.kind] && config.url ? config : { kind: "local" };
+  } catch (e) {
+    console.error("Error cargando configuración de conexión:", e);
+    return { kind: "local" };
+  }
+}
+
+function saveBackendConfig(config) {
+  try {
+    if (config.kind === "local") localStorage.removeItem(BACKEND_KEY);
+    else localStorage.setItem(BACKEND_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.error("Error guardando configuración de conexión:", e);
+  }
+}
+
+const isHttpUrl = (t) => /^https?:\/\/\S+$/i.test((t || "").trim());
+
+// `clave` es la clave de acceso del usuario con sesión iniciada en este dispositivo (si hay)
+function createBackend(config, clave) {
+  switch (config?.kind) {
+    case "appsScript":
+      return createAppsScriptBackend(config.url, clave);
+    case "rest":
+      return createRestBackend(config.url, clave);
+    default:
+      return localBackend;
+  }
+}
+
+// ======== Sesión (usuario de este dispositivo) ========
+// Solo se guarda la clave de acceso del usuario que inició sesión aquí; en el estado
+// compartido los usuarios llevan únicamente el hash SHA-256 de su clave. Los servidores no
+// envían esos hashes: marcan al usuario de la clave con `esSesion` y la app guarda su id.
+const SESSION_KEY = "ibbla_asistencia_sesion_v1";
+
+function loadSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    return session?.clave && session?.hash ? session : null; // { clave, hash, usuarioId? }
+  } catch (e) {
+    console.error("Error cargando sesión:", e);
+    return null;
+  }
+}
+
+function saveSession(session) {
+  try {
+    if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch (e) {
+    console.error("Error guardando sesión:", e);
+  }
+}
+
+const normalizeClave = (t) => (t || "").trim().toLowerCase();
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 20 caracteres hexadecimales aleatorios en grupos de 4 (80 bits)
+function generateClave() {
+  const hex = [...crypto.getRandomValues(new Uint8Array(10))].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return hex.match(/.{4}/g).join("-");
+}
+
+// ======== Bandeja de salida (outbox) ========
+// Cambios locales aún no confirmados por el backend. Se guarda en localStorage para
+// sobrevivir a recargas; como el estado local ya contiene los cambios, cada entrada
+// solo marca "hay algo que enviar" y el envío manda el estado completo (se fusiona en el servidor).
+const OUTBOX_KEY = "ibbla_asistencia_outbox_v1";
+const OUTBOX_COALESCE_MS = 800; // ediciones más seguidas que esto cuentan como un solo cambio
+const OUTBOX_BASE_DELAY = 2000;
+const OUTBOX_MAX_DELAY = 5 * 60 * 1000;
+
+function loadOutbox() {
+  try {
+    const raw = localStorage.getItem(OUTBOX_KEY);
+    const o = raw ? JSON.parse(raw) : null;
+    return { pendientes: Array.isArray(o?.pendientes) ? o.pendientes : [], lastSyncAt: o?.lastSyncAt || null };
+  } catch (e) {
+    console.error("Error cargando bandeja de salida:", e);
+    return { pendientes: [], lastSyncAt: null };
+  }
+}
+
+function saveOutbox(outbox) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+  } catch (e) {
+    console.error("Error guardando bandeja de salida:", e);
+  }
+}
+
+// Anota un cambio; si el último pendiente es de la misma ráfaga de edición, solo se actualiza.
+function enqueueChange(outbox, at) {
+  const last = outbox.pendientes[outbox.pendientes.length - 1];
+  if (last && Date.parse(at) - Date.parse(last.at) < OUTBOX_COALESCE_MS) {
+    return { ...outbox, pendientes: [...outbox.pendientes.slice(0, -1), { ...last, at }] };
+  }
+  return { ...outbox, pendientes: [...outbox.pendientes, { id: newId(), at }] };
+}
+
+// Quita de la bandeja lo que ya recibió el servidor (lo anotado mientras se enviaba sigue pendiente)
+const marcarEnviados = (outbox, enviados, at) => ({ pendientes: outbox.pendientes.filter((c) => !enviados.has(c.id)), lastSyncAt: at });
+
+// Espera exponencial: 2s, 4s, 8s… hasta 5 minutos.
+const backoffDelay = (attempt) => Math.min(OUTBOX_BASE_DELAY * 2 ** attempt, OUTBOX_MAX_DELAY);
+
+// ======== Exportar (CSV para Excel / Google Sheets) ========
+// Se antepone el BOM de UTF-8 para que Excel reconozca tildes y eñes al abrir el archivo.
+// Excel en español espera ";" como separador; Google Sheets y LibreOffice aceptan ambos.
+const CSV_BOM = "\uFEFF";
+const CSV_SEPARADORES = { ";": "Punto y coma (Excel en español)", ",": "Coma" };
+
+// Un texto que empieza con =, +, - o @ Excel lo toma como fórmula (un nombre o una nota podrían
+// ejecutar algo al abrir el archivo): se le antepone un apóstrofo para que quede como texto.
+function csvCell(v, sep) {
+  let t = v === null || v === undefined ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(t)) t = `'${t}`;
+  return t.includes(sep) || /["\r\n]/.test(t) || t !== t.trim() ? `"${t.replace(/"/g, '""')}"` : t;
+}
+
+// Los teléfonos van siempre como texto: como número, Excel quitaría el "+" y los ceros del inicio
+const telefonoCsv = (telefono) => (telefono ? `'${formatTelefono(telefono)}` : "");
+
+function toCsv(filas, sep = ";") {
+  return CSV_BOM + filas.map((fila) => fila.map((v) => csvCell(v, sep)).join(sep)).join("\r\n") + "\r\n";
+}
+
+// Todos los alumnos por id (para nombrar registros aunque la persona ya esté en otra clase)
+const alumnosPorId = (state) => new Map(state.clases.flatMap((c) => c.alumnos.map((a) => [a.id, a])));
+
+// Una fila por registro de asistencia
+function exportLongRows(state) {
+  const alumnos = alumnosPorId(state);
+  const estados = mapaEstados(state);
+  const filas = [["fecha", "clase", "docente", "alumno", "teléfono", "presente", "estado", "nota"]];
+  for (const fecha of Object.keys(state.asistencias).sort()) {
+    for (const c of state.clases) {
+      const regs = state.asistencias[fecha]?.[c.id] || {};
+      for (const [aId, r] of Object.entries(regs)) {
+        const a = alumnos.get(aId);
+        filas.push([fecha, c.nombre, c.docente || "", a?.nombre || aId, telefonoCsv(a?.telefono), cuentaDe(estados, r) === "presente" ? "Sí" : "No", estados.get(estadoDe(r))?.nombre || estadoDe(r), r.nota || ""]);
+      }
+    }
+  }
+  return filas;
+}
+
+// Alumnos × fechas de una clase: la sigla del estado (P, T, J, A…; con la nota si la hay), más
+// totales por alumno. Las ausencias justificadas y las sesiones suspendidas no cuentan para los totales.
+function exportMatrixRows(state, classId) {
+  const clase = state.clases.find((c) => c.id === classId);
+  if (!clase) return [];
+  const estados = mapaEstados(state);
+  const fechas = Object.keys(state.asistencias).filter((f) => Object.keys(state.asistencias[f]?.[classId] || {}).length).sort();
+  const suspendidas = new Set(fechas.filter((f) => suspensionDe(state, f, classId)));
+  const filas = [["Alumno", "Teléfono", ...fechas, "Presentes", "% asistencia"]];
+  // Quienes ya se cambiaron de clase siguen apareciendo con lo que asistieron aquí
+  const todos = alumnosPorId(state);
+  const ubicacion = new Map(state.clases.flatMap((c) => c.alumnos.map((a) => [a.id, c])));
+  const anteriores = [...new Set(fechas.flatMap((f) => Object.keys(state.asistencias[f][classId])))]
+    .filter((id) => todos.has(id) && ubicacion.get(id) !== clase)
+    .map((id) => ({ ...todos.get(id), nombre: `${todos.get(id).nombre} (ahora en ${ubicacion.get(id).nombre})` }));
+  for (const a of [...clase.alumnos, ...anteriores]) {
+    let presentes = 0;
+    let tomadas = 0;
+    const celdas = fechas.map((f) => {
+      const r = state.asistencias[f][classId][a.id];
+      if (!r) return "";
+      const cuenta = cuentaDe(estados, r);
+      if (!suspendidas.has(f)) {
+        if (cuenta !== "justificado") tomadas += 1;
+        if (cuenta === "presente") presentes += 1;
+      }
+      const marca = estados.get(estadoDe(r))?.sigla || "?";
+      return r.nota ? `${marca}: ${r.nota}` : marca;
+    });
+    filas.push([a.visitante ? `${a.nombre} (visitante)` : a.nombre, telefonoCsv(a.telefono), ...celdas, presentes, tomadas ? `${Math.round((presentes / tomadas) * 100)}%` : ""]);
+  }
+  return filas;
+}
+
+// Todas las clases en un solo archivo, una matriz debajo de la otra
+function exportAllMatrixRows(state) {
+  return state.clases.flatMap((c, i) => [
+    ...(i ? [[]] : []),
+    [`${c.nombre} (${c.rango})`, c.docente ? `Docente: ${c.docente}` : ""],
+    ...exportMatrixRows(state, c.id),
+  ]);
+}
+
+function downloadFile(nombre, contenido, tipo) {
+  const blob = new Blob([contenido], { type: tipo });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nombre;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ======== Importar alumnos (CSV) ========
+// CSV → filas de texto. Respeta comillas (con separadores y saltos de línea dentro) y detecta
+// el separador (";", "," o tabulador) por la primera línea.
+function parseCsv(texto) {
+  const t = String(texto || "").replace(/^\uFEFF/, "");
+  const primera = t.split(/\r?\n/, 1)[0];
+  const sep = [";", "\t", ","].reduce((mejor, s) => (primera.split(s).length > primera.split(mejor).length ? s : mejor), ",");
+  const filas = [];
+  let fila = [];
+  let celda = "";
+  let comillas = false;
+  for (let i = 0; i < t.length; i++) {
+    const ch = t[i];
+    if (comillas) {
+      if (ch === '"' && t[i + 1] === '"') {
+        celda += '"';
+        i += 1;
+      } else if (ch === '"') comillas = false;
+      else celda += ch;
+    } else if (ch === '"') comillas = true;
+    else if (ch === sep) {
+      fila.push(celda);
+      celda = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && t[i + 1] === "\n") i += 1;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = "";
+    } else celda += ch;
+  }
+  if (celda || fila.length) filas.push([...fila, celda]);
+  return filas.filter((f) => f.some((c) => c.trim()));
+}
+
+// Campos que se pueden asignar a una columna, con los encabezados que se reconocen solos
+const ROSTER_CAMPOS = {
+  nombre: { label: "Nombre", alias: ["nombre", "nombre completo", "alumno", "name"] },
+  telefono: { label: "Teléfono", alias: ["telefono", "tel", "celular", "movil", "whatsapp", "phone"] },
+  clase: { label: "Clase", alias: ["clase", "grupo", "class"] },
+  nacimiento: { label: "Fecha de nacimiento", alias: ["fecha de nacimiento", "nacimiento", "cumpleanos", "fecha nacimiento", "birthdate"] },
+};
+
+function guessRosterMapping(encabezados) {
+  const mapeo = {};
+  for (const [campo, { alias }] of Object.entries(ROSTER_CAMPOS)) {
+    const i = encabezados.findIndex((h) => alias.includes(normalizeName(h)));
+    mapeo[campo] = i >= 0 ? String(i) : "";
+  }
+  return mapeo;
+}
+
+// "1990-05-31", "31/05/1990" o "31-05-1990" → "1990-05-31" (o "" si no es válida)
+function parseFechaNacimiento(t) {
+  const s = String(t || "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+  const [y, mo, d] = m ? [m[1], m[2], m[3]] : (m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(s)) ? [m[3], m[2], m[1]] : [];
+  if (!y) return "";
+  const iso = `${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  return esFechaISO(iso) ? iso : "";
+}
+
+/**
+ * Prepara la vista previa: una entrada por fila de datos con la clase destino y su estado
+ * ("ok", "duplicado", "sin-clase", "sin-permiso" o "sin-nombre"). Solo las "ok" se marcan para importar.
+ * La clase se toma de la columna "clase" (id o nombre); si no hay, de la edad según `rango`.
+ */
+function planRosterImport(state, filas, mapeo, { claseDefecto = "", hoy = hoyLocal(), puede = () => true } = {}) {
+  const col = (fila, campo) => (mapeo[campo] === "" || mapeo[campo] === undefined ? "" : String(fila[Number(mapeo[campo])] ?? "").trim());
+  const existentes = state.clases.flatMap((c) => c.alumnos.map((a) => ({ ...a, clase: c.nombre })));
+  const porNombre = new Map(existentes.map((a) => [normalizeName(a.nombre), a]));
+  const porTelefono = new Map(existentes.filter((a) => normalizePhone(a.telefono).replace(/\D/g, "").length >= 7).map((a) => [normalizePhone(a.telefono).replace(/\D/g, ""), a]));
+  const vistos = new Map();
+
+  return filas.map((fila, i) => {
+    const nombre = col(fila, "nombre").replace(/\s+/g, " ");
+    const telefono = col(fila, "telefono");
+    const nacimiento = parseFechaNacimiento(col(fila, "nacimiento"));
+    const textoClase = normalizeName(col(fila, "clase"));
+    let clase = textoClase ? state.clases.find((c) => c.id === textoClase || normalizeName(c.nombre) === textoClase) : null;
+    if (!clase && !textoClase && nacimiento) clase = claseParaEdad(state.clases, edadEn(nacimiento, hoy));
+    if (!clase && !textoClase) clase = state.clases.find((c) => c.id === claseDefecto);
+    const entrada = { fila: i + 1, nombre, telefono, nacimiento, classId: clase?.id || "", estado: "ok", motivo: "" };
+
+    const digitos = normalizePhone(telefono).replace(/\D/g, "");
+    const clave = normalizeName(nombre);
+    const repetido = porNombre.get(clave) || (digitos.length >= 7 && porTelefono.get(digitos));
+    if (!nombre) Object.assign(entrada, { estado: "sin-nombre", motivo: "Sin nombre" });
+    else if (!clase) Object.assign(entrada, { estado: "sin-clase", motivo: textoClase ? `Clase desconocida: ${col(fila, "clase")}` : "Sin clase" });
+    else if (!puede(clase.id)) Object.assign(entrada, { estado: "sin-permiso", motivo: `Sin permiso en ${clase.nombre}` });
+    else if (repetido) Object.assign(entrada, { estado: "duplicado", motivo: `Ya existe: ${repetido.nombre} (${repetido.clase})` });
+    else if (vistos.has(clave)) Object.assign(entrada, { estado: "duplicado", motivo: `Repetido en el archivo (fila ${vistos.get(clave)})` });
+    if (nombre && !vistos.has(clave)) vistos.set(clave, entrada.fila);
+    entrada.incluir = entrada.estado === "ok";
+    return entrada;
+  });
+}
+
+// Agrega las entradas marcadas a sus clases (muta `p`, una copia); salta las clases donde `puede` no deja editar.
+// Devuelve cuántas agregó.
+function applyRosterImport(p, entradas, at, puede = () => true) {
+  let n = 0;
+  for (const e of entradas) {
+    const cls = p.clases.find((c) => c.id === e.classId);
+    if (!e.incluir || !cls || !e.nombre || !puede(cls.id)) continue;
+    const alumno = { id: newId(), nombre: e.nombre, telefono: normalizePhone(e.telefono) || e.telefono, updatedAt: at };
+    if (e.nacimiento) alumno.nacimiento = e.nacimiento;
+    cls.alumnos.push(alumno);
+    n += 1;
+  }
+  if (n) p.updatedAt = at;
+  return n;
+}
+
+// ================== UI: Encabezado ==================
+function Header({ sync, usuario }) {
+  const connected = sync.mode === "remote";
+  const statusColor = connected ? (sync.status === "synced" ? "bg-green-500" : sync.status === "syncing" ? "bg-amber-500" : sync.status === "offline" || sync.status === "error" ? "bg-red-500" : "bg-slate-400") : "bg-slate-400";
+  const label = connected ? (sync.status === "synced" ? `${sync.nombre} conectado` : sync.status === "syncing" ? "Sincronizando…" : sync.status === "offline" ? "Sin conexión" : sync.status === "error" ? "Error al sincronizar" : `${sync.nombre} listo`) : "Modo local";
+  return (
+    <div className="flex items-center justify-between gap-4 mb-4">
+      <div>
+        <h1 className="text-2xl font-bold">IBBLA – Registro de Asistencia</h1>
+        <p className="text-sm text-muted-foreground">Seguimiento semanal por clase y por persona, con estadísticas.</p>
+        {sync.mensaje && <p className="text-xs text-red-700 mt-1">⚠️ {sync.mensaje}</p>}
+      </div>
+      <div className="hidden md:flex items-center gap-2">
+        <span className={`inline-flex items-center gap-2 text-xs px-2 py-1 rounded-full text-white ${statusColor}`}>
+          <span className="w-2 h-2 rounded-full bg-white/80" /> {label}
+        </span>
+        {connected && sync.pendientes > 0 && (
+          <Badge variant="secondary">{sync.pendientes} {sync.pendientes === 1 ? "cambio pendiente" : "cambios pendientes"}</Badge>
+        )}
+        {usuario && <Badge>👤 {usuario.nombre} ({ROLES[usuario.rol]})</Badge>}
+        {connected && sync.lastSyncAt && (
+          <span className="text-xs text-muted-foreground">Última sincronización: {formatInstante(sync.lastSyncAt, { soloHora: true })}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ================== UI: Campo de teléfono ==================
+// Muestra el número con formato y lo guarda en E.164 al salir del campo; si no es válido no se
+// guarda y se explica el problema debajo (también para números viejos que nunca se normalizaron).
+function TelefonoInput({ value, onChange, className = "", placeholder = "Teléfono" }) {
+  const [texto, setTexto] = useState(null); // lo que se está escribiendo, hasta guardarlo
+  const [intentado, setIntentado] = useState(false);
+  const error = texto === null ? parseTelefono(value).error : intentado && parseTelefono(texto).error;
+
+  function guardar() {
+    if (texto === null) return;
+    const { e164, error: invalido } = parseTelefono(texto);
+    if (invalido) {
+      setIntentado(true);
+      return;
+    }
+    if (e164 !== (value || "")) onChange(e164);
+    setTexto(null);
+    setIntentado(false);
+  }
+
+  return (
+    <div className="space-y-0.5">
+      <Input
+        className={`${className} ${error ? "border-red-500" : ""}`}
+        placeholder={placeholder}
+        value={texto ?? formatTelefono(value)}
+        onChange={(e) => setTexto(e.target.value)}
+        onBlur={guardar}
+        onKeyDown={(e) => e.key === "Enter" && guardar()}
+      />
+      {error && <p className="text-[11px] text-red-700">{error}</p>}
+    </div>
+  );
+}
+
+// ================== UI: Tarjeta Clase ==================
+const edadInput = (v) => (v === "" ? null : Math.max(0, Math.floor(Number(v)) || 0));
+
+const BAJA_MOTIVOS = ["Se mudó", "Cambió de iglesia", "Asiste a otra clase", "Falleció", "Otro"];
+
+function ClassCard({ clase, clases = [], puedeConfigurar, esPrimera, esUltima, destinos = [], onChangeClase, onChangeDocente, onChangeEdades, onArchivar, onOrdenar, onAddAlumno, onBajaAlumno, onRemoveAlumno, onMoveAlumno, onEditAlumno }) {
+  const [alumnoNombre, setAlumnoNombre] = useState("");
+  const [alumnoTel, setAlumnoTel] = useState("");
+  const [alumnoNac, setAlumnoNac] = useState("");
+  const [moviendo, setMoviendo] = useState(null); // alumno cuyo selector de clase está abierto
+  const [bajaForm, setBajaForm] = useState(null); // { alumnoId, fecha, motivo } mientras se confirma una baja
+  const [verInactivos, setVerInactivos] = useState(false);
+  const [nombreClase, setNombreClase] = useState(null); // mientras se renombra; se guarda al salir del campo
+  const hoy = hoyLocal();
+  const activos = clase.alumnos.filter((a) => !a.baja && !a.visitante);
+  const inactivos = clase.alumnos.filter((a) => a.baja);
+  const visitantes = clase.alumnos.filter((a) => a.visitante && !a.baja);
+
+  function borrarDefinitivamente(a) {
+    const ok = prompt(`Esto borra a ${a.nombre} y TODA su asistencia, también de las estadísticas y del historial (p. ej. si la persona pidió que se eliminen sus datos). Para una baja normal use "Dar de baja". No se puede deshacer.\n\nEscriba BORRAR para confirmar.`);
+    if ((ok || "").trim().toUpperCase() === "BORRAR") onRemoveAlumno(clase.id, a.id);
+  }
+  // Con la fecha de nacimiento se sugiere la clase que corresponde por edad
+  const edadNueva = parseFechaNacimiento(alumnoNac) ? edadEn(alumnoNac, hoy) : null;
+  const sugerida = edadNueva !== null && !edadEnClase(clase, edadNueva) ? claseParaEdad(clases, edadNueva) : null;
+
+  const telNuevo = parseTelefono(alumnoTel);
+
+  // Un nombre vacío no se guarda: vuelve el que tenía
+  function renombrar() {
+    const nombre = (nombreClase ?? "").trim();
+    setNombreClase(null);
+    if (nombre && nombre !== clase.nombre) onChangeClase(clase.id, { nombre });
+  }
+
+  function agregar(classId) {
+    if (!alumnoNombre.trim() || telNuevo.error) return;
+    const alumno = { id: newId(), nombre: alumnoNombre.trim(), telefono: telNuevo.e164 };
+    if (parseFechaNacimiento(alumnoNac)) alumno.nacimiento = alumnoNac;
+    onAddAlumno(classId, alumno);
+    setAlumnoNombre("");
+    setAlumnoTel("");
+    setAlumnoNac("");
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            {puedeConfigurar ? (
+              <div className="flex items-center gap-2">
+                <Input
+                  className="h-8 w-48 font-semibold"
+                  aria-label="Nombre de la clase"
+                  value={nombreClase ?? clase.nombre}
+                  onChange={(e) => setNombreClase(e.target.value)}
+                  onBlur={renombrar}
+                  onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                />
+                <span className="text-sm text-muted-foreground">({clase.rango})</span>
+              </div>
+            ) : (
+              <h3 className="text-lg font-semibold">{clase.nombre} <span className="text-sm text-muted-foreground">({clase.rango})</span></h3>
+            )}
+            <div className="flex items-center gap-2 mt-1">
+              <Label className="text-xs">Docente</Label>
+              <Input
+                className="h-8 w-56"
+                placeholder="Nombre del docente"
+                disabled={!puedeConfigurar}
+                value={clase.docente}
+                onChange={(e) => onChangeDocente(clase.id, e.target.value)}
+              />
+            </div>
+            <div className="flex items-center gap-2 mt-1">
+              <Label className="text-xs">Edades</Label>
+              <Input
+                type="number"
+                min="0"
+                className="h-8 w-20"
+                placeholder="mín."
+                disabled={!puedeConfigurar}
+                value={clase.edadMin ?? ""}
+                onChange={(e) => onChangeEdades(clase.id, edadInput(e.target.value), clase.edadMax ?? null)}
+              />
+              <span className="text-xs">a</span>
+              <Input
+                type="number"
+                min="0"
+                className="h-8 w-20"
+                placeholder="máx."
+                disabled={!puedeConfigurar}
+                value={clase.edadMax ?? ""}
+                onChange={(e) => onChangeEdades(clase.id, clase.edadMin ?? null, edadInput(e.target.value))}
+              />
+            </div>
+            <div className="flex items-center gap-1 mt-1">
+              <Label className="text-xs mr-1">Se reúne</Label>
+              {DIAS_SEMANA.map((nombreDia, d) => {
+                const dias = clase.dias || [];
+                return (
+                  <Button
+                    key={d}
+                    variant={dias.includes(d) ? "default" : "ghost"}
+                    className="h-7 w-7 p-0 text-xs"
+                    title={nombreDia}
+                    disabled={!puedeConfigurar}
+                    onClick={() => onChangeClase(clase.id, { dias: dias.includes(d) ? dias.filter((x) => x !== d) : [...dias, d].sort() })}
+                  >
+                    {nombreDia[0]}
+                  </Button>
+                );
+              })}
+              {!clase.dias?.length && <span className="text-[11px] text-muted-foreground">cualquier día</span>}
+            </div>
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <Badge>{activos.length} alumnos</Badge>
+            {puedeConfigurar && (
+              <div className="flex items-center gap-1">
+                <Button variant="ghost" size="sm" title="Subir" disabled={esPrimera} onClick={() => onOrdenar(clase.id, -1)}>↑</Button>
+                <Button variant="ghost" size="sm" title="Bajar" disabled={esUltima} onClick={() => onOrdenar(clase.id, 1)}>↓</Button>
+                <Button variant="ghost" size="sm" onClick={() => onArchivar(clase.id, true)}>Archivar</Button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <Input
+            placeholder="Nombre del alumno"
+            value={alumnoNombre}
+            onChange={(e) => setAlumnoNombre(e.target.value)}
+          />
+          <div className="space-y-0.5">
+            <Input
+              className={telNuevo.error ? "border-red-500" : ""}
+              placeholder="Teléfono (opcional)"
+              value={alumnoTel}
+              onChange={(e) => setAlumnoTel(e.target.value)}
+            />
+            {telNuevo.error && <p className="text-[11px] text-red-700">{telNuevo.error}</p>}
+          </div>
+          <Input
+            type="date"
+            title="Fecha de nacimiento (opcional)"
+            value={alumnoNac}
+            onChange={(e) => setAlumnoNac(e.target.value)}
+          />
+        </div>
+        {edadNueva !== null && (
+          <p className="text-xs text-muted-foreground">
+            {edadNueva} años{sugerida ? ` — por su edad corresponde a ${sugerida.nombre} (${sugerida.rango}).` : "."}
+          </p>
+        )}
+        <div className="flex items-center gap-2">
+          <Button disabled={!!telNuevo.error} onClick={() => agregar(clase.id)}>
+            <UserRoundPlus className="w-4 h-4 mr-1" /> Añadir Alumno
+          </Button>
+          {sugerida && destinos.some((d) => d.id === sugerida.id) && (
+            <Button variant="secondary" disabled={!!telNuevo.error} onClick={() => agregar(sugerida.id)}>Añadir en {sugerida.nombre}</Button>
+          )}
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-2">
+          {activos.map((a) => (
+            <div key={a.id} className="flex flex-col border rounded-xl px-3 py-2">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-sm">{a.nombre}</p>
+                  <p className="text-[11px] text-muted-foreground">
+                    📞 {formatTelefono(a.telefono) || "(sin teléfono)"}{a.nacimiento && ` · ${edadEn(a.nacimiento, hoy)} años`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1">
+                  {destinos.length > 0 && (
+                    <Button variant="ghost" size="sm" onClick={() => setMoviendo(moviendo === a.id ? null : a.id)}>Mover</Button>
+                  )}
+                  <Button variant="ghost" size="sm" onClick={() => setBajaForm(bajaForm?.alumnoId === a.id ? null : { alumnoId: a.id, fecha: hoy, motivo: "" })}>Dar de baja</Button>
+                </div>
+              </div>
+              {bajaForm?.alumnoId === a.id && (
+                <div className="mt-1 space-y-1">
+                  <Label className="text-xs">Dar de baja (deja de aparecer al tomar asistencia; su historial se conserva)</Label>
+                  <div className="grid grid-cols-2 gap-1">
+                    <Input type="date" className="h-8" value={bajaForm.fecha} onChange={(e) => setBajaForm((b) => ({ ...b, fecha: e.target.value }))} />
+                    <Input className="h-8" list={`motivos-${clase.id}`} placeholder="Motivo" value={bajaForm.motivo} onChange={(e) => setBajaForm((b) => ({ ...b, motivo: e.target.value }))} />
+                  </div>
+                  <datalist id={`motivos-${clase.id}`}>
+                    {BAJA_MOTIVOS.map((m) => <option key={m} value={m} />)}
+                  </datalist>
+                  <Button
+                    variant="destructive"
+                    disabled={!bajaForm.fecha}
+                    onClick={() => {
+                      onBajaAlumno(clase.id, a.id, { fecha: bajaForm.fecha, motivo: bajaForm.motivo.trim() });
+                      setBajaForm(null);
+                    }}
+                  >
+                    Confirmar baja
+                  </Button>
+                </div>
+              )}
+              {moviendo === a.id && (
+                <div className="mt-1 space-y-1">
+                  <Label className="text-xs">Mover a otra clase (conserva su historial)</Label>
+                  <Select value="" onValueChange={(toId) => {
+                    onMoveAlumno(clase.id, a.id, toId);
+                    setMoviendo(null);
+                  }}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Seleccione la clase" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {destinos.map((d) => (
+                        <SelectItem key={d.id} value={d.id}>{d.nombre} ({d.rango})</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-1 mt-1">
+                <TelefonoInput
+                  className="h-8"
+                  value={a.telefono || ""}
+                  onChange={(telefono) => onEditAlumno(clase.id, a.id, { telefono })}
+                />
+                <Input
+                  type="date"
+                  className="h-8"
+                  title="Fecha de nacimiento"
+                  value={a.nacimiento || ""}
+                  onChange={(e) => onEditAlumno(clase.id, a.id, { nacimiento: e.target.value })}
+                />
+              </div>
+            </div>
+          ))}
+          {activos.length === 0 && (
+            <p className="text-xs text-muted-foreground italic">Aún no hay alumnos. Agrega algunos para esta clase.</p>
+          )}
+        </div>
+        {visitantes.length > 0 && (
+          <p className="text-xs text-muted-foreground">
+            {visitantes.length} {visitantes.length === 1 ? "visitante" : "visitantes"} ({visitantes.map((a) => a.nombre).join(", ")}): se registran y se hacen alumnos desde «Tomar asistencia».
+          </p>
+        )}
+
+        {inactivos.length > 0 && (
+          <div className="space-y-1">
+            <Button variant="ghost" size="sm" onClick={() => setVerInactivos((v) => !v)}>
+              {verInactivos ? "Ocultar" : "Ver"} inactivos ({inactivos.length})
+            </Button>
+            {verInactivos && inactivos.map((a) => (
+              <div key={a.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-1 bg-slate-50">
+                <div>
+                  <p className="text-sm">{a.nombre}</p>
+                  <p className="text-[11px] text-muted-foreground">Baja desde {formatFecha(a.baja.fecha)}{a.baja.motivo && ` · ${a.baja.motivo}`}</p>
+                </div>
+                <div className="flex items-center gap-1">
+                  <Button variant="secondary" size="sm" onClick={() => onBajaAlumno(clase.id, a.id, null)}>Reactivar</Button>
+                  <Button variant="destructive" size="sm" onClick={() => borrarDefinitivamente(a)}>Borrar definitivamente</Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Mensajes ==================
+// Enlaces de WhatsApp / SMS con cada plantilla, rellenada para `persona` (fila de estadisticasPersonas)
+function MensajeLinks({ plantillas, persona }) {
+  const [abierto, setAbierto] = useState(false);
+  if (!normalizePhone(persona.telefono)) return null;
+  if (!abierto) return <button type="button" className="underline" onClick={() => setAbierto(true)}>Mensaje…</button>;
+  return (
+    <div className="w-full border rounded-lg p-2 space-y-1 text-[12px]">
+      {plantillas.map((t) => {
+        const texto = rellenarPlantilla(t.texto, datosMensaje(persona));
+        return (
+          <div key={t.id} className="flex items-center justify-between gap-2">
+            <span className="truncate" title={texto}>{t.nombre}</span>
+            <span className="flex gap-2 shrink-0">
+              <a className="underline" target="_blank" rel="noreferrer" href={enlaceWhatsApp(persona.telefono, texto)}>WhatsApp</a>
+              <a className="underline" href={enlaceSms(persona.telefono, texto)}>SMS</a>
+            </span>
+          </div>
+        );
+      })}
+      <button type="button" className="text-muted-foreground underline" onClick={() => setAbierto(false)}>Cerrar</button>
+    </div>
+  );
+}
+
+// Envío uno por uno: muestra a cada destinatario con el mensaje listo y avanza al abrir el enlace
+function EnvioEnSerie({ plantillas, destinatarios, onClose }) {
+  const [plantillaId, setPlantillaId] = useState(plantillas[0]?.id || "");
+  const [indice, setIndice] = useState(0);
+  const [enviados, setEnviados] = useState(() => new Set());
+  const conTelefono = destinatarios.filter((d) => normalizePhone(d.telefono));
+  const sinTelefono = destinatarios.length - conTelefono.length;
+  const actual = conTelefono[indice];
+  const plantilla = plantillas.find((t) => t.id === plantillaId) || plantillas[0];
+  const texto = actual && plantilla ? rellenarPlantilla(plantilla.texto, datosMensaje(actual)) : "";
+
+  function enviado() {
+    setEnviados((e) => new Set(e).add(actual.alumnoId));
+    setIndice((i) => Math.min(conTelefono.length - 1, i + 1));
+  }
+
+  return (
+    <div className="border rounded-xl p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="font-semibold">Mensaje a los ausentes ({enviados.size}/{conTelefono.length} enviados)</h4>
+        <Button variant="ghost" size="sm" onClick={onClose}>Cerrar</Button>
+      </div>
+      <Select value={plantillaId} onValueChange={setPlantillaId}>
+        <SelectTrigger>
+          <SelectValue placeholder="Plantilla" />
+        </SelectTrigger>
+        <SelectContent>
+          {plantillas.map((t) => <SelectItem key={t.id} value={t.id}>{t.nombre}</SelectItem>)}
+        </SelectContent>
+      </Select>
+      {sinTelefono > 0 && <p className="text-xs text-muted-foreground">{sinTelefono} sin teléfono (no aparecen aquí).</p>}
+      {actual ? (
+        <>
+          <p className="text-sm">
+            {indice + 1} de {conTelefono.length}: <b>{actual.nombre}</b> · 📞 {formatTelefono(actual.telefono)}{enviados.has(actual.alumnoId) && " ✓"}
+          </p>
+          <Textarea className="min-h-[60px]" readOnly value={texto} />
+          <div className="flex flex-wrap items-center gap-2">
+            <Button variant="ghost" size="sm" disabled={indice === 0} onClick={() => setIndice((i) => i - 1)}>‹ Anterior</Button>
+            <a className="underline text-sm" target="_blank" rel="noreferrer" href={enlaceWhatsApp(actual.telefono, texto)} onClick={enviado}>Abrir WhatsApp</a>
+            <a className="underline text-sm" href={enlaceSms(actual.telefono, texto)} onClick={enviado}>Abrir SMS</a>
+            <Button variant="ghost" size="sm" disabled={indice >= conTelefono.length - 1} onClick={() => setIndice((i) => i + 1)}>Omitir ›</Button>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-muted-foreground italic">No hay ausentes con teléfono.</p>
+      )}
+    </div>
+  );
+}
+
+// ================== UI: Tomar Asistencia ==================
+function AttendanceTaker({ state, setState, usuario }) {
+  const [fechaElegida, setFecha] = useState(() => hoyLocal()); // YYYY-MM-DD
+  const [visitante, setVisitante] = useState({ nombre: "", telefono: "", invitadoPor: "" });
+  const [teclado, setTeclado] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [envio, setEnvio] = useState(false); // envío de mensajes a los ausentes
+  const listaRef = useRef(null);
+  useEffect(() => {
+    if (teclado) listaRef.current?.focus();
+  }, [teclado]);
+  // Solo las clases activas que este usuario puede editar (todas en modo abierto)
+  const clases = clasesActivas(state).filter((c) => canEditClass(usuario, state, c.id));
+  const [seleccion, setClaseId] = useState(clases[0]?.id ?? "");
+  const claseId = clases.some((c) => c.id === seleccion) ? seleccion : clases[0]?.id ?? "";
+  const clase = clases.find((c) => c.id === claseId);
+  // La fecha siempre cae en un día de reunión de la clase elegida
+  const fecha = clase ? ajustarAClase(clase, fechaElegida) : fechaElegida;
+  const suspension = suspensionDe(state, fecha, claseId);
+
+  const registrosFecha = state.asistencias[fecha] || {};
+  const registrosClase = registrosFecha[claseId] || {};
+  const estados = mapaEstados(state);
+  const estadosActivos = [...estados.values()].filter((e) => e.activo !== false);
+  const asistio = (reg) => cuentaDe(estados, reg) === "presente";
+
+  function marcarEstado(alumnoId, estado) {
+    setState((prev) => patchAsistencias(prev, fecha, claseId, { [alumnoId]: { estado } }, ahoraISO()));
+  }
+
+  function setNota(alumnoId, nota) {
+    setState((prev) => patchAsistencias(prev, fecha, claseId, { [alumnoId]: { nota } }, ahoraISO()));
+  }
+
+  // Acciones en bloque: una sola actualización, que se deshace de una vez
+  function marcarTodos(estado) {
+    const parches = Object.fromEntries(alumnos.map((a) => [a.id, { estado }]));
+    setState((prev) => patchAsistencias(prev, fecha, claseId, parches, ahoraISO()), {
+      aviso: `${alumnos.length} ${estado === "presente" ? "marcados presentes" : "marcados ausentes"}.`,
+    });
+  }
+
+  function copiarSemanaAnterior() {
+    const anterior = fechaAnteriorDeClase(state, fecha, claseId);
+    if (!anterior) {
+      alert("No hay una fecha anterior con asistencia tomada en esta clase.");
+      return;
+    }
+    const previos = state.asistencias[anterior][claseId];
+    const parches = Object.fromEntries(alumnos.map((a) => [a.id, { estado: estadoDe(previos[a.id]) || "ausente" }]));
+    setState((prev) => patchAsistencias(prev, fecha, claseId, parches, ahoraISO()), {
+      aviso: `Asistencia copiada del ${formatFecha(anterior)}.`,
+    });
+  }
+
+  // Modo teclado: ↑/↓ para moverse, espacio alterna presente/ausente y la sigla de cada estado
+  // (P, A, T…) lo marca y pasa al siguiente
+  function onTecla(e) {
+    if (!teclado || e.target !== e.currentTarget || !alumnos.length) return;
+    const actual = alumnos[Math.min(cursor, alumnos.length - 1)];
+    const siguiente = () => setCursor((c) => Math.min(alumnos.length - 1, c + 1));
+    const tecla = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (tecla === "ArrowDown" || tecla === "ArrowRight") siguiente();
+    else if (tecla === "ArrowUp" || tecla === "ArrowLeft") setCursor((c) => Math.max(0, c - 1));
+    else if (tecla === " ") marcarEstado(actual.id, asistio(registrosClase[actual.id]) ? "ausente" : "presente");
+    else if (porSigla.has(tecla)) {
+      marcarEstado(actual.id, porSigla.get(tecla));
+      siguiente();
+    } else return;
+    e.preventDefault();
+  }
+
+  function suspender() {
+    const motivo = prompt(`¿Por qué no hubo clase de ${clase.nombre} el ${formatFecha(fecha, { largo: true })}? (feriado, actividad especial…)`);
+    if (motivo === null) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.suspensiones.push({ id: newId(), fecha, classId: claseId, motivo: motivo.trim(), updatedAt: p.updatedAt });
+      return p;
+    });
+  }
+
+  function reanudar() {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.suspensiones = p.suspensiones.filter((x) => x.id !== suspension.id);
+      markDeleted(p, `suspension/${suspension.id}`, p.updatedAt);
+      return p;
+    });
+  }
+
+  function setTelefono(alumnoId, telefono) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      const cls = p.clases.find((c) => c.id === claseId);
+      if (!cls) return p;
+      const alumno = cls.alumnos.find((a) => a.id === alumnoId);
+      p.updatedAt = ahoraISO();
+      if (alumno) {
+        alumno.telefono = telefono;
+        alumno.updatedAt = p.updatedAt;
+      }
+      return p;
+    });
+  }
+
+  const telVisitante = parseTelefono(visitante.telefono);
+
+  function agregarVisitante() {
+    if (!visitante.nombre.trim() || !claseId || telVisitante.error) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      addVisitante(p, fecha, claseId, { ...visitante, telefono: telVisitante.e164 }, ahoraISO());
+      return p;
+    });
+    setVisitante({ nombre: "", telefono: "", invitadoPor: "" });
+  }
+
+  function volvioVisitante(alumnoId) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      registrarVisita(p, fecha, claseId, alumnoId, ahoraISO());
+      return p;
+    });
+  }
+
+  function hacerAlumno(a) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      return promoverVisitante(p, a.id, ahoraISO()) ? p : prev;
+    }, { aviso: `${a.nombre} ahora es alumno de ${clase.nombre} (con sus ${contarVisitas(state, a.id)} visitas).` });
+  }
+
+  // Los dados de baja no aparecen desde su fecha de baja (sí en fechas anteriores o si ya tienen registro)
+  const alumnos = (clase?.alumnos || []).filter((a) => !a.visitante && (activoEn(a, fecha) || registrosClase[a.id]));
+  const visitantes = (clase?.alumnos || []).filter((a) => a.visitante);
+  const visitantesHoy = visitantes.filter((a) => registrosClase[a.id]);
+  const visitantesPrevios = visitantes.filter((a) => !registrosClase[a.id]);
+  // Para los mensajes: racha de cada alumno de la clase ({semanas} en las plantillas)
+  const personas = useMemo(
+    () => new Map(estadisticasPersonas(state, new Set(alumnos.map((a) => a.id))).map((p) => [p.alumnoId, p])),
+    [state, claseId, fecha],
+  );
+  const ausentes = alumnos.filter((a) => cuentaDe(estados, registrosClase[a.id]) === "ausente").map((a) => personas.get(a.id)).filter(Boolean);
+  const porSigla = new Map(estadosActivos.filter((e) => e.sigla).map((e) => [e.sigla.toLowerCase(), e.id]));
+  const presentes = alumnos.filter((a) => asistio(registrosClase[a.id])).length;
+  const visitas = Object.values(registrosClase).filter((r) => r.visitante && asistio(r)).length;
+  const total = alumnos.length;
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-4">
+        <div className="grid sm:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label>Fecha de la sesión</Label>
+            <div className="flex items-center gap-1">
+              <Button variant="ghost" size="sm" title="Sesión anterior" disabled={!clase} onClick={() => setFecha(ajustarAClase(clase, fecha, -1))}>‹</Button>
+              <Input type="date" value={fecha} onChange={(e) => e.target.value && setFecha(e.target.value)} />
+              <Button variant="ghost" size="sm" title="Sesión siguiente" disabled={!clase} onClick={() => setFecha(ajustarAClase(clase, fecha, 1))}>›</Button>
+            </div>
+            {diasEn(clase, fecha)?.length > 0 && <p className="text-[11px] text-muted-foreground">{formatFecha(fecha, { largo: true })}. {clase.nombre} se reúne: {diasEn(clase, fecha).map((d) => DIAS_SEMANA[d].toLowerCase()).join(", ")}.</p>}
+          </div>
+          <div className="space-y-1">
+            <Label>Clase</Label>
+            <Select value={claseId} onValueChange={setClaseId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Seleccione una clase" />
+              </SelectTrigger>
+              <SelectContent>
+                {clases.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>{c.nombre} — Docente: {c.docente || "(sin asignar)"}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-end gap-2">
+            <Badge className="h-9 flex items-center"><CalendarDays className="w-4 h-4 mr-1" /> {presentes}/{total} presentes</Badge>
+            {visitas > 0 && <Badge variant="secondary" className="h-9 flex items-center">+{visitas} {visitas === 1 ? "visitante" : "visitantes"}</Badge>}
+          </div>
+        </div>
+
+        {suspension ? (
+          <div className="flex items-center justify-between gap-2 border rounded-xl p-3 bg-amber-50">
+            <p className="text-sm">
+              Sesión suspendida{suspension.classId ? "" : " para todas las clases"}{suspension.motivo && `: ${suspension.motivo}`}. Lo que se marque en esta fecha no cuenta en las estadísticas.
+            </p>
+            {(suspension.classId || isAdmin(usuario, state)) && <Button variant="secondary" size="sm" onClick={reanudar}>Sí hubo clase</Button>}
+          </div>
+        ) : clase && (
+          <div className="flex justify-end">
+            <Button variant="ghost" size="sm" onClick={suspender}>No hubo clase este día</Button>
+          </div>
+        )}
+
+        {clase && alumnos.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <Button variant="secondary" onClick={() => marcarTodos("presente")}>Marcar todos presentes</Button>
+            <Button variant="secondary" onClick={() => marcarTodos("ausente")}>Marcar todos ausentes</Button>
+            <Button variant="secondary" onClick={copiarSemanaAnterior}>Copiar de la semana anterior</Button>
+            {!suspension && Object.keys(registrosClase).length > 0 && ausentes.length > 0 && (
+              <Button variant="secondary" onClick={() => setEnvio(true)}>Mensaje a los ausentes ({ausentes.length})</Button>
+            )}
+            <label className="flex items-center gap-2 text-sm ml-auto">
+              <Switch checked={teclado} onCheckedChange={(v) => { setTeclado(v); setCursor(0); }} />
+              Modo teclado
+            </label>
+          </div>
+        )}
+        {envio && <EnvioEnSerie key={`${claseId}/${fecha}`} plantillas={state.ajustes.plantillas} destinatarios={ausentes} onClose={() => setEnvio(false)} />}
+
+        {teclado && (
+          <p className="text-xs text-muted-foreground">
+            ↑/↓ para moverse, espacio alterna presente/ausente y cada letra marca un estado y pasa al siguiente: {estadosActivos.map((e) => `${e.sigla} ${e.nombre.toLowerCase()}`).join(", ")}.
+          </p>
+        )}
+
+        <div
+          ref={listaRef}
+          tabIndex={teclado ? 0 : undefined}
+          onKeyDown={onTecla}
+          className="grid md:grid-cols-2 gap-2 outline-none"
+        >
+          {alumnos.map((a, i) => {
+            const reg = registrosClase[a.id] || { nota: "" };
+            const estado = estadoDe(reg) || "ausente";
+            const tel = a.telefono || "";
+            const telHref = normalizePhone(tel);
+            return (
+              <div key={a.id} className={`flex flex-col gap-2 border rounded-xl p-3 ${teclado && i === Math.min(cursor, alumnos.length - 1) ? "ring-2 ring-blue-500" : ""}`}>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{a.nombre}</p>
+                    <p className="text-[11px] text-muted-foreground">{clase.nombre} • Docente: {clase.docente || "(sin asignar)"}</p>
+                  </div>
+                  <div className="flex flex-wrap justify-end gap-1">
+                    {estadosActivos.map((e) => (
+                      <Button
+                        key={e.id}
+                        variant={estado === e.id ? (e.cuenta === "ausente" ? "destructive" : "default") : "ghost"}
+                        className="h-8 px-2 text-xs"
+                        title={e.nombre}
+                        onClick={() => marcarEstado(a.id, e.id)}
+                      >
+                        {e.nombre}
+                      </Button>
+                    ))}
+                    {estados.get(estado)?.activo === false && <Badge variant="secondary">{estados.get(estado).nombre}</Badge>}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-5 gap-2">
+                  <div className="col-span-3">
+                    <TelefonoInput
+                      placeholder="Teléfono del alumno"
+                      value={tel}
+                      onChange={(telefono) => setTelefono(a.id, telefono)}
+                    />
+                  </div>
+                  <div className="col-span-2 flex items-center gap-3 text-[12px]">
+                    <span className="text-muted-foreground">📞 {formatTelefono(tel) || "—"}</span>
+                    {telHref && <a className="underline" href={`tel:${telHref}`}>Llamar</a>}
+                    {personas.has(a.id) && <MensajeLinks plantillas={state.ajustes.plantillas} persona={personas.get(a.id)} />}
+                  </div>
+                </div>
+
+                <Textarea
+                  className="min-h-[40px]"
+                  placeholder="Nota breve (opcional): motivo de ausencia, seguimiento, etc."
+                  value={reg.nota || ""}
+                  onChange={(e) => setNota(a.id, e.target.value)}
+                />
+              </div>
+            );
+          })}
+          {clase && total === 0 && <p className="text-sm text-muted-foreground italic">Agregue alumnos a esta clase en Configuración.</p>}
+          {!clase && (
+            <p className="text-sm text-muted-foreground italic">
+              {usuario ? "No tiene clases asignadas. Pida a un administrador que lo ponga como docente de su clase." : "Inicie sesión en Configuración para tomar asistencia."}
+            </p>
+          )}
+        </div>
+
+        {clase && (
+          <div className="border rounded-xl p-3 space-y-2">
+            <h4 className="font-semibold flex items-center gap-2"><UserRoundPlus className="w-4 h-4" /> Visitantes</h4>
+            <div className="grid sm:grid-cols-4 gap-2">
+              <Input placeholder="Nombre del visitante" value={visitante.nombre} onChange={(e) => setVisitante((v) => ({ ...v, nombre: e.target.value }))} />
+              <div className="space-y-0.5">
+                <Input className={telVisitante.error ? "border-red-500" : ""} placeholder="Teléfono (opcional)" value={visitante.telefono} onChange={(e) => setVisitante((v) => ({ ...v, telefono: e.target.value }))} />
+                {telVisitante.error && <p className="text-[11px] text-red-700">{telVisitante.error}</p>}
+              </div>
+              <Input placeholder="Invitado por (opcional)" value={visitante.invitadoPor} onChange={(e) => setVisitante((v) => ({ ...v, invitadoPor: e.target.value }))} />
+              <Button disabled={!visitante.nombre.trim() || !!telVisitante.error} onClick={agregarVisitante}>Registrar presente</Button>
+            </div>
+
+            {visitantesHoy.map((a) => (
+              <div key={a.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-1">
+                <div>
+                  <p className="text-sm font-medium">{a.nombre} <span className="text-xs text-muted-foreground">· {contarVisitas(state, a.id)}ª visita</span></p>
+                  <p className="text-[11px] text-muted-foreground">
+                    {a.telefono && `📞 ${formatTelefono(a.telefono)} · `}{a.visitante.invitadoPor ? `Invitado por ${a.visitante.invitadoPor}` : "Sin invitación registrada"}
+                  </p>
+                </div>
+                <Button variant="secondary" size="sm" onClick={() => hacerAlumno(a)}>Hacer alumno</Button>
+              </div>
+            ))}
+
+            {visitantesPrevios.length > 0 && (
+              <div className="space-y-1">
+                <p className="text-xs text-muted-foreground">Visitantes anteriores de esta clase:</p>
+                {visitantesPrevios.map((a) => (
+                  <div key={a.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-1 bg-slate-50">
+                    <span className="text-sm">{a.nombre} <span className="text-xs text-muted-foreground">· {contarVisitas(state, a.id)} visita(s) desde {formatFecha(a.visitante.desde)}</span></span>
+                    <div className="flex items-center gap-1">
+                      <Button variant="secondary" size="sm" onClick={() => volvioVisitante(a.id)}>Volvió hoy</Button>
+                      <Button variant="ghost" size="sm" onClick={() => hacerAlumno(a)}>Hacer alumno</Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Estadísticas por Fecha ==================
+
+function StatsByDate({ state }) {
+  const serie = useMemo(() => {
+    const estados = mapaEstados(state);
+    const map = {};
+    for (const [f, porClase] of Object.entries(state.asistencias)) {
+      let count = 0;
+      let visitantes = 0;
+      for (const cId of Object.keys(porClase)) {
+        for (const aId of Object.keys(porClase[cId])) {
+          if (cuentaDe(estados, porClase[cId][aId]) !== "presente") continue;
+          count += 1;
+          if (porClase[cId][aId].visitante) visitantes += 1;
+        }
+      }
+      map[f] = { total: count, visitantes };
+    }
+    const arr = Object.entries(map)
+      .map(([fecha, v]) => ({ fecha, ...v }))
+      .sort((a, b) => a.fecha.localeCompare(b.fecha));
+    return arr;
+  }, [state.asistencias, state.estados]);
+
+  const ranking = useMemo(() => {
+    return [...serie].sort((a, b) => b.total - a.total);
+  }, [serie]);
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-4">
+      <Card className="lg:col-span-2">
+        <CardContent className="p-4">
+          <h3 className="font-semibold mb-2 flex items-center gap-2"><LineChart className="w-4 h-4"/> Tendencia de asistencia por fecha</h3>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <RLineChart data={serie} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="fecha" tickFormatter={(f) => formatFecha(f)} tick={{ fontSize: 10 }} angle={-25} textAnchor="end" height={50} />
+                <YAxis allowDecimals={false} />
+                <Tooltip labelFormatter={(f) => formatFecha(f, { largo: true })} />
+                <Line type="monotone" dataKey="total" name="presentes" strokeWidth={2} dot={{ r: 2 }} />
+                <Line type="monotone" dataKey="visitantes" strokeWidth={1} strokeDasharray="4 2" dot={{ r: 2 }} />
+              </RLineChart>
+            </ResponsiveContainer>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-4 space-y-3">
+          <h3 className="font-semibold">Fechas fuertes vs débiles</h3>
+          {ranking.length === 0 && <p className="text-sm text-muted-foreground">Aún no hay datos.</p>}
+          {ranking.slice(0, 5).map((r, idx) => (
+            <div key={r.fecha} className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Badge variant={idx === 0 ? "default" : "secondary"}>{idx + 1}</Badge>
+                <span className="text-sm">{formatFecha(r.fecha)}</span>
+              </div>
+              <span className="text-sm font-medium">{r.total}{r.visitantes > 0 && <span className="text-xs text-muted-foreground"> (incl. {r.visitantes} visitantes)</span>}</span>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardContent className="p-4">
+          <h3 className="font-semibold mb-2">Breakdown por clase (última fecha tomada)</h3>
+          <ClassBreakdownLast state={state} />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function ClassBreakdownLast({ state }) {
+  const ultimaFecha = useMemo(() => {
+    const fechas = Object.keys(state.asistencias).sort();
+    return fechas[fechas.length - 1];
+  }, [state.asistencias]);
+
+  const data = useMemo(() => {
+    if (!ultimaFecha) return [];
+    const porClase = state.asistencias[ultimaFecha] || {};
+    const estados = mapaEstados(state);
+    return state.clases.map((c) => {
+      const registros = porClase[c.id] || {};
+      let presentes = 0;
+      for (const aId of Object.keys(registros)) if (cuentaDe(estados, registros[aId]) === "presente") presentes += 1;
+      return { clase: c.nombre, presentes };
+    });
+  }, [state.asistencias, state.clases, state.estados, ultimaFecha]);
+
+  if (!ultimaFecha) return <p className="text-sm text-muted-foreground">Sin registros todavía.</p>;
+
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="clase" tick={{ fontSize: 12 }} />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Bar dataKey="presentes" />
+        </BarChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-muted-foreground mt-2">Última fecha registrada: {formatFecha(ultimaFecha, { largo: true })}</p>
+    </div>
+  );
+}
+
+// ================== UI: Estadísticas por Persona ==================
+function StatsByPerson({ state, setState, usuario }) {
+  const personas = useMemo(() => {
+    const porPersona = estadisticasPersonas(state).map((p) => {
+      const motivos = motivosAlerta(p, reglasDeClase(state, p.classId));
+      return { ...p, motivos, abandono: motivos.length > 0 };
+    });
+
+    porPersona.sort((a, b) => {
+      if (!a.baja !== !b.baja) return a.baja ? 1 : -1; // inactivos al final
+      if (!a.visitante !== !b.visitante) return a.visitante ? 1 : -1; // y antes, los visitantes
+      if (a.abandono !== b.abandono) return b.abandono - a.abandono;
+      if (a.currentAbsentStreak !== b.currentAbsentStreak) return b.currentAbsentStreak - a.currentAbsentStreak;
+      return a.nombre.localeCompare(b.nombre);
+    });
+
+    return porPersona;
+  }, [state]);
+
+  const [filtro, setFiltro] = useState("");
+  const digitosFiltro = filtro.replace(/\D/g, ""); // "8888 8888" encuentra "+50688888888"
+
+  const filtrados = personas.filter((p) => (
+    p.nombre.toLowerCase().includes(filtro.toLowerCase()) ||
+    (p.telefono || "").includes(filtro) ||
+    (!!digitosFiltro && (p.telefono || "").replace(/\D/g, "").includes(digitosFiltro)) ||
+    p.clase.toLowerCase().includes(filtro.toLowerCase()) ||
+    (p.docente || "").toLowerCase().includes(filtro.toLowerCase())
+  ));
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-4">
+        <div className="flex items-end gap-3">
+          <div className="grow">
+            <Label>Buscar</Label>
+            <Input placeholder="Filtrar por nombre, clase, docente o teléfono" value={filtro} onChange={(e) => setFiltro(e.target.value)} />
+          </div>
+          <Badge variant="secondary">{filtrados.length} personas</Badge>
+        </div>
+
+        <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-3">
+          {filtrados.map((p) => (
+            <div key={p.alumnoId} className={`border rounded-xl p-3 ${p.abandono ? "bg-red-50" : p.baja ? "bg-slate-50 opacity-75" : "bg-background"}`}>
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-semibold leading-tight">{p.nombre}</p>
+                  <p className="text-[11px] text-muted-foreground">{p.clase} • Docente: {p.docente || "(sin asignar)"}</p>
+                  {p.antes.length > 0 && <p className="text-[11px] text-muted-foreground">Antes en: {p.antes.join(", ")}</p>}
+                  {p.visitante && <p className="text-[11px] text-muted-foreground">Visitante desde {formatFecha(p.visitante.desde)}{p.visitante.invitadoPor && ` · invitado por ${p.visitante.invitadoPor}`}</p>}
+                  {p.baja && <p className="text-[11px] text-muted-foreground">Inactivo desde {formatFecha(p.baja.fecha)}{p.baja.motivo && ` (${p.baja.motivo})`}</p>}
+                  {p.telefono && <p className="text-[11px] text-muted-foreground">📞 {formatTelefono(p.telefono)} <MensajeLinks plantillas={state.ajustes.plantillas} persona={p} /></p>}
+                  {p.justificadas > 0 && <p className="text-[11px] text-muted-foreground">{p.justificadas} ausencia(s) justificada(s), fuera del %</p>}
+                </div>
+                <Badge variant={p.abandono ? "destructive" : "secondary"}>
+                  {p.porcentaje}%
+                </Badge>
+              </div>
+              <div className="grid grid-cols-2 gap-2 text-sm mt-2">
+                <div className="border rounded-lg p-2">
+                  <p className="text-[11px] text-muted-foreground">Última asistencia</p>
+                  <p className="font-medium">{p.lastAttendance ? formatFecha(p.lastAttendance) : "—"}</p>
+                </div>
+                <div className="border rounded-lg p-2">
+                  <p className="text-[11px] text-muted-foreground">Racha de ausencias</p>
+                  <p className="font-medium">{p.currentAbsentStreak} semana(s)</p>
+                </div>
+              </div>
+              {p.abandono && (
+                <div className="mt-2 space-y-1">
+                  <p className="text-xs text-red-700">⚠️ Alerta: {p.nombre} {p.motivos.map((m) => m.texto).join(" y ")}.</p>
+                  <SeguimientoBoton state={state} setState={setState} usuario={usuario} persona={p} />
+                </div>
+              )}
+            </div>
+          ))}
+          {filtrados.length === 0 && (
+            <p className="text-sm text-muted-foreground italic">No hay personas que coincidan con el filtro.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Alertas ==================
+const ALERTA_VISTAS = { pendientes: "Pendientes", pospuestas: "Pospuestas", resueltas: "Resueltas" };
+
+function AlertasView({ state, setState, usuario }) {
+  const [vista, setVista] = useState("pendientes");
+  const [posponer, setPosponer] = useState(null); // { id, hasta } mientras se elige la fecha
+  const hoy = hoyLocal();
+  const alertas = useMemo(() => calcularAlertas(state), [state]);
+  const grupos = {
+    pendientes: alertas.filter((a) => alertaPendiente(a, hoy)),
+    pospuestas: alertas.filter((a) => a.estado === "pospuesta" && a.hasta > hoy),
+    resueltas: alertas.filter((a) => a.estado === "resuelta"),
+  };
+  const lista = [...grupos[vista]].sort((a, b) => (a.estado === "nueva") !== (b.estado === "nueva") ? (a.estado === "nueva" ? -1 : 1) : b.persona.currentAbsentStreak - a.persona.currentAbsentStreak);
+
+  function cambiar(alerta, campos) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      setAlerta(p, alerta, campos, ahoraISO());
+      return p;
+    });
+    setPosponer(null);
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {Object.entries(ALERTA_VISTAS).map(([k, texto]) => (
+            <Button key={k} variant={vista === k ? "default" : "ghost"} onClick={() => setVista(k)}>
+              {texto} <Badge variant="secondary" className="ml-1">{grupos[k].length}</Badge>
+            </Button>
+          ))}
+          <p className="text-xs text-muted-foreground ml-auto">Las reglas se configuran en Configuración → Alertas de abandono.</p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-3">
+          {lista.map((a) => {
+            const p = a.persona;
+            const puede = canEditClass(usuario, state, p.classId);
+            return (
+              <div key={a.id} className={`border rounded-xl p-3 space-y-2 ${a.estado === "nueva" ? "bg-red-50" : "bg-background"}`}>
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className="font-semibold leading-tight">{p.nombre}</p>
+                    <p className="text-[11px] text-muted-foreground">{p.clase} • Docente: {p.docente || "(sin asignar)"}</p>
+                    {p.telefono && <p className="text-[11px] text-muted-foreground">📞 {formatTelefono(p.telefono)} {normalizePhone(p.telefono) && <a className="underline" href={`tel:${normalizePhone(p.telefono)}`}>Llamar</a>} <MensajeLinks plantillas={state.ajustes.plantillas} persona={p} /></p>}
+                  </div>
+                  <Badge variant={a.estado === "nueva" ? "destructive" : "secondary"}>
+                    {ALERTA_ESTADOS[a.estado]}{a.estado === "pospuesta" && ` hasta ${formatFecha(a.hasta)}`}
+                  </Badge>
+                </div>
+                <p className="text-sm text-red-700">⚠️ {p.nombre} {a.motivos.map((m) => m.texto).join(" y ")}.</p>
+                <p className="text-[11px] text-muted-foreground">Última asistencia: {p.lastAttendance ? formatFecha(p.lastAttendance) : "nunca"}</p>
+                <SeguimientoBoton state={state} setState={setState} usuario={usuario} persona={p} alertas={[a]} />
+                {puede && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    {a.estado === "nueva" && <Button variant="secondary" size="sm" onClick={() => cambiar(a, { estado: "vista" })}>Marcar vista</Button>}
+                    {a.estado !== "resuelta" && (posponer?.id === a.id ? (
+                      <>
+                        <Input type="date" className="h-8 w-40" min={sumarDias(hoy, 1)} value={posponer.hasta} onChange={(e) => setPosponer({ id: a.id, hasta: e.target.value })} />
+                        <Button variant="secondary" size="sm" disabled={!(posponer.hasta > hoy)} onClick={() => cambiar(a, { estado: "pospuesta", hasta: posponer.hasta })}>Posponer</Button>
+                        <Button variant="ghost" size="sm" onClick={() => setPosponer(null)}>Cancelar</Button>
+                      </>
+                    ) : (
+                      <Button variant="secondary" size="sm" onClick={() => setPosponer({ id: a.id, hasta: sumarDias(hoy, 7) })}>Posponer…</Button>
+                    ))}
+                    {a.estado !== "resuelta" && <Button size="sm" onClick={() => cambiar(a, { estado: "resuelta" })}>Resolver</Button>}
+                    {(a.estado === "resuelta" || vista === "pospuestas") && <Button variant="ghost" size="sm" onClick={() => cambiar(a, { estado: "nueva" })}>Reabrir</Button>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {!lista.length && <p className="text-sm text-muted-foreground italic">{vista === "pendientes" ? "No hay alertas pendientes. 🎉" : "Nada por aquí."}</p>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Seguimiento pastoral ==================
+// Botón para abrir un caso desde una persona con alerta (estadísticas o bandeja de alertas)
+function SeguimientoBoton({ state, setState, usuario, persona, alertas = [] }) {
+  if (!canEditClass(usuario, state, persona.classId)) return null;
+  const caso = casoAbierto(state, persona.alumnoId);
+  if (caso) return <span className="text-[11px] text-muted-foreground">En seguimiento{caso.responsable && ` · ${caso.responsable}`}</span>;
+  return (
+    <Button
+      variant="secondary"
+      size="sm"
+      onClick={() => setState((prev) => {
+        const p = deepClone(prev);
+        const at = ahoraISO();
+        abrirSeguimiento(p, persona, { responsable: usuario?.nombre || persona.docente || "", fecha: hoyLocal() }, at);
+        for (const alerta of alertas.filter((a) => a.estado === "nueva")) setAlerta(p, alerta, { estado: "vista" }, at);
+        return p;
+      })}
+    >
+      Abrir seguimiento
+    </Button>
+  );
+}
+
+const contactoVacio = () => ({ fecha: hoyLocal(), canal: CONTACTO_CANALES[0], resultado: CONTACTO_RESULTADOS[0], nota: "" });
+
+// El campo "Responsable" sugiere de la lista "ibbla-responsables", que SeguimientoView dibuja una sola vez
+function CasoCard({ caso, persona, puede, plantillas, onEdit, onContacto }) {
+  const [contacto, setContacto] = useState(null); // formulario de contacto nuevo, mientras está abierto
+  const hoy = hoyLocal();
+  const vencida = caso.estado === "abierto" && caso.proxima?.fecha && caso.proxima.fecha <= hoy;
+
+  function cerrar() {
+    const nota = prompt(`¿Cerrar el seguimiento de ${persona?.nombre || "esta persona"}? Nota de cierre (opcional):`);
+    if (nota === null) return;
+    onEdit({ estado: "cerrado", cierre: { fecha: hoy, motivo: "manual", nota: nota.trim() } });
+  }
+
+  return (
+    <div className={`border rounded-xl p-3 space-y-2 ${vencida ? "bg-amber-50" : "bg-background"}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="font-semibold leading-tight">{persona?.nombre || "(persona borrada)"}</p>
+          <p className="text-[11px] text-muted-foreground">
+            {persona?.clase} • abierto el {formatFecha(caso.abierto)}{caso.reabierto && ` · reabierto el ${formatFecha(caso.reabierto)}`}
+          </p>
+          {persona?.telefono && <p className="text-[11px] text-muted-foreground">📞 {formatTelefono(persona.telefono)} {normalizePhone(persona.telefono) && <a className="underline" href={`tel:${normalizePhone(persona.telefono)}`}>Llamar</a>} <MensajeLinks plantillas={plantillas} persona={persona} /></p>}
+          {persona && caso.estado === "abierto" && <p className="text-[11px] text-muted-foreground">Racha actual: {persona.currentAbsentStreak} semana(s) · última asistencia: {persona.lastAttendance ? formatFecha(persona.lastAttendance) : "nunca"}</p>}
+        </div>
+        <Badge variant={caso.estado === "abierto" ? "destructive" : "secondary"}>{caso.estado === "abierto" ? "Abierto" : "Cerrado"}</Badge>
+      </div>
+
+      {caso.cierre && (
+        <p className="text-xs">
+          {caso.cierre.motivo === "volvio" ? `✅ Volvió a asistir el ${formatFecha(caso.cierre.fecha)}.` : `Cerrado el ${formatFecha(caso.cierre.fecha)}.`}
+          {caso.cierre.nota && ` ${caso.cierre.nota}`}
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="space-y-1">
+          <Label className="text-xs">Responsable</Label>
+          <Input className="h-8" list="ibbla-responsables" disabled={!puede} value={caso.responsable} onChange={(e) => onEdit({ responsable: e.target.value })} />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">Próxima acción {vencida && <span className="text-amber-700">(pendiente)</span>}</Label>
+          <div className="flex gap-1">
+            <Input
+              type="date"
+              className="h-8 w-36"
+              disabled={!puede}
+              value={caso.proxima?.fecha || ""}
+              onChange={(e) => onEdit({ proxima: e.target.value ? { accion: "", ...caso.proxima, fecha: e.target.value } : null })}
+            />
+            <Input
+              className="h-8"
+              placeholder="Qué hacer"
+              disabled={!puede || !caso.proxima}
+              value={caso.proxima?.accion || ""}
+              onChange={(e) => onEdit({ proxima: { ...caso.proxima, accion: e.target.value } })}
+            />
+          </div>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <p className="text-xs font-medium">Contactos ({caso.contactos.length})</p>
+        {caso.contactos.map((k) => (
+          <p key={k.id} className="text-xs border rounded-lg px-2 py-1">
+            <b>{formatFecha(k.fecha)}</b> · {k.canal} · {k.resultado}{k.nota && ` — ${k.nota}`}
+            {k.por && <span className="text-muted-foreground"> ({k.por})</span>}
+          </p>
+        ))}
+        {contacto && (
+          <div className="grid sm:grid-cols-2 gap-2 border rounded-lg p-2">
+            <Input type="date" className="h-8" value={contacto.fecha} onChange={(e) => setContacto((c) => ({ ...c, fecha: e.target.value }))} />
+            <Input className="h-8" placeholder="Nota (qué dijo, cómo está…)" value={contacto.nota} onChange={(e) => setContacto((c) => ({ ...c, nota: e.target.value }))} />
+            <Select value={contacto.canal} onValueChange={(canal) => setContacto((c) => ({ ...c, canal }))}>
+              <SelectTrigger>
+                <SelectValue placeholder="Canal" />
+              </SelectTrigger>
+              <SelectContent>
+                {CONTACTO_CANALES.map((x) => <SelectItem key={x} value={x}>{x}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <Select value={contacto.resultado} onValueChange={(resultado) => setContacto((c) => ({ ...c, resultado }))}>
+              <SelectTrigger>
+                <SelectValue placeholder="Resultado" />
+              </SelectTrigger>
+              <SelectContent>
+                {CONTACTO_RESULTADOS.map((x) => <SelectItem key={x} value={x}>{x}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <div className="flex gap-2">
+              <Button size="sm" disabled={!esFechaISO(contacto.fecha)} onClick={() => { onContacto({ ...contacto, nota: contacto.nota.trim() }); setContacto(null); }}>Guardar contacto</Button>
+              <Button variant="ghost" size="sm" onClick={() => setContacto(null)}>Cancelar</Button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {puede && (
+        <div className="flex flex-wrap gap-1">
+          {!contacto && <Button variant="secondary" size="sm" onClick={() => setContacto(contactoVacio())}>Anotar contacto</Button>}
+          {caso.estado === "abierto"
+            ? <Button variant="ghost" size="sm" onClick={cerrar}>Cerrar caso</Button>
+            : <Button variant="ghost" size="sm" onClick={() => onEdit({ estado: "abierto", reabierto: hoyLocal(), ultimaAsistencia: persona?.lastAttendance || null, cierre: null })}>Reabrir</Button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SeguimientoView({ state, setState, usuario }) {
+  const [vista, setVista] = useState("abierto");
+  const [soloMios, setSoloMios] = useState(false);
+  const personas = useMemo(() => new Map(estadisticasPersonas(state).map((p) => [p.alumnoId, p])), [state]);
+  const responsables = [...new Set([...state.usuarios.map((u) => u.nombre), ...state.clases.map((c) => c.docente)].filter(Boolean))].sort();
+  const casos = state.seguimientos
+    .filter((c) => c.estado === vista)
+    .filter((c) => !soloMios || normalizeName(c.responsable) === normalizeName(usuario?.nombre))
+    // primero los de próxima acción más cercana; los cerrados, el más reciente primero
+    .sort((a, b) => (vista === "abierto"
+      ? (a.proxima?.fecha || "9999").localeCompare(b.proxima?.fecha || "9999")
+      : (b.cierre?.fecha || "").localeCompare(a.cierre?.fecha || "")));
+  const sinCaso = alertasPorPersona(calcularAlertas(state)).filter((a) => !casoAbierto(state, a.persona.alumnoId) && canEditClass(usuario, state, a.persona.classId));
+
+  function editar(casoId, campos) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      editSeguimiento(p, casoId, campos, ahoraISO());
+      return p;
+    });
+  }
+
+  function contacto(casoId, datos) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      registrarContacto(p, casoId, { ...datos, por: usuario?.nombre || null }, ahoraISO());
+      return p;
+    });
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant={vista === "abierto" ? "default" : "ghost"} onClick={() => setVista("abierto")}>Abiertos</Button>
+          <Button variant={vista === "cerrado" ? "default" : "ghost"} onClick={() => setVista("cerrado")}>Cerrados</Button>
+          {usuario && (
+            <label className="flex items-center gap-2 text-sm ml-auto">
+              <Switch checked={soloMios} onCheckedChange={setSoloMios} /> Solo donde soy responsable
+            </label>
+          )}
+        </div>
+
+        {vista === "abierto" && sinCaso.length > 0 && (
+          <div className="border rounded-xl p-3 space-y-1">
+            <p className="text-sm font-medium">Con alerta y sin seguimiento</p>
+            {sinCaso.map((a) => (
+              <div key={a.id} className="flex items-center justify-between gap-2 text-sm">
+                <span>{a.persona.nombre} <span className="text-xs text-muted-foreground">· {a.persona.clase} · {a.motivos.map((m) => m.texto).join(" y ")}</span></span>
+                <SeguimientoBoton state={state} setState={setState} usuario={usuario} persona={a.persona} alertas={a.alertas} />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-2 gap-3">
+          {casos.map((c) => (
+            <CasoCard
+              key={c.id}
+              caso={c}
+              persona={personas.get(c.alumnoId)}
+              puede={canEditClass(usuario, state, c.classId)}
+              plantillas={state.ajustes.plantillas}
+              onEdit={(campos) => editar(c.id, campos)}
+              onContacto={(datos) => contacto(c.id, datos)}
+            />
+          ))}
+          {!casos.length && <p className="text-sm text-muted-foreground italic">{vista === "abierto" ? "No hay casos abiertos." : "No hay casos cerrados."}</p>}
+        </div>
+        <datalist id="ibbla-responsables">
+          {responsables.map((r) => <option key={r} value={r} />)}
+        </datalist>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Historial de cambios ==================
+const AUDIT_TIPOS = { asistencia: "Asistencia", alumno: "Alumno", clase: "Clase", usuario: "Usuario", estado: "Estado de asistencia", suspension: "Sesión suspendida", ajustes: "Ajustes", alerta: "Alerta", seguimiento: "Seguimiento", masivo: "Cambio masivo", borrado: "Borrado definitivo" };
+const AUDIT_CAMPOS = { presente: "presente", estado: "estado", sigla: "sigla", cuenta: "cuenta como", activo: "activo", nota: "nota", telefono: "teléfono", nacimiento: "nacimiento", baja: "baja", visitante: "visitante", nombre: "nombre", docente: "docente", rango: "rango", dias: "días de clase", motivo: "motivo", zonaHoraria: "zona horaria", codigoPais: "código de país", hasta: "hasta", responsable: "responsable", proxima: "próxima acción", contactos: "contactos", plantillas: "plantillas", cierre: "cierre", rol: "rol", classId: "clase" };
+const AUDIT_LIMITE = 200;
+
+function formatValor(v) {
+  if (v === true) return "sí";
+  if (v === false) return "no";
+  if (v === undefined || v === null || v === "") return "—";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+function describeAudit(h, nombreClase) {
+  if (h.resumen) return h.resumen;
+  if (!h.antes) return "creado";
+  if (!h.despues) return "eliminado";
+  const campos = [...new Set([...Object.keys(h.antes), ...Object.keys(h.despues)])]
+    .filter((k) => JSON.stringify(h.antes[k]) !== JSON.stringify(h.despues[k]));
+  return [...(h.claveRenovada ? ["clave de acceso renovada"] : []), ...campos.map((k) => {
+    if (k === "plantillas") return `${AUDIT_CAMPOS.plantillas} de mensajes editadas`;
+    if (k === "contactos") return `${AUDIT_CAMPOS.contactos}: ${(h.antes[k] || []).length} → ${(h.despues[k] || []).length}`;
+    const fmt = k === "classId" ? nombreClase : formatValor;
+    return `${AUDIT_CAMPOS[k] || k}: ${fmt(h.antes[k])} → ${fmt(h.despues[k])}`;
+  })].join("; ");
+}
+
+function HistorialView({ state, setState, usuario }) {
+  const [claseId, setClaseId] = useState("");
+  const [fecha, setFecha] = useState("");
+  const [texto, setTexto] = useState("");
+
+  const nombreClase = (id) => state.clases.find((c) => c.id === id)?.nombre || formatValor(id);
+
+  const entradas = useMemo(() => {
+    const t = texto.toLowerCase();
+    return state.historial
+      .filter((h) => !claseId || h.classId === claseId || h.antes?.classId === claseId || h.despues?.classId === claseId)
+      .filter((h) => !fecha || h.fecha === fecha || (h.at && fechaLocal(h.at) === fecha))
+      .filter((h) => !t || (h.etiqueta || "").toLowerCase().includes(t) || (h.usuario?.nombre || "").toLowerCase().includes(t))
+      .slice()
+      .reverse();
+  }, [state.historial, claseId, fecha, texto]);
+
+  const lotes = useMemo(() => {
+    const m = new Map();
+    for (const h of state.historial) m.set(h.lote, [...(m.get(h.lote) || []), h]);
+    return m;
+  }, [state.historial]);
+
+  function revertir(h) {
+    const lote = lotes.get(h.lote);
+    const actual = auditRecords(state);
+    const cambiadoDespues = lote.some((x) => JSON.stringify(actual.get(x.ruta)?.valor ?? null) !== JSON.stringify(x.despues));
+    const aviso = cambiadoDespues ? "Este registro cambió después de esta edición; al revertir se perderán esos cambios posteriores. " : "";
+    if (!confirm(`${aviso}¿Revertir ${lote.length > 1 ? `estos ${lote.length} cambios` : "este cambio"}?`)) return;
+    setState((prev) => revertAudit(deepClone(prev), lote, ahoraISO()));
+  }
+
+  return (
+    <Card className="shadow-sm">
+      <CardContent className="p-4 space-y-4">
+        <div className="grid sm:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label>Buscar</Label>
+            <Input placeholder="Alumno, clase o usuario" value={texto} onChange={(e) => setTexto(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label>Fecha</Label>
+            <Input type="date" value={fecha} onChange={(e) => setFecha(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label>Clase</Label>
+            <Select value={claseId} onValueChange={setClaseId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Todas las clases" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="">Todas</SelectItem>
+                {state.clases.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>{c.nombre}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {entradas.slice(0, AUDIT_LIMITE).map((h) => {
+            const lote = lotes.get(h.lote);
+            const revertible = lote.every((x) => canRevertAudit(x, usuario, state));
+            return (
+              <div key={h.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm">
+                    <Badge variant="secondary">{AUDIT_TIPOS[h.tipo] || h.tipo}</Badge>{" "}
+                    <span className="font-medium">{h.etiqueta || ""}</span>{h.fecha && <span className="text-muted-foreground"> • {formatFecha(h.fecha)}</span>}
+                  </p>
+                  <p className="text-xs">{describeAudit(h, nombreClase)}</p>
+                  <p className="text-[11px] text-muted-foreground">{formatInstante(h.at)} • {h.usuario?.nombre || "(sin sesión)"}</p>
+                </div>
+                {revertible && (
+                  <Button variant="secondary" onClick={() => revertir(h)}>Revertir{lote.length > 1 ? ` (${lote.length})` : ""}</Button>
+                )}
+              </div>
+            );
+          })}
+          {entradas.length === 0 && <p className="text-sm text-muted-foreground italic">No hay cambios registrados con estos filtros.</p>}
+          {entradas.length > AUDIT_LIMITE && (
+            <p className="text-xs text-muted-foreground">Mostrando los {AUDIT_LIMITE} cambios más recientes de {entradas.length}. Afine los filtros para ver más.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Conexión (backend) ==================
+// `clave`: la de la sesión actual; el servidor la exige también para leer
+function ConexionCard({ config, clave: claveSesion, onChange }) {
+  const [kind, setKind] = useState(config.kind === "local" ? "appsScript" : config.kind);
+  const [url, setUrl] = useState(config.url || "");
+  const [clave, setClave] = useState(claveSesion || "");
+  const [prueba, setPrueba] = useState(null); // { ok, mensaje, draft }
+  const [probando, setProbando] = useState(false);
+
+  const draft = { kind, url: url.trim() };
+  const probada = { ...draft, clave: normalizeClave(clave) };
+  const probado = prueba?.ok && sameState(prueba.draft, probada);
+
+  async function probar() {
+    const draft = probada;
+    if (!isHttpUrl(draft.url)) {
+      setPrueba({ ok: false, mensaje: "Ingrese una URL que empiece con http:// o https://", draft });
+      return;
+    }
+    setProbando(true);
+    try {
+      const remoto = await createBackend(draft, draft.clave).load();
+      const alumnos = remoto.clases.reduce((n, c) => n + c.alumnos.length, 0);
+      setPrueba({ ok: true, mensaje: `Conexión correcta: ${remoto.clases.length} clases y ${alumnos} alumnos en el servidor.`, draft });
+    } catch (e) {
+      setPrueba({ ok: false, mensaje: e instanceof SchemaVersionError ? e.message : `No se pudo conectar (${e.message}). Revise la URL y los permisos del despliegue.`, draft });
+    } finally {
+      setProbando(false);
+    }
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Conexión</h4>
+          <p className="text-xs text-muted-foreground">
+            {config.kind === "local"
+              ? "Modo local: los datos se guardan solo en este navegador."
+              : `Conectado a ${BACKEND_KINDS[config.kind].nombre}: ${config.url}`}
+          </p>
+        </div>
+
+        <div className="space-y-1">
+          <Label>Tipo de servidor</Label>
+          <Select value={kind} onValueChange={setKind}>
+            <SelectTrigger>
+              <SelectValue placeholder="Seleccione un tipo" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(BACKEND_KINDS).map(([k, b]) => (
+                <SelectItem key={k} value={k}>{b.nombre}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label>URL</Label>
+          <Input placeholder={BACKEND_KINDS[kind].placeholder} value={url} onChange={(e) => setUrl(e.target.value)} />
+        </div>
+
+        <div className="space-y-1">
+          <Label>Su clave de acceso</Label>
+          <Input type="password" placeholder="xxxx-xxxx-… (la que le dio el administrador)" value={clave} onChange={(e) => setClave(e.target.value)} />
+        </div>
+
+        {prueba && sameState(prueba.draft, probada) && (
+          <p className={`text-xs ${prueba.ok ? "text-muted-foreground" : "text-red-700"}`}>{prueba.ok ? "✔" : "⚠️"} {prueba.mensaje}</p>
+        )}
+
+        <div className="flex items-center gap-2">
+          <Button variant="secondary" disabled={probando} onClick={probar}>{probando ? "Probando…" : "Probar conexión"}</Button>
+          <Button disabled={!probado} onClick={() => onChange(draft, probada.clave)}>Guardar y conectar</Button>
+          {config.kind !== "local" && (
+            <Button variant="destructive" onClick={() => {
+              if (!confirm("Se dejará de sincronizar. Los datos de este navegador se conservan. ¿Pasar a modo local?")) return;
+              onChange({ kind: "local" });
+            }}>Desconectar</Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Exportar ==================
+function ExportarCard({ state }) {
+  const [claseId, setClaseId] = useState("");
+  const [sep, setSep] = useState(";");
+
+  function exportarMatriz() {
+    const filas = claseId ? exportMatrixRows(state, claseId) : exportAllMatrixRows(state);
+    downloadFile(`ibbla_asistencia_matriz_${claseId || "todas"}.csv`, toCsv(filas, sep), "text/csv;charset=utf-8");
+  }
+
+  function exportarRegistros() {
+    downloadFile("ibbla_asistencia_registros.csv", toCsv(exportLongRows(state), sep), "text/csv;charset=utf-8");
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Exportar a Excel / Google Sheets</h4>
+          <p className="text-xs text-muted-foreground">
+            Matriz alumnos × fechas por clase (P/A con la nota) o un registro por fila (fecha, clase, docente, alumno, teléfono, presente, nota).
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label>Clase (matriz)</Label>
+            <Select value={claseId} onValueChange={setClaseId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Todas las clases" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="">Todas</SelectItem>
+                {state.clases.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>{c.nombre}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Separador</Label>
+            <Select value={sep} onValueChange={setSep}>
+              <SelectTrigger>
+                <SelectValue placeholder="Separador" />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(CSV_SEPARADORES).map(([s, nombre]) => (
+                  <SelectItem key={s} value={s}>{nombre}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Button onClick={exportarMatriz}>Matriz (CSV)</Button>
+          <Button variant="secondary" onClick={exportarRegistros}>Registros (CSV)</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Promoción anual ==================
+function PromocionCard({ state, setState, usuario }) {
+  const [anio, setAnio] = useState(() => Number(hoyLocal().slice(0, 4)));
+  const [omitidos, setOmitidos] = useState({}); // alumnoId → true si se desmarcó
+  const corte = `${anio}-12-31`; // la edad que cumple en el año
+  const puede = (id) => canEditClass(usuario, state, id);
+  const filas = useMemo(
+    () => promocionReport(state, corte).filter((r) => puede(r.classId)),
+    [state, corte, usuario],
+  );
+  const movibles = filas.filter((r) => r.sugerida && puede(r.sugerida));
+  const seleccionados = movibles.filter((r) => !omitidos[r.alumno.id]);
+  const nombreClase = (id) => state.clases.find((c) => c.id === id)?.nombre;
+
+  function moverSeleccionados() {
+    const at = ahoraISO();
+    setState((prev) => {
+      const p = deepClone(prev);
+      let n = 0;
+      for (const r of seleccionados) if (moveAlumno(p, r.alumno.id, r.sugerida, at)) n += 1;
+      return n ? p : prev;
+    }, { aviso: `Promoción ${anio}: ${seleccionados.length} ${seleccionados.length === 1 ? "alumno movido" : "alumnos movidos"}.` });
+    setOmitidos({});
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-end justify-between gap-2">
+          <div>
+            <h4 className="font-semibold">Promoción anual</h4>
+            <p className="text-xs text-muted-foreground">Alumnos con fecha de nacimiento cuya edad al 31 de diciembre ya no corresponde al rango de su clase.</p>
+          </div>
+          <div className="space-y-1">
+            <Label>Año</Label>
+            <Input type="number" className="h-8 w-24" value={anio} onChange={(e) => setAnio(Number(e.target.value) || Number(hoyLocal().slice(0, 4)))} />
+          </div>
+        </div>
+
+        {filas.length === 0 && <p className="text-sm text-muted-foreground">Nadie cambia de clase por edad en {anio}.</p>}
+        <div className="space-y-1">
+          {filas.map((r) => (
+            <label key={r.alumno.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-1">
+              <span className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  disabled={!movibles.includes(r)}
+                  checked={movibles.includes(r) && !omitidos[r.alumno.id]}
+                  onChange={(e) => setOmitidos((o) => ({ ...o, [r.alumno.id]: !e.target.checked }))}
+                />
+                <span className="font-medium">{r.alumno.nombre}</span>
+                <span className="text-xs text-muted-foreground">{r.edad} años</span>
+              </span>
+              <span className="text-xs">
+                {nombreClase(r.classId)} → {r.sugerida ? nombreClase(r.sugerida) : "ninguna clase para su edad"}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        {movibles.length > 0 && (
+          <Button disabled={!seleccionados.length} onClick={moverSeleccionados}>Mover seleccionados ({seleccionados.length})</Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Personas duplicadas ==================
+function DuplicadosCard({ state, setState, usuario }) {
+  const [busqueda, setBusqueda] = useState(0); // veces que se pidió buscar (0 = todavía no)
+  const [descartados, setDescartados] = useState({}); // par → true ("no son la misma persona"), hasta recargar
+  const [union, setUnion] = useState(null); // { par, conservar: "a" | "b", elecciones: { [fecha]: "conservar" | "quitar" } }
+  // La búsqueda compara todos contra todos: solo a pedido o si cambian las clases, no con cada asistencia
+  // (el conteo de registros queda como estaba al buscar).
+  const encontrados = useMemo(
+    () => (busqueda ? buscarDuplicados(state, (id) => canEditClass(usuario, state, id)) : []),
+    [busqueda, state.clases, usuario],
+  );
+  const pares = encontrados.filter((x) => !descartados[x.id]);
+  const estados = mapaEstados(state);
+  const nombreClase = (id) => state.clases.find((c) => c.id === id)?.nombre || id;
+
+  const [conservar, quitar] = union ? (union.conservar === "a" ? [union.par.a, union.par.b] : [union.par.b, union.par.a]) : [];
+  const conflictos = useMemo(() => (union ? conflictosUnion(state, conservar.alumnoId, quitar.alumnoId) : []), [state, union]);
+  const describir = ({ classId, reg }) => `${estados.get(estadoDe(reg))?.nombre || estadoDe(reg)} en ${nombreClase(classId)}${reg.nota ? ` — "${reg.nota}"` : ""}`;
+
+  function unir() {
+    setState((prev) => {
+      const p = deepClone(prev);
+      return unirPersonas(p, conservar.alumnoId, quitar.alumnoId, union.elecciones, ahoraISO()) ? p : prev;
+    }, { aviso: `${quitar.nombre} unido con ${conservar.nombre}.` });
+    setUnion(null);
+  }
+
+  const persona = (x) => (
+    <div className="min-w-0">
+      <p className="font-medium text-sm truncate">{x.nombre}{x.visitante && " (visitante)"}</p>
+      <p className="text-[11px] text-muted-foreground">{x.clase} · {x.registros} registro(s){x.telefono && ` · 📞 ${formatTelefono(x.telefono)}`}</p>
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <h4 className="font-semibold">Personas duplicadas</h4>
+            <p className="text-xs text-muted-foreground">Nombres parecidos (sin importar tildes ni mayúsculas) o el mismo teléfono, en sus clases. Al unir queda una sola persona con la asistencia de ambas.</p>
+          </div>
+          <Button variant="secondary" onClick={() => setBusqueda((n) => n + 1)}>{busqueda ? "Buscar de nuevo" : "Buscar duplicados"}</Button>
+        </div>
+
+        {busqueda > 0 && pares.length === 0 && <p className="text-sm text-muted-foreground italic">No se encontraron posibles duplicados.</p>}
+        {pares.map((x) => (
+          <div key={x.id} className="border rounded-xl p-3 space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-xs text-muted-foreground">{x.motivos.join(" · ")}</span>
+              <Badge variant={x.puntaje >= 90 ? "destructive" : "secondary"}>{x.puntaje}%</Badge>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {persona(x.a)}
+              {persona(x.b)}
+            </div>
+            {union?.par.id === x.id ? (
+              <div className="space-y-2 border-t pt-2">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span>Conservar a</span>
+                  <Select value={union.conservar} onValueChange={(v) => setUnion((u) => ({ ...u, conservar: v, elecciones: {} }))}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Conservar a" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="a">{x.a.nombre} ({x.a.clase})</SelectItem>
+                      <SelectItem value="b">{x.b.nombre} ({x.b.clase})</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {conflictos.length > 0 && (
+                  <div className="space-y-1">
+                    <p className="text-xs text-muted-foreground">Las dos tienen registro en estas fechas; elija cuál queda (las notas se juntan):</p>
+                    {conflictos.map((k) => {
+                      const eleccion = union.elecciones[k.fecha] || k.sugerido;
+                      return (
+                        <div key={k.fecha} className="flex flex-wrap items-center gap-2 text-xs border rounded-lg px-2 py-1">
+                          <span className="w-28 font-medium">{formatFecha(k.fecha)}</span>
+                          {["conservar", "quitar"].map((lado) => (
+                            <label key={lado} className="flex items-center gap-1">
+                              <input
+                                type="radio"
+                                name={`conflicto-${k.fecha}`}
+                                checked={eleccion === lado}
+                                onChange={() => setUnion((u) => ({ ...u, elecciones: { ...u.elecciones, [k.fecha]: lado } }))}
+                              />
+                              {describir(k[lado])}
+                            </label>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                <p className="text-xs text-muted-foreground">
+                  {quitar.nombre} ({quitar.clase}) se borra; su asistencia pasa a {conservar.nombre} y queda en la clase y fecha donde se tomó.
+                </p>
+                <div className="flex items-center gap-2">
+                  <Button onClick={unir}>Unir</Button>
+                  <Button variant="ghost" onClick={() => setUnion(null)}>Cancelar</Button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-center gap-2">
+                <Button variant="secondary" onClick={() => setUnion({ par: x, conservar: "a", elecciones: {} })}>Unir…</Button>
+                <Button variant="ghost" onClick={() => setDescartados((d) => ({ ...d, [x.id]: true }))}>No son la misma persona</Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Importar alumnos ==================
+const ROSTER_ESTADOS = { ok: "Nuevo", duplicado: "Posible duplicado", "sin-clase": "Sin clase", "sin-permiso": "Sin permiso", "sin-nombre": "Sin nombre" };
+
+function RosterImportCard({ state, setState, usuario }) {
+  const [archivo, setArchivo] = useState(null); // { nombre, encabezados, datos }
+  const [mapeo, setMapeo] = useState({});
+  const [claseDefecto, setClaseDefecto] = useState("");
+  const [marcas, setMarcas] = useState({}); // fila → incluir (cambios manuales sobre la vista previa)
+  const editables = clasesActivas(state).filter((c) => canEditClass(usuario, state, c.id));
+
+  const entradas = useMemo(() => {
+    if (!archivo) return [];
+    return planRosterImport(state, archivo.datos, mapeo, { claseDefecto, puede: (id) => canEditClass(usuario, state, id) })
+      .map((e) => (e.fila in marcas && e.classId && e.nombre && e.estado !== "sin-permiso" ? { ...e, incluir: marcas[e.fila] } : e));
+  }, [archivo, mapeo, claseDefecto, marcas, state, usuario]);
+  const seleccionadas = entradas.filter((e) => e.incluir).length;
+
+  function leer(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const filas = parseCsv(String(reader.result));
+      if (filas.length < 2) {
+        alert("El archivo no tiene filas de datos (la primera fila debe ser el encabezado).");
+        return;
+      }
+      const [encabezados, ...datos] = filas;
+      setArchivo({ nombre: file.name, encabezados, datos });
+      setMapeo(guessRosterMapping(encabezados));
+      setMarcas({});
+    };
+    reader.readAsText(file);
+  }
+
+  function importar() {
+    const at = ahoraISO();
+    setState((prev) => {
+      const p = deepClone(prev);
+      return applyRosterImport(p, entradas, at, (id) => canEditClass(usuario, prev, id)) ? p : prev;
+    }, { aviso: `${seleccionadas} ${seleccionadas === 1 ? "alumno importado" : "alumnos importados"}.` });
+    setArchivo(null);
+  }
 
   return (
-    <div className="grid lg:grid-cols-3 gap-4">
-      <Card className="lg:col-span-2">
-        <CardContent className="p-4">
-          <h3 className="font-semibold mb-2 flex items-center gap-2"><LineChart className="w-4 h-4"/> Tendencia de asistencia por fecha</h3>
-          <div className="h-72">
-            <ResponsiveContainer width="100%" height="100%">
-              <RLineChart data={serie} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="fecha" tick={{ fontSize: 10 }} angle={-25} textAnchor="end" height={50} />
-                <YAxis allowDecimals={false} />
-                <Tooltip />
-                <Line type="monotone" dataKey="total" strokeWidth={2} dot={{ r: 2 }} />
-              </RLineChart>
-            </ResponsiveContainer>
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <h4 className="font-semibold">Importar alumnos desde CSV</h4>
+            <p className="text-xs text-muted-foreground">
+              Exporte la hoja de cálculo como CSV con una fila de encabezados. Indique qué columna es cada dato; la clase puede venir en una columna o deducirse de la fecha de nacimiento.
+            </p>
           </div>
-        </CardContent>
-      </Card>
+          <label className="inline-flex">
+            <Input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) leer(file);
+              e.target.value = "";
+            }} />
+            <Button asChild variant="secondary"><span>Elegir archivo…</span></Button>
+          </label>
+        </div>
 
-      <Card>
-        <CardContent className="p-4 space-y-3">
-          <h3 className="font-semibold">Fechas fuertes vs débiles</h3>
-          {ranking.length === 0 && <p className="text-sm text-muted-foreground">Aún no hay datos.</p>}
-          {ranking.slice(0, 5).map((r, idx) => (
-            <div key={r.fecha} className="flex items-center justify-between">
-              <div className="flex items-center gap-2">
-                <Badge variant={idx === 0 ? "default" : "secondary"}>{idx + 1}</Badge>
-                <span className="text-sm">{r.fecha}</span>
+        {archivo && (
+          <>
+            <p className="text-xs text-muted-foreground">{archivo.nombre}: {archivo.datos.length} filas.</p>
+            <div className="grid md:grid-cols-5 gap-3">
+              {Object.entries(ROSTER_CAMPOS).map(([campo, { label }]) => (
+                <div key={campo} className="space-y-1">
+                  <Label>{label}</Label>
+                  <Select value={mapeo[campo] ?? ""} onValueChange={(v) => setMapeo((m) => ({ ...m, [campo]: v }))}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="(ninguna)" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="">(ninguna)</SelectItem>
+                      {archivo.encabezados.map((h, i) => (
+                        <SelectItem key={i} value={String(i)}>{h || `Columna ${i + 1}`}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+              <div className="space-y-1">
+                <Label>Clase si no se indica</Label>
+                <Select value={claseDefecto} onValueChange={setClaseDefecto}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="(ninguna)" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="">(ninguna)</SelectItem>
+                    {editables.map((c) => (
+                      <SelectItem key={c.id} value={c.id}>{c.nombre}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
               </div>
-              <span className="text-sm font-medium">{r.total}</span>
             </div>
-          ))}
-        </CardContent>
-      </Card>
 
-      <Card className="lg:col-span-3">
+            {mapeo.nombre === "" ? (
+              <p className="text-xs text-red-700">⚠️ Indique qué columna contiene el nombre.</p>
+            ) : (
+              <div className="space-y-1 max-h-96 overflow-auto">
+                {entradas.map((e) => (
+                  <label key={e.fila} className={`flex items-center justify-between gap-2 border rounded-lg px-3 py-1 ${e.estado === "ok" ? "" : "bg-amber-50"}`}>
+                    <span className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={e.incluir}
+                        disabled={!e.classId || !e.nombre || e.estado === "sin-permiso"}
+                        onChange={(ev) => setMarcas((m) => ({ ...m, [e.fila]: ev.target.checked }))}
+                      />
+                      <span className="text-xs text-muted-foreground">{e.fila}.</span>
+                      <span className="font-medium">{e.nombre || "—"}</span>
+                      {e.telefono && (
+                        <span className={`text-xs ${parseTelefono(e.telefono).error ? "text-red-700" : "text-muted-foreground"}`}>
+                          📞 {formatTelefono(normalizePhone(e.telefono)) || `${e.telefono} (${parseTelefono(e.telefono).error}; se guarda como está)`}
+                        </span>
+                      )}
+                      {e.nacimiento && <span className="text-xs text-muted-foreground">🎂 {e.nacimiento}</span>}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {e.classId && <Badge variant="secondary">{state.clases.find((c) => c.id === e.classId)?.nombre}</Badge>}
+                      <Badge variant={e.estado === "ok" ? "default" : "destructive"} title={e.motivo}>{ROSTER_ESTADOS[e.estado]}</Badge>
+                      {e.motivo && <span className="text-xs text-muted-foreground">{e.motivo}</span>}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="flex items-center gap-2">
+              <Button disabled={!seleccionadas} onClick={importar}>Importar {seleccionadas} {seleccionadas === 1 ? "alumno" : "alumnos"}</Button>
+              <Button variant="secondary" onClick={() => setArchivo(null)}>Cancelar</Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Sesión y usuarios ==================
+function SesionCard({ state, usuario, remoto, onLogin, onLogout }) {
+  const [clave, setClave] = useState("");
+  const [error, setError] = useState("");
+
+  // Conectado a un servidor, los usuarios llegan al iniciar sesión (el servidor exige clave)
+  if (isOpenMode(state) && !remoto) {
+    return (
+      <Card>
         <CardContent className="p-4">
-          <h3 className="font-semibold mb-2">Breakdown por clase (última fecha tomada)</h3>
-          <ClassBreakdownLast state={state} />
+          <h4 className="font-semibold">Sesión</h4>
+          <p className="text-xs text-muted-foreground">Modo abierto: cualquiera con el enlace puede editar todo. Cree un usuario administrador en «Usuarios» para activar los permisos por clase.</p>
         </CardContent>
       </Card>
-    </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-2">
+        <h4 className="font-semibold">Sesión</h4>
+        {usuario ? (
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-sm">👤 {usuario.nombre} <span className="text-xs text-muted-foreground">({ROLES[usuario.rol]})</span></p>
+            <Button variant="secondary" onClick={onLogout}>Cerrar sesión</Button>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <Input type="password" placeholder="Clave de acceso (xxxx-xxxx-…)" value={clave} onChange={(e) => setClave(e.target.value)} />
+              <Button onClick={async () => {
+                const ok = await onLogin(clave);
+                setError(ok ? "" : "Clave no reconocida. Si es nueva, espere a que se sincronicen los datos e intente de nuevo.");
+                if (ok) setClave("");
+              }}>Entrar</Button>
+            </div>
+            {error && <p className="text-xs text-red-700">{error}</p>}
+          </>
+        )}
+      </CardContent>
+    </Card>
   );
 }
 
-function ClassBreakdownLast({ state }) {
-  const ultimaFecha = useMemo(() => {
-    const fechas = Object.keys(state.asistencias).sort();
-    return fechas[fechas.length - 1];
-  }, [state.asistencias]);
+function UsuariosCard({ state, setState, usuario, onLogin }) {
+  const abierto = isOpenMode(state);
+  const [nombre, setNombre] = useState("");
+  const [rol, setRol] = useState("docente");
+  const [nuevaClave, setNuevaClave] = useState(null); // { nombre, clave } para mostrar una sola vez
 
-  const data = useMemo(() => {
-    if (!ultimaFecha) return [];
-    const porClase = state.asistencias[ultimaFecha] || {};
-    return state.clases.map((c) => {
-      const registros = porClase[c.id] || {};
-      let presentes = 0;
-      for (const aId of Object.keys(registros)) if (registros[aId]?.presente) presentes += 1;
-      return { clase: c.nombre, presentes };
+  async function guardarUsuario(id, datos) {
+    const clave = generateClave();
+    const claveHash = await sha256Hex(clave);
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      const existente = p.usuarios.find((u) => u.id === id);
+      if (existente) Object.assign(existente, { claveHash, updatedAt: p.updatedAt });
+      else p.usuarios.push({ id, ...datos, claveHash, updatedAt: p.updatedAt });
+      return p;
     });
-  }, [state.asistencias, state.clases, ultimaFecha]);
+    return clave;
+  }
 
-  if (!ultimaFecha) return <p className="text-sm text-muted-foreground">Sin registros todavía.</p>;
+  async function crear() {
+    if (!nombre.trim()) return;
+    // El primer usuario siempre es administrador, y queda con la sesión iniciada
+    const datos = { nombre: nombre.trim(), rol: abierto ? "admin" : rol };
+    const clave = await guardarUsuario(newId(), datos);
+    setNuevaClave({ nombre: datos.nombre, clave });
+    setNombre("");
+    if (abierto) onLogin(clave);
+  }
+
+  function eliminar(id) {
+    const admins = state.usuarios.filter((u) => u.rol === "admin");
+    if (admins.length === 1 && admins[0].id === id) {
+      alert("No se puede eliminar al único administrador.");
+      return;
+    }
+    if (!confirm("¿Eliminar este usuario? Su clave dejará de funcionar.")) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.usuarios = p.usuarios.filter((u) => u.id !== id);
+      markDeleted(p, `usuario/${id}`, p.updatedAt);
+      return p;
+    });
+  }
 
   return (
-    <div className="h-64">
-      <ResponsiveContainer width="100%" height="100%">
-        <BarChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="clase" tick={{ fontSize: 12 }} />
-          <YAxis allowDecimals={false} />
-          <Tooltip />
-          <Bar dataKey="presentes" />
-        </BarChart>
-      </ResponsiveContainer>
-      <p className="text-xs text-muted-foreground mt-2">Última fecha registrada: {ultimaFecha}</p>
-    </div>
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Usuarios</h4>
+          <p className="text-xs text-muted-foreground">
+            Los docentes solo pueden tomar asistencia y editar alumnos de las clases donde su nombre coincide con el campo «Docente».
+            Los coordinadores, de todas las clases. Solo los administradores configuran clases, usuarios, importan y reinician datos.
+          </p>
+        </div>
+
+        {nuevaClave && (
+          <div className="border rounded-lg p-2 text-sm">
+            Clave de acceso de <b>{nuevaClave.nombre}</b>: <code>{nuevaClave.clave}</code>
+            <p className="text-[11px] text-muted-foreground">Entréguela a la persona ahora; no se vuelve a mostrar.</p>
+          </div>
+        )}
+
+        {state.usuarios.map((u) => (
+          <div key={u.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-2">
+            <p className="text-sm">{u.nombre} <span className="text-xs text-muted-foreground">({ROLES[u.rol]})</span>{u.id === usuario?.id && " • usted"}</p>
+            <div className="flex items-center gap-2">
+              <Button variant="secondary" onClick={async () => {
+                if (!confirm(`¿Generar una clave nueva para ${u.nombre}? La anterior dejará de funcionar.`)) return;
+                const clave = await guardarUsuario(u.id);
+                setNuevaClave({ nombre: u.nombre, clave });
+                if (u.id === usuario?.id) onLogin(clave);
+              }}>Nueva clave</Button>
+              <Button variant="destructive" onClick={() => eliminar(u.id)}>Eliminar</Button>
+            </div>
+          </div>
+        ))}
+
+        <div className="grid grid-cols-2 gap-2">
+          <Input placeholder="Nombre (igual que en «Docente»)" value={nombre} onChange={(e) => setNombre(e.target.value)} />
+          {abierto ? (
+            <p className="text-xs text-muted-foreground">El primer usuario será administrador.</p>
+          ) : (
+            <Select value={rol} onValueChange={setRol}>
+              <SelectTrigger>
+                <SelectValue placeholder="Rol" />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(ROLES).map(([k, nombreRol]) => (
+                  <SelectItem key={k} value={k}>{nombreRol}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+        <Button onClick={crear}><UserRoundPlus className="w-4 h-4 mr-1" /> Añadir usuario</Button>
+      </CardContent>
+    </Card>
   );
 }
 
-// ================== UI: Estadísticas por Persona ==================
-function StatsByPerson({ state }) {
-  const personas = useMemo(() => {
-    const idx = {};
-    state.clases.forEach((c) => {
-      c.alumnos.forEach((a) => {
-        idx[a.id] = { alumnoId: a.id, nombre: a.nombre, telefono: a.telefono, clase: c.nombre, docente: c.docente, classId: c.id };
-      });
+// ================== UI: Calendario (sesiones suspendidas) ==================
+function CalendarioCard({ state, setState, usuario }) {
+  const admin = isAdmin(usuario, state);
+  const editables = clasesActivas(state).filter((c) => canEditClass(usuario, state, c.id));
+  const [nueva, setNueva] = useState({ fecha: "", classId: admin ? "" : editables[0]?.id || "", motivo: "" });
+  const puede = (x) => (x.classId ? canEditClass(usuario, state, x.classId) : admin);
+  const nombreClase = (id) => state.clases.find((c) => c.id === id)?.nombre || id;
+
+  function agregar() {
+    if (!nueva.fecha || (!nueva.classId && !admin)) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.suspensiones.push({ id: newId(), fecha: nueva.fecha, classId: nueva.classId || null, motivo: nueva.motivo.trim(), updatedAt: p.updatedAt });
+      return p;
     });
+    setNueva((n) => ({ ...n, fecha: "", motivo: "" }));
+  }
 
-    const fechas = Object.keys(state.asistencias).sort();
-    const weeksTotal = fechas.length || 0;
+  function quitar(id) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.suspensiones = p.suspensiones.filter((x) => x.id !== id);
+      markDeleted(p, `suspension/${id}`, p.updatedAt);
+      return p;
+    });
+  }
 
-    const porPersona = Object.values(idx).map((p) => {
-      let presentes = 0;
-      let lastAttendance = null; // fecha última asistencia presente
-      let currentAbsentStreak = 0;
-      let running = 0; // conteo de ausencias consecutivas desde la fecha más reciente hacia atrás
-
-      for (let i = fechas.length - 1; i >= 0; i--) {
-        const f = fechas[i];
-        const reg = state.asistencias[f]?.[p.classId]?.[p.alumnoId];
-        if (reg?.presente) {
-          presentes += 1;
-          if (!lastAttendance) lastAttendance = f;
-          if (running === 0) currentAbsentStreak = 0;
-          running = 0;
-        } else {
-          running += 1;
-          if (!lastAttendance) currentAbsentStreak = running;
-        }
-      }
+  if (!editables.length && !admin) return null;
+  const lista = [...state.suspensiones].sort((a, b) => b.fecha.localeCompare(a.fecha));
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Calendario: días sin clase</h4>
+          <p className="text-xs text-muted-foreground">
+            Feriados y sesiones canceladas. Esas fechas no cuentan como ausencia en porcentajes ni rachas. Los días en que se reúne cada clase se configuran en su tarjeta.
+          </p>
+        </div>
+
+        <div className="grid sm:grid-cols-4 gap-2">
+          <Input type="date" value={nueva.fecha} onChange={(e) => setNueva((n) => ({ ...n, fecha: e.target.value }))} />
+          <Select value={nueva.classId || "todas"} onValueChange={(v) => setNueva((n) => ({ ...n, classId: v === "todas" ? "" : v }))}>
+            <SelectTrigger>
+              <SelectValue placeholder="Clase" />
+            </SelectTrigger>
+            <SelectContent>
+              {admin && <SelectItem value="todas">Todas las clases</SelectItem>}
+              {editables.map((c) => (
+                <SelectItem key={c.id} value={c.id}>{c.nombre}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input placeholder="Motivo (p. ej. Semana Santa)" value={nueva.motivo} onChange={(e) => setNueva((n) => ({ ...n, motivo: e.target.value }))} />
+          <Button disabled={!nueva.fecha} onClick={agregar}>Agregar</Button>
+        </div>
 
-      const porcentaje = weeksTotal ? Math.round((presentes / weeksTotal) * 100) : 0;
-      const abandono = currentAbsentStreak >= 3; // alerta si 3 semanas seguidas sin asistir
+        {lista.map((x) => (
+          <div key={x.id} className="flex items-center justify-between gap-2 border rounded-lg px-3 py-1">
+            <span className="text-sm">
+              {formatFecha(x.fecha, { largo: true })} · {x.classId ? nombreClase(x.classId) : "Todas las clases"}
+              {x.motivo && <span className="text-xs text-muted-foreground"> · {x.motivo}</span>}
+            </span>
+            {puede(x) && <Button variant="ghost" size="sm" onClick={() => quitar(x.id)}>Quitar</Button>}
+          </div>
+        ))}
+        {!lista.length && <p className="text-xs text-muted-foreground italic">No hay días sin clase registrados.</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Ajustes generales ==================
+const ZONAS_SUGERIDAS = ["America/Costa_Rica", "America/Guatemala", "America/El_Salvador", "America/Tegucigalpa", "America/Managua", "America/Mexico_City", "America/Panama", "America/Bogota", "America/New_York", "Europe/Madrid"];
 
-      return { ...p, presentes, semanas: weeksTotal, porcentaje, lastAttendance, currentAbsentStreak, abandono };
+function AjustesCard({ state, setState }) {
+  const [zona, setZona] = useState(state.ajustes.zonaHoraria || ZONA_HORARIA_DEFECTO);
+  const [verCorridas, setVerCorridas] = useState(false);
+  const zonas = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ZONAS_SUGERIDAS;
+  const corridas = useMemo(() => revisarFechasCorridas(state), [state.asistencias, state.clases, state.ajustes.zonaHoraria]);
+
+  function cambiar(campos) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.ajustes = { ...p.ajustes, ...campos, updatedAt: p.updatedAt };
+      return p;
     });
+  }
 
-    porPersona.sort((a, b) => {
-      if (a.abandono !== b.abandono) return b.abandono - a.abandono;
-      if (a.currentAbsentStreak !== b.currentAbsentStreak) return b.currentAbsentStreak - a.currentAbsentStreak;
-      return a.nombre.localeCompare(b.nombre);
+  function moverCorridas() {
+    if (!confirm(`¿Pasar ${corridas.length} toma(s) de asistencia al día anterior? Se puede deshacer.`)) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      moverFechasCorridas(p, corridas, ahoraISO());
+      return p;
     });
+  }
 
-    return porPersona;
-  }, [state]);
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Ajustes generales</h4>
+          <p className="text-xs text-muted-foreground">
+            La zona horaria decide a qué día pertenece una clase (p. ej. una de las 7 p. m.) en todos los dispositivos, aunque alguno tenga otra hora configurada.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label>Zona horaria de la iglesia</Label>
+            <Input className="w-64" list="ibbla-zonas" value={zona} onChange={(e) => setZona(e.target.value)} />
+            <datalist id="ibbla-zonas">
+              {zonas.map((z) => <option key={z} value={z} />)}
+            </datalist>
+          </div>
+          <Button
+            disabled={!zonaValida(zona) || zona === state.ajustes.zonaHoraria}
+            onClick={() => cambiar({ zonaHoraria: zona })}
+          >
+            Guardar
+          </Button>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          {zonaValida(zona) ? `Hoy allí es ${formatFecha(hoyLocal(zona), { largo: true })}.` : "Zona horaria desconocida (use el formato Región/Ciudad, p. ej. America/Costa_Rica)."}
+          {" "}Este dispositivo usa {Intl.DateTimeFormat().resolvedOptions().timeZone}.
+        </p>
+        {corridas.length > 0 && (
+          <div className="border rounded-xl p-3 space-y-2 text-sm">
+            <p>
+              {corridas.length} toma(s) de asistencia quedaron un día después (versiones anteriores usaban la hora UTC).
+              {" "}Después de moverlas, revise los días de reunión de esas clases.
+            </p>
+            <div className="flex flex-wrap items-center gap-2">
+              <Button variant="secondary" onClick={moverCorridas}>Pasar al día correcto</Button>
+              <button type="button" className="underline text-xs" onClick={() => setVerCorridas((v) => !v)}>{verCorridas ? "Ocultar" : "Ver cuáles"}</button>
+            </div>
+            {verCorridas && (
+              <ul className="space-y-1 text-xs max-h-64 overflow-auto">
+                {corridas.map((g) => (
+                  <li key={`${g.fecha}/${g.classId}`} className="flex flex-wrap justify-between gap-2 border rounded-lg px-3 py-1">
+                    <span><b>{g.clase}</b> <span className="text-muted-foreground">({g.registros} registro(s))</span></span>
+                    <span>{formatFecha(g.fecha)} → {formatFecha(g.nueva)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Teléfonos ==================
+function TelefonosCard({ state, setState }) {
+  const [codigo, setCodigo] = useState(state.ajustes.codigoPais || CODIGO_PAIS_DEFECTO);
+  const [verTodos, setVerTodos] = useState(false);
+  const { cambios, invalidos } = useMemo(() => revisarTelefonos(state), [state]);
+
+  function guardarCodigo() {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.ajustes = { ...p.ajustes, codigoPais: codigo, updatedAt: p.updatedAt };
+      return p;
+    });
+  }
+
+  function normalizar() {
+    if (!confirm(`¿Pasar ${cambios.length} teléfono(s) al formato internacional? Se puede deshacer.`)) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      aplicarTelefonos(p, cambios, p.updatedAt);
+      return p;
+    });
+  }
+
+  const fila = (x, detalle) => (
+    <li key={x.alumnoId} className="flex flex-wrap justify-between gap-2 border rounded-lg px-3 py-1">
+      <span><b>{x.nombre}</b> <span className="text-muted-foreground">({x.clase})</span></span>
+      <span>{detalle}</span>
+    </li>
+  );
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Teléfonos</h4>
+          <p className="text-xs text-muted-foreground">
+            Se guardan en formato internacional (+506 8888 8888) para que funcionen los enlaces de llamar, WhatsApp y SMS. Los números escritos sin "+" se toman como de este país.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label>Código de país por defecto</Label>
+            <div className="flex items-center gap-1">
+              <span>+</span>
+              <Input className="w-24" inputMode="numeric" value={codigo} onChange={(e) => setCodigo(e.target.value.replace(/\D/g, ""))} />
+            </div>
+          </div>
+          <Button disabled={!codigoPaisValido(codigo) || codigo === state.ajustes.codigoPais} onClick={guardarCodigo}>Guardar</Button>
+        </div>
+
+        <div className="space-y-2 text-sm">
+          {!cambios.length && !invalidos.length && <p className="text-muted-foreground italic">Todos los teléfonos ya están en formato internacional.</p>}
+          {cambios.length > 0 && (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                <span>{cambios.length} teléfono(s) se pueden normalizar.</span>
+                <Button variant="secondary" onClick={normalizar}>Normalizar</Button>
+                <button type="button" className="underline text-xs" onClick={() => setVerTodos((v) => !v)}>{verTodos ? "Ocultar" : "Ver cambios"}</button>
+              </div>
+              {verTodos && (
+                <ul className="space-y-1 text-xs max-h-64 overflow-auto">
+                  {cambios.map((x) => fila(x, `${x.antes} → ${formatTelefono(x.despues)}`))}
+                </ul>
+              )}
+            </>
+          )}
+          {invalidos.length > 0 && (
+            <>
+              <p>{invalidos.length} teléfono(s) no son válidos y hay que corregirlos a mano en su clase:</p>
+              <ul className="space-y-1 text-xs max-h-64 overflow-auto">
+                {invalidos.map((x) => fila(x, <span className="text-red-700">{x.antes} — {x.error}</span>))}
+              </ul>
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Reglas de alerta ==================
+const numeroRegla = (v) => (v === "" ? null : Math.max(0, Math.floor(Number(v)) || 0));
+
+function ReglasAlertaCard({ state, setState }) {
+  const { porClase = {}, ...generales } = { ...REGLAS_DEFECTO, ...state.ajustes.alertas };
+  const [borradores, setBorradores] = useState({}); // "clase/campo" → texto mientras se edita
+
+  // `classId` null cambia las reglas generales; si no, la excepción de esa clase (null = usar la general)
+  function cambiar(classId, campo, valor) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      const alertas = { ...REGLAS_DEFECTO, porClase: {}, ...p.ajustes.alertas };
+      if (!classId) {
+        alertas[campo] = valor ?? REGLAS_DEFECTO[campo];
+      } else {
+        const excepcion = { ...alertas.porClase[classId] };
+        if (valor === null) delete excepcion[campo];
+        else excepcion[campo] = valor;
+        alertas.porClase = { ...alertas.porClase, [classId]: excepcion };
+        if (!Object.keys(excepcion).length) delete alertas.porClase[classId];
+      }
+      p.ajustes = { ...p.ajustes, alertas, updatedAt: p.updatedAt };
+      return p;
+    });
+  }
+
+  // Se guarda al salir del campo (o con Enter), no con cada tecla: vaciar una regla general para
+  // escribir otro número no la devuelve al valor por defecto a mitad de camino
+  function guardar(classId, campo, valor) {
+    const clave = `${classId || ""}/${campo}`;
+    if (!(clave in borradores)) return;
+    // Vacío: la excepción de una clase vuelve a la general; la general, al valor por defecto
+    const nuevo = numeroRegla(borradores[clave]) ?? (classId ? null : REGLAS_DEFECTO[campo]);
+    setBorradores(({ [clave]: _, ...resto }) => resto);
+    if (nuevo !== (valor ?? null)) cambiar(classId, campo, nuevo);
+  }
+
+  const campoNumero = (classId, campo, valor, placeholder) => {
+    const clave = `${classId || ""}/${campo}`;
+    return (
+      <Input
+        type="number"
+        min="0"
+        className="h-8 w-20"
+        placeholder={placeholder}
+        value={clave in borradores ? borradores[clave] : valor ?? ""}
+        onChange={(e) => setBorradores((b) => ({ ...b, [clave]: e.target.value }))}
+        onBlur={() => guardar(classId, campo, valor)}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      />
+    );
+  };
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Alertas de abandono</h4>
+          <p className="text-xs text-muted-foreground">
+            Quién aparece en la pestaña Alertas y en rojo en las estadísticas. No cuentan las personas dadas de baja, los visitantes ni las ausencias justificadas.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>Alerta tras</span>
+          {campoNumero(null, "semanas", generales.semanas, "3")}
+          <span>semanas seguidas sin asistir (0 = no usar).</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Switch checked={!!generales.caida} onCheckedChange={(v) => cambiar(null, "caida", v)} />
+          <span>Y también si asiste a menos del</span>
+          {campoNumero(null, "caidaPorcentaje", generales.caidaPorcentaje, "50")}
+          <span>% de las últimas</span>
+          {campoNumero(null, "caidaSesiones", generales.caidaSesiones, "8")}
+          <span>sesiones.</span>
+        </div>
+
+        <div className="space-y-1">
+          <p className="text-xs text-muted-foreground">Excepciones por clase (vacío = como las generales):</p>
+          {clasesActivas(state).map((c) => {
+            const ex = porClase[c.id] || {};
+            return (
+              <div key={c.id} className="flex flex-wrap items-center gap-2 text-sm border rounded-lg px-3 py-1">
+                <span className="w-32 font-medium">{c.nombre}</span>
+                <span className="text-xs">semanas</span>
+                {campoNumero(c.id, "semanas", ex.semanas, String(generales.semanas))}
+                <span className="text-xs">caída</span>
+                <Select value={ex.caida === undefined ? "general" : ex.caida ? "si" : "no"} onValueChange={(v) => cambiar(c.id, "caida", v === "general" ? null : v === "si")}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Como la general" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="general">Como la general</SelectItem>
+                    <SelectItem value="si">Activa</SelectItem>
+                    <SelectItem value="no">No usar</SelectItem>
+                  </SelectContent>
+                </Select>
+                <span className="text-xs">&lt;</span>
+                {campoNumero(c.id, "caidaPorcentaje", ex.caidaPorcentaje, String(generales.caidaPorcentaje))}
+                <span className="text-xs">% en</span>
+                {campoNumero(c.id, "caidaSesiones", ex.caidaSesiones, String(generales.caidaSesiones))}
+                <span className="text-xs">sesiones</span>
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ================== UI: Estados de asistencia ==================
+// Los estados no se borran (hay registros que los usan): se desactivan y dejan de ofrecerse.
+function EstadosCard({ state, setState }) {
+  const [nuevo, setNuevo] = useState({ nombre: "", sigla: "", cuenta: "presente" });
+  const [borradores, setBorradores] = useState({}); // id → { nombre, sigla } mientras se edita
+  const [error, setError] = useState(null); // { id, texto } del último guardado rechazado
+
+  function cambiar(id, campos) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      const estado = p.estados.find((e) => e.id === id);
+      if (!estado) return prev;
+      p.updatedAt = ahoraISO();
+      Object.assign(estado, campos, { updatedAt: p.updatedAt });
+      return p;
+    });
+  }
+
+  const editar = (e, campos) => setBorradores((b) => ({ ...b, [e.id]: { nombre: e.nombre, sigla: e.sigla, ...b[e.id], ...campos } }));
 
-  const [filtro, setFiltro] = useState("");
+  // Al salir del campo: se guarda si es válido; si no, vuelve a lo que había
+  function guardar(e) {
+    const borrador = borradores[e.id];
+    if (!borrador) return;
+    setBorradores(({ [e.id]: _, ...resto }) => resto);
+    const problema = problemaEstado(state.estados, borrador, e.id);
+    setError(problema ? { id: e.id, texto: problema } : null);
+    if (!problema && (borrador.nombre.trim() !== e.nombre || borrador.sigla.trim().toUpperCase() !== e.sigla)) {
+      cambiar(e.id, { nombre: borrador.nombre.trim(), sigla: borrador.sigla.trim().toUpperCase() });
+    }
+  }
 
-  const filtrados = personas.filter((p) => (
-    p.nombre.toLowerCase().includes(filtro.toLowerCase()) ||
-    (p.telefono || "").includes(filtro) ||
-    p.clase.toLowerCase().includes(filtro.toLowerCase()) ||
-    (p.docente || "").toLowerCase().includes(filtro.toLowerCase())
-  ));
+  function agregar() {
+    const nombre = nuevo.nombre.trim();
+    const sigla = nuevo.sigla.trim().toUpperCase();
+    const problema = problemaEstado(state.estados, nuevo);
+    setError(problema ? { id: null, texto: problema } : null);
+    if (problema) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.estados.push({ id: newId(), nombre, sigla, cuenta: nuevo.cuenta, activo: true, updatedAt: p.updatedAt });
+      return p;
+    });
+    setNuevo({ nombre: "", sigla: "", cuenta: "presente" });
+  }
+
+  const selectorCuenta = (value, onChange) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue placeholder="Cuenta como" />
+      </SelectTrigger>
+      <SelectContent>
+        {Object.entries(ESTADO_CUENTAS).map(([k, texto]) => (
+          <SelectItem key={k} value={k}>{texto}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
 
   return (
-    <Card className="shadow-sm">
-      <CardContent className="p-4 space-y-4">
-        <div className="flex items-end gap-3">
-          <div className="grow">
-            <Label>Buscar</Label>
-            <Input placeholder="Filtrar por nombre, clase, docente o teléfono" value={filtro} onChange={(e) => setFiltro(e.target.value)} />
-          </div>
-          <Badge variant="secondary">{filtrados.length} personas</Badge>
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Estados de asistencia</h4>
+          <p className="text-xs text-muted-foreground">
+            Las opciones al tomar asistencia. La letra sirve en el modo teclado y en la exportación. Las ausencias justificadas
+            no bajan el porcentaje ni cuentan para la alerta de abandono.
+          </p>
         </div>
 
-        <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-3">
-          {filtrados.map((p) => (
-            <div key={p.alumnoId} className={`border rounded-xl p-3 ${p.abandono ? "bg-red-50" : "bg-background"}`}>
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-semibold leading-tight">{p.nombre}</p>
-                  <p className="text-[11px] text-muted-foreground">{p.clase} • Docente: {p.docente || "(sin asignar)"}</p>
-                  {p.telefono && <p className="text-[11px] text-muted-foreground">📞 {p.telefono}</p>}
-                </div>
-                <Badge variant={p.abandono ? "destructive" : "secondary"}>
-                  {p.porcentaje}%
-                </Badge>
-              </div>
-              <div className="grid grid-cols-2 gap-2 text-sm mt-2">
-                <div className="border rounded-lg p-2">
-                  <p className="text-[11px] text-muted-foreground">Última asistencia</p>
-                  <p className="font-medium">{p.lastAttendance || "—"}</p>
-                </div>
-                <div className="border rounded-lg p-2">
-                  <p className="text-[11px] text-muted-foreground">Racha de ausencias</p>
-                  <p className="font-medium">{p.currentAbsentStreak} semana(s)</p>
-                </div>
+        {state.estados.map((e) => {
+          const fijo = ESTADOS_FIJOS.includes(e.id);
+          const valor = { nombre: e.nombre, sigla: e.sigla, ...borradores[e.id] };
+          const alSalir = { onBlur: () => guardar(e), onKeyDown: (ev) => ev.key === "Enter" && ev.currentTarget.blur() };
+          return (
+            <div key={e.id} className={`grid grid-cols-12 gap-2 items-center ${e.activo === false ? "opacity-60" : ""}`}>
+              <Input className="col-span-4" value={valor.nombre} onChange={(ev) => editar(e, { nombre: ev.target.value })} {...alSalir} />
+              <Input className="col-span-2" maxLength={1} value={valor.sigla} onChange={(ev) => editar(e, { sigla: ev.target.value.toUpperCase() })} {...alSalir} />
+              <div className="col-span-4">
+                {fijo ? <p className="text-xs text-muted-foreground">{ESTADO_CUENTAS[e.cuenta]}</p> : selectorCuenta(e.cuenta, (cuenta) => cambiar(e.id, { cuenta }))}
               </div>
-              {p.abandono && (
-                <p className="text-xs mt-2 text-red-700">⚠️ Alerta: {p.nombre} lleva {p.currentAbsentStreak} semanas sin asistir.</p>
+              {fijo ? (
+                <p className="col-span-2 text-xs text-muted-foreground">Siempre activo</p>
+              ) : (
+                <label className="col-span-2 flex items-center gap-2 text-xs">
+                  <Switch checked={e.activo !== false} onCheckedChange={(v) => cambiar(e.id, { activo: v })} />
+                  Activo
+                </label>
               )}
+              {error?.id === e.id && <p className="col-span-12 text-xs text-red-700">{error.texto}</p>}
             </div>
-          ))}
-          {filtrados.length === 0 && (
-            <p className="text-sm text-muted-foreground italic">No hay personas que coincidan con el filtro.</p>
-          )}
+          );
+        })}
+
+        <div className="grid grid-cols-12 gap-2 items-center">
+          <Input className="col-span-4" placeholder="Nuevo estado (p. ej. Enfermo)" value={nuevo.nombre} onChange={(e) => setNuevo((n) => ({ ...n, nombre: e.target.value }))} />
+          <Input className="col-span-2" placeholder="Letra" maxLength={1} value={nuevo.sigla} onChange={(e) => setNuevo((n) => ({ ...n, sigla: e.target.value }))} />
+          <div className="col-span-4">{selectorCuenta(nuevo.cuenta, (cuenta) => setNuevo((n) => ({ ...n, cuenta })))}</div>
+          <Button className="col-span-2" disabled={!nuevo.nombre.trim() || !nuevo.sigla.trim()} onClick={agregar}>Agregar</Button>
+          {error && error.id === null && <p className="col-span-12 text-xs text-red-700">{error.texto}</p>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function PlantillasCard({ state, setState }) {
+  const plantillas = state.ajustes.plantillas;
+
+  function guardar(editar) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      p.updatedAt = ahoraISO();
+      p.ajustes = { ...p.ajustes, plantillas: editar(p.ajustes.plantillas.map((t) => ({ ...t }))), updatedAt: p.updatedAt };
+      return p;
+    });
+  }
+
+  const cambiar = (id, campos) => guardar((ts) => ts.map((t) => (t.id === id ? { ...t, ...campos } : t)));
+  const agregar = () => guardar((ts) => [...ts, { id: newId(), nombre: "Nueva plantilla", texto: "Hola {nombre}, " }]);
+  const quitar = (id) => guardar((ts) => ts.filter((t) => t.id !== id));
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div>
+          <h4 className="font-semibold">Mensajes de WhatsApp / SMS</h4>
+          <p className="text-xs text-muted-foreground">
+            Se pueden usar {PLANTILLA_CAMPOS.map((c) => `{${c}}`).join(", ")} ({"{semanas}"} = semanas seguidas sin asistir).
+          </p>
         </div>
+        {plantillas.map((t) => (
+          <div key={t.id} className="border rounded-lg p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              <Input className="h-8" value={t.nombre} onChange={(e) => cambiar(t.id, { nombre: e.target.value })} />
+              <Button variant="ghost" size="sm" disabled={plantillas.length <= 1} onClick={() => quitar(t.id)}>Quitar</Button>
+            </div>
+            <Textarea className="min-h-[60px]" value={t.texto} onChange={(e) => cambiar(t.id, { texto: e.target.value })} />
+          </div>
+        ))}
+        <Button variant="secondary" onClick={agregar}>Agregar plantilla</Button>
       </CardContent>
     </Card>
   );
 }
 
 // ================== UI: Configuración ==================
-function Configuracion({ state, setState }) {
-  function changeDocente(classId, docente) {
+function Configuracion({ state, setState, usuario, clave, onLogin, onLogout, backendConfig, onChangeBackend }) {
+  const admin = isAdmin(usuario, state);
+  const [nuevaClase, setNuevaClase] = useState({ nombre: "", edadMin: null, edadMax: null });
+  function changeClase(classId, campos, opciones) {
+    if ("nombre" in campos && !campos.nombre.trim()) return; // una clase no se queda sin nombre
     setState((prev) => {
       const p = deepClone(prev);
       const cls = p.clases.find((c) => c.id === classId);
-      if (cls) cls.docente = docente;
-      p.updatedAt = new Date().toISOString();
+      p.updatedAt = ahoraISO();
+      if (cls) {
+        const { dias, ...resto } = campos;
+        Object.assign(cls, resto);
+        if (dias) cambiarDias(cls, dias, hoyLocal());
+        cls.updatedAt = p.updatedAt;
+      }
+      return p;
+    }, opciones);
+  }
+  function changeDocente(classId, docente) {
+    changeClase(classId, { docente });
+  }
+  function changeEdades(classId, edadMin, edadMax) {
+    changeClase(classId, { edadMin, edadMax, rango: rangoTexto(edadMin, edadMax) });
+  }
+  function archivarClase(classId, archivada) {
+    const nombre = state.clases.find((c) => c.id === classId)?.nombre;
+    changeClase(classId, { archivada }, archivada ? { aviso: `Clase ${nombre} archivada.` } : undefined);
+  }
+  function ordenarClase(classId, delta) {
+    setState((prev) => {
+      const p = deepClone(prev);
+      return moveClase(p, classId, delta, ahoraISO()) ? p : prev;
+    });
+  }
+  function agregarClase() {
+    if (!nuevaClase.nombre.trim()) return;
+    setState((prev) => {
+      const p = deepClone(prev);
+      createClase(p, nuevaClase, ahoraISO());
       return p;
     });
+    setNuevaClase({ nombre: "", edadMin: null, edadMax: null });
   }
   function addAlumno(classId, alumno) {
     setState((prev) => {
       const p = deepClone(prev);
       const cls = p.clases.find((c) => c.id === classId);
       if (!cls) return p;
-      cls.alumnos.push(alumno);
-      p.updatedAt = new Date().toISOString();
+      p.updatedAt = ahoraISO();
+      cls.alumnos.push({ ...alumno, updatedAt: p.updatedAt });
       return p;
     });
   }
@@ -557,49 +4327,131 @@ function Configuracion({ state, setState }) {
       const p = deepClone(prev);
       const cls = p.clases.find((c) => c.id === classId);
       if (!cls) return p;
+      p.updatedAt = ahoraISO();
       cls.alumnos = cls.alumnos.filter((a) => a.id !== alumnoId);
-      for (const fecha of Object.keys(p.asistencias)) {
-        if (p.asistencias[fecha]?.[classId]?.[alumnoId]) {
-          delete p.asistencias[fecha][classId][alumnoId];
+      // También lo tomado en clases anteriores, si se le cambió de clase
+      for (const porClase of Object.values(p.asistencias)) {
+        for (const regs of Object.values(porClase || {})) {
+          if (regs?.[alumnoId]) delete regs[alumnoId];
         }
       }
-      p.updatedAt = new Date().toISOString();
+      // Sus casos de seguimiento (contactos, notas pastorales) y alertas también se borran
+      p.seguimientos = p.seguimientos.filter((c) => c.alumnoId !== alumnoId);
+      p.alertas = p.alertas.filter((x) => x.alumnoId !== alumnoId);
+      // La lápida evita que el alumno (y su historial, casos y alertas) vuelva desde otro dispositivo
+      markDeleted(p, `alumno/${alumnoId}`, p.updatedAt);
       return p;
-    });
+    }, { olvidar: alumnoId });
+  }
+  function bajaAlumno(classId, alumnoId, baja) {
+    const nombre = state.clases.find((c) => c.id === classId)?.alumnos.find((a) => a.id === alumnoId)?.nombre || "Alumno";
+    setState((prev) => {
+      const p = deepClone(prev);
+      return setBaja(p, alumnoId, baja, ahoraISO()) ? p : prev;
+    }, baja ? { aviso: `${nombre} dado de baja.` } : undefined);
+  }
+  function moverAlumno(classId, alumnoId, toClassId) {
+    const destino = state.clases.find((c) => c.id === toClassId);
+    setState((prev) => {
+      const p = deepClone(prev);
+      return moveAlumno(p, alumnoId, toClassId, ahoraISO()) ? p : prev;
+    }, { aviso: `Alumno movido a ${destino?.nombre || toClassId}. Su asistencia anterior queda en ${state.clases.find((c) => c.id === classId)?.nombre}.` });
   }
-  function editAlumnoTelefono(classId, alumnoId, telefono) {
+  function editAlumno(classId, alumnoId, campos) {
     setState((prev) => {
       const p = deepClone(prev);
       const cls = p.clases.find((c) => c.id === classId);
       if (!cls) return p;
       const alumno = cls.alumnos.find((a) => a.id === alumnoId);
-      if (alumno) alumno.telefono = telefono;
-      p.updatedAt = new Date().toISOString();
+      p.updatedAt = ahoraISO();
+      if (alumno) {
+        Object.assign(alumno, campos);
+        if (alumno.nacimiento === "") delete alumno.nacimiento;
+        alumno.updatedAt = p.updatedAt;
+      }
       return p;
     });
   }
 
   return (
     <div className="space-y-4">
+      <SesionCard state={state} usuario={usuario} remoto={backendConfig.kind !== "local"} onLogin={onLogin} onLogout={onLogout} />
+
       <Card>
         <CardContent className="p-4">
           <h3 className="font-semibold mb-2 flex items-center gap-2"><Settings className="w-4 h-4"/> Configuración de clases y docentes</h3>
           <p className="text-sm text-muted-foreground mb-4">Edite el nombre del docente por clase, y agregue o quite alumnos (con teléfono opcional).</p>
+          {admin && (
+            <div className="flex flex-wrap items-end gap-2 mb-4">
+              <div className="space-y-1">
+                <Label>Nueva clase</Label>
+                <Input className="h-8 w-56" placeholder="Nombre de la clase" value={nuevaClase.nombre} onChange={(e) => setNuevaClase((n) => ({ ...n, nombre: e.target.value }))} />
+              </div>
+              <Input type="number" min="0" className="h-8 w-20" placeholder="edad mín." value={nuevaClase.edadMin ?? ""} onChange={(e) => setNuevaClase((n) => ({ ...n, edadMin: edadInput(e.target.value) }))} />
+              <Input type="number" min="0" className="h-8 w-20" placeholder="edad máx." value={nuevaClase.edadMax ?? ""} onChange={(e) => setNuevaClase((n) => ({ ...n, edadMax: edadInput(e.target.value) }))} />
+              <Button disabled={!nuevaClase.nombre.trim()} onClick={agregarClase}>Crear clase</Button>
+            </div>
+          )}
           <div className="grid md:grid-cols-2 gap-3">
-            {state.clases.map((c) => (
+            {clasesActivas(state).filter((c) => canEditClass(usuario, state, c.id)).map((c, i, lista) => (
               <ClassCard
                 key={c.id}
                 clase={c}
+                clases={state.clases}
+                puedeConfigurar={admin}
+                esPrimera={i === 0}
+                esUltima={i === lista.length - 1}
+                onChangeClase={changeClase}
                 onChangeDocente={changeDocente}
+                onChangeEdades={changeEdades}
+                onArchivar={archivarClase}
+                onOrdenar={ordenarClase}
                 onAddAlumno={addAlumno}
+                destinos={clasesActivas(state).filter((d) => d.id !== c.id && canEditClass(usuario, state, d.id))}
+                onBajaAlumno={bajaAlumno}
                 onRemoveAlumno={removeAlumno}
-                onEditAlumnoTelefono={editAlumnoTelefono}
+                onMoveAlumno={moverAlumno}
+                onEditAlumno={editAlumno}
               />
             ))}
           </div>
+          {admin && state.clases.some((c) => c.archivada) && (
+            <div className="mt-4 space-y-1">
+              <h4 className="font-semibold text-sm">Clases archivadas</h4>
+              <p className="text-xs text-muted-foreground">No aparecen al tomar asistencia; su historial sigue en las estadísticas.</p>
+              {state.clases.filter((c) => c.archivada).map((c) => (
+                <div key={c.id} className="flex items-center justify-between border rounded-lg px-3 py-1">
+                  <span className="text-sm">{c.nombre} <span className="text-xs text-muted-foreground">({c.rango}) · {c.alumnos.length} alumnos</span></span>
+                  <Button variant="secondary" onClick={() => archivarClase(c.id, false)}>Restaurar</Button>
+                </div>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
 
+      {admin && <RosterImportCard state={state} setState={setState} usuario={usuario} />}
+
+      <PromocionCard state={state} setState={setState} usuario={usuario} />
+
+      <DuplicadosCard state={state} setState={setState} usuario={usuario} />
+
+      <CalendarioCard state={state} setState={setState} usuario={usuario} />
+
+      {admin && <AjustesCard state={state} setState={setState} />}
+      {admin && <TelefonosCard state={state} setState={setState} />}
+
+      {admin && <ReglasAlertaCard state={state} setState={setState} />}
+      {admin && <PlantillasCard state={state} setState={setState} />}
+
+      {admin && <EstadosCard state={state} setState={setState} />}
+
+      {admin && <UsuariosCard state={state} setState={setState} usuario={usuario} onLogin={onLogin} />}
+
+      <ExportarCard state={state} />
+
+      <ConexionCard config={backendConfig} clave={clave} onChange={onChangeBackend} />
+
       <Card>
         <CardContent className="p-4 flex items-center justify-between">
           <div>
@@ -607,38 +4459,34 @@ function Configuracion({ state, setState }) {
             <p className="text-xs text-muted-foreground">Exporte o importe sus datos manualmente (JSON).</p>
           </div>
           <div className="flex items-center gap-2">
-            <Button onClick={() => {
-              const blob = new Blob([JSON.stringify(state)], { type: "application/json" });
-              const url = URL.createObjectURL(blob);
-              const a = document.createElement("a");
-              a.href = url;
-              a.download = "ibbla_asistencia_backup.json";
-              a.click();
-              URL.revokeObjectURL(url);
-            }}>Exportar</Button>
-
-            <label className="inline-flex">
-              <Input type="file" accept="application/json" className="hidden" onChange={(e) => {
-                const file = e.target.files?.[0];
-                if (!file) return;
-                const reader = new FileReader();
-                reader.onload = () => {
-                  try {
-                    const data = ensureStateShape(JSON.parse(String(reader.result)));
-                    setState(data);
-                  } catch {
-                    alert("Archivo no válido.");
-                  }
-                };
-                reader.readAsText(file);
-              }} />
-              <Button asChild variant="secondary"><span>Importar</span></Button>
-            </label>
+            <Button onClick={() => downloadFile("ibbla_asistencia_backup.json", JSON.stringify(state), "application/json")}>Exportar</Button>
 
-            <Button variant="destructive" onClick={() => {
-              if (!confirm("Esto borrará todos los datos locales (clases, alumnos y asistencias). ¿Continuar?")) return;
-              setState(ensureStateShape(null));
-            }}>Reiniciar datos</Button>
+            {admin && (
+              <>
+                <label className="inline-flex">
+                  <Input type="file" accept="application/json" className="hidden" onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = () => {
+                      try {
+                        const data = ensureStateShape(JSON.parse(String(reader.result)));
+                        setState(data, { aviso: "Copia de seguridad importada." });
+                      } catch (err) {
+                        alert(err instanceof SchemaVersionError ? err.message : "Archivo no válido.");
+                      }
+                    };
+                    reader.readAsText(file);
+                  }} />
+                  <Button asChild variant="secondary"><span>Importar</span></Button>
+                </label>
+
+                <Button variant="destructive" onClick={() => {
+                  if (!confirm("Esto borrará todos los datos locales (clases, alumnos y asistencias). ¿Continuar?")) return;
+                  setState(ensureStateShape(null), { aviso: "Datos reiniciados." });
+                }}>Reiniciar datos</Button>
+              </>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -647,7 +4495,7 @@ function Configuracion({ state, setState }) {
 }
 
 // ================== Panel de Pruebas (Test Cases) ==================
-function runStaticTests() {
+async function runStaticTests() {
   const results = [];
   // Test 1: Debe haber 5 clases y IDs únicos
   const ids = DEFAULT_CLASSES.map((c) => c.id);
@@ -684,11 +4532,534 @@ function runStaticTests() {
   const presentes = Object.values(tState.asistencias[f][classId]).filter((r) => r.presente).length;
   results.push({ name: "Conteo de presentes", pass: presentes === 1 });
 
+  // Test 6: mergeStates conserva la asistencia de dos docentes en clases distintas
+  const base = deepClone(tState);
+  const devA = deepClone(base);
+  const devB = deepClone(base);
+  devA.asistencias[f][classId].a1 = { presente: false, updatedAt: "2025-08-10T15:00:00.000Z" };
+  devB.asistencias[f].smart = { b1: { presente: true, updatedAt: "2025-08-10T15:01:00.000Z" } };
+  const merged = mergeStates(devA, devB);
+  results.push({
+    name: "mergeStates fusiona registros de ambos dispositivos",
+    pass: merged.asistencias[f][classId].a1.presente === false && merged.asistencias[f].smart.b1.presente === true,
+  });
+
+  // Test 7: una lápida impide que un alumno borrado reaparezca desde otro dispositivo
+  const borrado = deepClone(base);
+  borrado.clases[0].alumnos = [];
+  delete borrado.asistencias[f][classId].a1;
+  markDeleted(borrado, "alumno/a1", "2025-08-11T00:00:00.000Z");
+  const sinResucitar = mergeStates(base, borrado);
+  results.push({
+    name: "Lápidas evitan resucitar alumnos borrados",
+    pass: !sinResucitar.clases[0].alumnos.some((x) => x.id === "a1") && !sinResucitar.asistencias[f][classId].a1,
+  });
+
+
+  // Test 8: la bandeja agrupa ráfagas de edición y la espera crece exponencialmente con tope
+  let ob = { pendientes: [], lastSyncAt: null };
+  ob = enqueueChange(ob, "2025-08-10T15:00:00.000Z");
+  ob = enqueueChange(ob, "2025-08-10T15:00:00.300Z");
+  ob = enqueueChange(ob, "2025-08-10T15:00:05.000Z");
+  results.push({
+    name: "Bandeja de salida: agrupación y backoff",
+    pass: ob.pendientes.length === 2 && backoffDelay(0) === 2000 && backoffDelay(2) === 8000 && backoffDelay(20) === OUTBOX_MAX_DELAY,
+  });
+
+  // Test 9: las migraciones llevan datos antiguos a la versión actual y rechazan versiones futuras
+  const antiguo = ensureStateShape({ clases: [], asistencias: {} });
+  let rechazaFuturo = false;
+  try {
+    ensureStateShape({ version: SCHEMA_VERSION + 1, clases: [], asistencias: {} });
+  } catch (e) {
+    rechazaFuturo = e instanceof SchemaVersionError;
+  }
+  results.push({
+    name: "Migraciones de esquema",
+    pass: antiguo.version === SCHEMA_VERSION && typeof antiguo.borrados === "object" && rechazaFuturo,
+  });
+
+  // Test 10: almacenamiento por registros — ida y vuelta sin pérdidas y solo escribe lo cambiado
+  const registros = stateToRecords(tState);
+  const comoFilas = Object.fromEntries(Object.entries(registros).map(([k, m]) => [k, [...m.values()]]));
+  const idaVuelta = recordsToState(comoFilas);
+  const { snap } = diffRecords(null, registros);
+  const editado = deepClone(tState);
+  editado.asistencias[f][classId].a1.nota = "Llegó tarde";
+  const { diff, cambios } = diffRecords(snap, stateToRecords(editado));
+  results.push({
+    name: "Almacenamiento por registros (IndexedDB)",
+    pass: diffRecords(snap, stateToRecords(idaVuelta)).cambios === 0 && idaVuelta.clases[0].alumnos[0].id === "a1" && cambios === 1 && diff.asistencias.put.length === 1,
+  });
+
+  // Test 11: permisos — un docente solo edita su clase, y el servidor descarta lo demás
+  const conUsuarios = deepClone(tState);
+  conUsuarios.clases[0].docente = "María Pérez";
+  conUsuarios.clases.find((c) => c.id === "smart").alumnos.push({ id: "b1", nombre: "Beto Solís", updatedAt: "2025-08-01T00:00:00.000Z" });
+  conUsuarios.usuarios = [
+    { id: "u1", nombre: "Admin", rol: "admin", claveHash: "h1" },
+    { id: "u2", nombre: "Maria Perez", rol: "docente", claveHash: "h2" },
+  ];
+  const docente = findUserByHash(conUsuarios, "h2");
+  const intento = deepClone(conUsuarios);
+  intento.asistencias[f][classId].a1 = { presente: false, updatedAt: "2025-08-10T16:00:00.000Z" };
+  intento.asistencias[f].smart = { b1: { presente: true, updatedAt: "2025-08-10T16:00:00.000Z" } };
+  intento.clases[1].docente = "Maria Perez";
+  intento.clases[1].updatedAt = "2025-08-10T16:00:00.000Z";
+  // una alerta sobre su propio alumno pasa; la de alguien de otra clase (o inexistente) no, aunque diga ser de su clase
+  intento.alertas = [
+    { id: "a1:racha:2025-08-10", alumnoId: "a1", classId, estado: "vista", updatedAt: "2025-08-10T16:00:00.000Z" },
+    { id: "b1:racha:2025-08-10", alumnoId: "b1", classId, estado: "vista", updatedAt: "2025-08-10T16:00:00.000Z" },
+    { id: "zz:racha:2025-08-10", alumnoId: "zz", classId, estado: "vista", updatedAt: "2025-08-10T16:00:00.000Z" },
+  ];
+  // lo mismo con los casos de seguimiento
+  intento.seguimientos = [
+    { id: "s-a1", alumnoId: "a1", classId, estado: "abierto", responsable: "Maria Perez", contactos: [], updatedAt: "2025-08-10T16:00:00.000Z" },
+    { id: "s-b1", alumnoId: "b1", classId, estado: "abierto", responsable: "Maria Perez", contactos: [], updatedAt: "2025-08-10T16:00:00.000Z" },
+  ];
+  const { state: filtrado, rechazados } = filterUnauthorized(conUsuarios, intento, docente);
+  const enviado = paraCliente(conUsuarios, docente);
+  const devuelto = conservarClaves(conUsuarios, deepClone(enviado));
+  results.push({
+    name: "Permisos por clase (cliente y servidor)",
+    pass: canEditClass(docente, conUsuarios, classId) && !canEditClass(docente, conUsuarios, "smart") && !isAdmin(docente, conUsuarios)
+      && filtrado.asistencias[f][classId].a1.presente === false && !filtrado.asistencias[f].smart.b1
+      && filtrado.clases[1].docente === "" && rechazados.length === 5
+      && filtrado.alertas.map((x) => x.alumnoId).join() === "a1" && rechazados.includes("alerta/b1:racha:2025-08-10")
+      && filtrado.seguimientos.map((x) => x.id).join() === "s-a1" && rechazados.includes("seguimiento/s-b1")
+      && !JSON.stringify(enviado).includes("claveHash") && enviado.usuarios[1].esSesion && !enviado.usuarios[0].esSesion
+      && devuelto.usuarios.map((u) => u.claveHash).join() === "h1,h2" && !devuelto.usuarios.some((u) => u.esSesion),
+  });
+
+  // Test 12: historial — anota quién cambió qué, agrupa la escritura de una nota y permite revertir
+  const antesAudit = deepClone(tState);
+  const quien = { id: "u1", nombre: "Admin" };
+  const conToggle = deepClone(antesAudit);
+  conToggle.asistencias[f][classId].a1.presente = false;
+  const paso1 = withAudit(antesAudit, conToggle, quien, "2025-08-10T15:00:00.000Z");
+  const conNota = deepClone(paso1);
+  conNota.asistencias[f][classId].a1.nota = "Enf";
+  const paso2 = withAudit(paso1, conNota, quien, "2025-08-10T15:05:00.000Z");
+  const conNota2 = deepClone(paso2);
+  conNota2.asistencias[f][classId].a1.nota = "Enfermo";
+  const paso3 = withAudit(paso2, conNota2, quien, "2025-08-10T15:05:20.000Z");
+  const revertido = revertAudit(deepClone(paso3), paso3.historial.slice(0, 1), "2025-08-10T16:00:00.000Z");
+  // una clave renovada se anota sin el hash; las entradas viejas con hash se limpian al migrar
+  const conUsuario = { ...deepClone(antesAudit), usuarios: [{ id: "u1", nombre: "Admin", rol: "admin", claveHash: "h1" }] };
+  const claveNueva = deepClone(conUsuario);
+  claveNueva.usuarios[0].claveHash = "h2";
+  const [entradaClave] = withAudit(conUsuario, claveNueva, quien, "2025-08-10T16:30:00.000Z").historial;
+  const viejaConHash = { id: "h", tipo: "usuario", antes: { id: "u1", claveHash: "h1" }, despues: { id: "u1", claveHash: "h2" } };
+  const [migrada] = migrateState({ version: 13, historial: [viejaConHash] }).historial;
+  const rotado = mergeStates({ historial: Array.from({ length: HISTORIAL_MAX + 5 }, (_, i) => ({ id: `e${i}`, at: new Date(Date.UTC(2025, 0, 1) + i * 1000).toISOString() })) }, {}).historial;
+  results.push({
+    name: "Historial de cambios y revertir",
+    pass: paso3.historial.length === 2 && paso3.historial[0].antes.presente === true && paso3.historial[0].despues.presente === false
+      && paso3.historial[1].despues.nota === "Enfermo" && paso3.historial[1].usuario.id === "u1"
+      && revertido.asistencias[f][classId].a1.presente === true
+      && !JSON.stringify(entradaClave).includes("h2") && describeAudit(entradaClave) === "clave de acceso renovada"
+      && revertAudit(deepClone(claveNueva), [entradaClave], "2025-08-10T16:31:00.000Z").usuarios[0].claveHash === "h2"
+      && !JSON.stringify(migrada).includes("claveHash") && migrada.claveRenovada === true
+      && !JSON.stringify(paraCliente({ historial: [viejaConHash] }, null)).includes("claveHash")
+      && rotado.length === HISTORIAL_MAX && rotado[0].id === "e5",
+  });
+
+  // Test 13: deshacer y rehacer el borrado de un alumno (con su asistencia); el definitivo no se deshace
+  const sinAlumno = deepClone(antesAudit);
+  sinAlumno.clases[0].alumnos = [];
+  delete sinAlumno.asistencias[f][classId].a1;
+  markDeleted(sinAlumno, "alumno/a1", "2025-08-10T17:00:00.000Z");
+  const cambiosBorrado = auditChanges(antesAudit, sinAlumno);
+  const deshecho = revertAudit(deepClone(sinAlumno), cambiosBorrado, "2025-08-10T17:01:00.000Z");
+  const rehecho = revertAudit(deepClone(deshecho), invertChanges(cambiosBorrado), "2025-08-10T17:02:00.000Z");
+  let pila = { hechas: [], deshechas: [] };
+  const tecla = (id, at, nota) => ({ id, at, agrupable: true, cambios: [{ ruta: "asistencia/x", tipo: "asistencia", antes: { nota: "" }, despues: { nota } }] });
+  pila = pushUndo(pila, tecla("t1", "2025-08-10T17:00:00.000Z", "E"));
+  pila = pushUndo(pila, tecla("t2", "2025-08-10T17:00:01.000Z", "En"));
+  pila = pushUndo(pila, tecla("t2", "2025-08-10T17:00:01.000Z", "En")); // segunda ejecución del updater
+  pila = pushUndo(pila, tecla("t3", "2025-08-10T17:00:05.000Z", "Enf"));
+  // el borrado definitivo no se deshace y saca de la pila todo lo de esa persona
+  const olvidada = olvidarEnDeshacer({ hechas: [{ id: "b", at: "2025-08-10T17:00:00.000Z", cambios: cambiosBorrado }, ...pila.hechas], deshechas: [] }, "a1");
+  results.push({
+    name: "Deshacer / rehacer",
+    pass: deshecho.clases[0].alumnos[0]?.id === "a1" && deshecho.asistencias[f][classId].a1?.presente === true
+      && deshecho.clases[0].alumnos[0].updatedAt > deshecho.borrados["alumno/a1"]
+      && !rehecho.clases[0].alumnos.length && !rehecho.asistencias[f][classId].a1
+      && pila.hechas.length === 2 && pila.hechas[0].cambios[0].despues.nota === "En" && pila.hechas[0].cambios[0].antes.nota === ""
+      && cambiosBorrado.some((c) => c.alumnoId === "a1") && olvidada.hechas.length === 2 && !JSON.stringify(olvidada).includes("\"a1\""),
+  });
+
+  // Test 14: exportación CSV (BOM, comillas y matriz alumnos × fechas)
+  const conNotaCsv = deepClone(tState);
+  conNotaCsv.asistencias[f][classId].a1.nota = "Enfermo; llamó \"ayer\"";
+  const formula = toCsv([["=HYPERLINK(\"http://x\")", "@SUM(A1)", "-2+3", "normal", -1]], ",");
+  const matriz = exportMatrixRows(conNotaCsv, classId);
+  const csv = toCsv(exportLongRows(conNotaCsv), ";");
+  results.push({
+    name: "Exportación CSV",
+    pass: csv.startsWith("\uFEFFfecha;clase;docente;alumno;teléfono;presente;estado;nota\r\n")
+      && csv.includes(`2025-08-10;Logos;;Prueba Alumno;'+506 8888 8888;Sí;Presente;"Enfermo; llamó ""ayer"""`)
+      && matriz[0].join("|") === "Alumno|Teléfono|2025-08-10|Presentes|% asistencia"
+      && matriz[1][2] === `P: Enfermo; llamó "ayer"` && matriz[1][4] === "100%"
+      && matriz[1][1] === "'+506 8888 8888" && telefonoCsv("88888888") === "'88888888" && telefonoCsv("") === ""
+      && formula === `\uFEFF"'=HYPERLINK(""http://x"")",'@SUM(A1),'-2+3,normal,-1\r\n`,
+  });
+
+  // Test 15: importar alumnos desde CSV (comillas, clase por nombre o por edad, duplicados)
+  const csvAlumnos = "Nombre;Teléfono;Clase;Nacimiento\r\n\"Pérez, Ana\";8888-1111;smart class;\r\nprueba alumno;;Logos;\r\nLuis Mora;;;15/03/1950\r\nSin Clase;;;\r\n";
+  const [encabezados, ...datosCsv] = parseCsv(csvAlumnos);
+  const mapeoCsv = guessRosterMapping(encabezados);
+  const plan = planRosterImport(tState, datosCsv, mapeoCsv, { hoy: "2025-08-10" });
+  const importado = deepClone(tState);
+  const agregados = applyRosterImport(importado, plan, "2025-08-10T18:00:00.000Z");
+  const soloSmart = deepClone(tState);
+  const agregadosSmart = applyRosterImport(soloSmart, plan, "2025-08-10T18:00:00.000Z", (id) => id === "smart");
+  results.push({
+    name: "Importar alumnos desde CSV",
+    pass: datosCsv.length === 4 && mapeoCsv.nacimiento === "3"
+      && plan[0].nombre === "Pérez, Ana" && plan[0].classId === "smart" && plan[0].estado === "ok"
+      && plan[1].estado === "duplicado" && !plan[1].incluir
+      && plan[2].classId === "sabiduria" && plan[3].estado === "sin-clase"
+      && agregados === 2 && importado.clases.find((c) => c.id === "sabiduria").alumnos[0].nacimiento === "1950-03-15"
+      && agregadosSmart === 1 && !soloSmart.clases.find((c) => c.id === "sabiduria").alumnos.length,
+  });
+
+  // Test 16: cambiar de clase conserva el id y la asistencia pasada en la clase original
+  const movido = deepClone(tState);
+  const seMovio = moveAlumno(movido, "a1", "smart", "2025-08-11T00:00:00.000Z");
+  movido.asistencias["2025-08-17"] = { smart: { a1: { presente: true } } };
+  const fusionMovido = mergeStates(tState, movido);
+  results.push({
+    name: "Cambiar alumno de clase",
+    pass: seMovio && !movido.clases[0].alumnos.length && movido.clases.find((c) => c.id === "smart").alumnos[0].id === "a1"
+      && movido.asistencias[f][classId].a1.presente === true
+      && registroPersona(movido, f, "a1", "smart").classId === classId
+      && fusionMovido.clases.find((c) => c.id === "smart").alumnos.some((a) => a.id === "a1") && !fusionMovido.clases[0].alumnos.length
+      && exportMatrixRows(movido, classId)[1][0] === "Prueba Alumno (ahora en Smart Class)",
+  });
+
+  // Test 17: edades — migración del rango de texto, clase sugerida y promoción anual
+  const v4 = ensureStateShape({ version: 4, clases: [{ id: "x", nombre: "X", rango: "+66 años", alumnos: [] }, { id: "y", nombre: "Y", rango: "18–24 años", alumnos: [] }], asistencias: {} });
+  const conEdades = deepClone(tState);
+  conEdades.clases[0].alumnos[0].nacimiento = "2000-06-15";
+  const promocion = promocionReport(conEdades, "2025-12-31");
+  results.push({
+    name: "Edades por clase y promoción",
+    pass: v4.clases[0].edadMin === 66 && v4.clases[0].edadMax === null && v4.clases[1].edadMax === 24
+      && claseParaEdad(tState.clases, 40)?.id === "moriah" && edadEn("2000-06-15", "2025-06-14") === 24
+      && promocion.length === 1 && promocion[0].edad === 25 && promocion[0].sugerida === "smart"
+      && rangoTexto(66, null) === "+66 años",
+  });
+
+  // Test 18: crear, reordenar y archivar clases
+  const gestion = deepClone(tState);
+  const idJovenes = createClase(gestion, { nombre: "Jóvenes", edadMin: 13, edadMax: 17 }, "2025-08-12T00:00:00.000Z");
+  gestion.borrados["clase/nuevos"] = "2025-01-01T00:00:00.000Z";
+  const idNuevos = createClase(gestion, { nombre: "Nuevos" }, "2025-08-12T00:00:01.000Z");
+  const otraJovenes = createClase(deepClone(tState), { nombre: "Jóvenes" }, "2025-08-12T00:00:00.000Z"); // otro dispositivo, a la vez
+  moveClase(gestion, idJovenes, -1, "2025-08-12T00:00:02.000Z");
+  Object.assign(gestion.clases.find((c) => c.id === "logos"), { archivada: true, updatedAt: "2025-08-12T00:00:03.000Z" });
+  const reordenada = ensureStateShape(mergeStates(tState, gestion));
+  results.push({
+    name: "Gestión de clases",
+    pass: idJovenes.startsWith("jovenes-") && idJovenes !== otraJovenes && idNuevos.startsWith("nuevos-") && gestion.clases.find((c) => c.id === idJovenes).rango === "13–17 años"
+      && reordenada.clases.map((c) => c.id).join(",") === `logos,smart,moriah,horeb,${idJovenes},sabiduria,${idNuevos}`
+      && !clasesActivas(reordenada).some((c) => c.id === "logos") && claseParaEdad(reordenada.clases, 20) === undefined,
+  });
+
+  // Test 19: baja conserva el historial; el borrado definitivo vacía el historial de esa persona
+  const deBaja = deepClone(tState);
+  setBaja(deBaja, "a1", { fecha: "2025-09-01", motivo: "Se mudó" }, "2025-09-01T12:00:00.000Z");
+  const alumnoBaja = deBaja.clases[0].alumnos[0];
+  const conHistoria = withAudit(tState, deBaja, quien, "2025-09-01T12:00:00.000Z");
+  const purgado = deepClone(conHistoria);
+  purgado.clases[0].alumnos = [];
+  delete purgado.asistencias[f][classId].a1;
+  markDeleted(purgado, "alumno/a1", "2025-09-02T12:00:00.000Z");
+  const trasPurga = withAudit(conHistoria, purgado, quien, "2025-09-02T12:00:00.000Z");
+  const servidor = { ...deepClone(conHistoria), usuarios: conUsuarios.usuarios };
+  const { rechazados: rechazosPurga } = filterUnauthorized(servidor, trasPurga, findUserByHash(servidor, "h1"));
+  results.push({
+    name: "Bajas y borrado definitivo",
+    pass: !activoEn(alumnoBaja, "2025-09-07") && activoEn(alumnoBaja, f) && deBaja.asistencias[f][classId].a1.presente === true
+      && conHistoria.historial[0].despues.baja.motivo === "Se mudó"
+      && trasPurga.historial.length === 2 && trasPurga.historial.every((h) => h.redactado && !h.antes && !h.despues && !JSON.stringify(h).includes("Prueba Alumno"))
+      && trasPurga.historial[1].tipo === "borrado" && rechazosPurga.length === 0,
+  });
+
+  // Test 20: visitantes — alta rápida presente, visitas por sesión y paso a alumno con su historial
+  const conVisita = deepClone(tState);
+  const idVisita = addVisitante(conVisita, f, classId, { nombre: "Ana Visita", invitadoPor: "Prueba Alumno" }, "2025-08-10T16:00:00.000Z");
+  registrarVisita(conVisita, "2025-08-17", classId, idVisita, "2025-08-17T16:00:00.000Z");
+  const promovido = deepClone(conVisita);
+  promoverVisitante(promovido, idVisita, "2025-08-17T16:05:00.000Z");
+  results.push({
+    name: "Visitantes",
+    pass: conVisita.asistencias[f][classId][idVisita].estado === "presente" && conVisita.asistencias[f][classId][idVisita].visitante === true
+      && contarVisitas(conVisita, idVisita) === 2 && conVisita.clases[0].alumnos[1].visitante.invitadoPor === "Prueba Alumno"
+      && !promovido.clases[0].alumnos[1].visitante && promovido.clases[0].alumnos[1].id === idVisita && contarVisitas(promovido, idVisita) === 2,
+  });
+
+  // Test 21: acciones en bloque — una sola actualización, sin clonar lo que no cambia
+  const bloque = deepClone(tState);
+  bloque.clases[0].alumnos.push({ id: "a2", nombre: "Otro Alumno" });
+  bloque.asistencias[f][classId].a2 = { estado: "ausente" };
+  const anteriorBloque = fechaAnteriorDeClase(bloque, "2025-08-17", classId);
+  const copiado = patchAsistencias(bloque, "2025-08-17", classId, { a1: { estado: "presente" }, a2: { estado: "ausente" } }, "2025-08-17T15:00:00.000Z");
+  const cambiosBloque = auditChanges(bloque, copiado);
+  results.push({
+    name: "Asistencia en bloque",
+    pass: anteriorBloque === f && fechaAnteriorDeClase(bloque, f, classId) === null
+      && copiado.asistencias["2025-08-17"][classId].a1.estado === "presente" && copiado.asistencias[f] === bloque.asistencias[f]
+      && copiado.clases === bloque.clases && cambiosBloque.length === 2
+      && pushUndo({ hechas: [], deshechas: [] }, { id: "b", at: "2025-08-17T15:00:00.000Z", agrupable: false, cambios: cambiosBloque }).hechas.length === 1,
+  });
+
+  // Test 22: estados de asistencia — migración desde presente sí/no y justificadas fuera del %
+  const v6 = ensureStateShape({ version: 6, clases: [{ id: "logos", nombre: "Logos", rango: "", orden: 0, alumnos: [{ id: "a1", nombre: "Ana" }] }],
+    asistencias: { [f]: { logos: { a1: { presente: true, nota: "ok", updatedAt: "2025-08-10T15:00:00.000Z" } } }, "2025-08-17": { logos: { a1: { presente: false } } } } });
+  const mapaV6 = mapaEstados(v6);
+  const conEstados = deepClone(tState);
+  conEstados.asistencias["2025-08-17"] = { [classId]: { a1: { estado: "justificado" } } };
+  conEstados.asistencias["2025-08-24"] = { [classId]: { a1: { estado: "tarde" } } };
+  const matrizEstados = exportMatrixRows(conEstados, classId);
+  // cada dispositivo editó un estado distinto: se conservan ambos cambios
+  const estadosA = { ...deepClone(conEstados), updatedAt: "2025-09-02T00:00:00.000Z" };
+  estadosA.estados.find((e) => e.id === "tarde").sigla = "L";
+  estadosA.estados.find((e) => e.id === "tarde").updatedAt = "2025-09-01T00:00:00.000Z";
+  const estadosB = { ...deepClone(conEstados), updatedAt: "2025-09-03T00:00:00.000Z" };
+  estadosB.estados.push({ id: "enfermo", nombre: "Enfermo", sigla: "E", cuenta: "justificado", activo: true, updatedAt: "2025-09-03T00:00:00.000Z" });
+  const estadosFusion = mergeStates(estadosA, estadosB).estados;
+  const letraRechazada = [{ nombre: " ", sigla: "E" }, { nombre: "Enfermo", sigla: "" }, { nombre: "Enfermo", sigla: "EN" }, { nombre: "Enfermo", sigla: "t" }]
+    .every((x) => problemaEstado(ESTADOS_DEFECTO, x)) && !problemaEstado(ESTADOS_DEFECTO, { nombre: "Enfermo", sigla: "e" }) && !problemaEstado(ESTADOS_DEFECTO, { nombre: "Tarde", sigla: "T" }, "tarde");
+  results.push({
+    name: "Estados de asistencia",
+    pass: v6.version === SCHEMA_VERSION && v6.estados.length === ESTADOS_DEFECTO.length && v6.updatedAt > "2025-08-10"
+      && letraRechazada && estadosFusion.length === ESTADOS_DEFECTO.length + 1 && estadosFusion.find((e) => e.id === "tarde").sigla === "L" && estadosFusion[estadosFusion.length - 1].id === "enfermo"
+      && v6.asistencias[f].logos.a1.estado === "presente" && !("presente" in v6.asistencias[f].logos.a1) && v6.asistencias[f].logos.a1.nota === "ok"
+      && v6.asistencias[f].logos.a1.updatedAt === "2025-08-10T15:00:00.000Z" && cuentaDe(mapaV6, v6.asistencias["2025-08-17"].logos.a1) === "ausente"
+      && cuentaDe(mapaV6, { estado: "virtual" }) === "presente" && cuentaDe(mapaV6, undefined) === "ausente"
+      && matrizEstados[1].slice(2).join("|") === "P|J|T|2|100%",
+  });
+
+  // Test 23: calendario — ajustar al día de clase, sesiones suspendidas y fechas fuera de horario
+  const conCalendario = deepClone(tState);
+  const logos = conCalendario.clases.find((c) => c.id === classId);
+  conCalendario.asistencias["2025-08-16"] = { [classId]: { a1: { estado: "ausente" } } }; // sábado (fecha mal escrita)
+  conCalendario.asistencias["2025-08-17"] = { [classId]: { a1: { estado: "ausente" } } };
+  conCalendario.asistencias["2025-08-24"] = { smart: { b1: { estado: "presente" } } }; // solo otra clase
+  conCalendario.suspensiones.push({ id: "s1", fecha: "2025-08-17", classId: null, motivo: "Feriado", updatedAt: "2025-08-01T00:00:00.000Z" });
+  const sesionesLogos = sesionesPorClase(conCalendario).get(classId);
+  const matrizCalendario = exportMatrixRows(conCalendario, classId);
+  // pasar la clase al sábado no borra los domingos ya tomados
+  const cambioHorario = deepClone(conCalendario);
+  const logosSabado = cambioHorario.clases.find((c) => c.id === classId);
+  cambiarDias(logosSabado, [6], "2025-09-01");
+  cambiarDias(logosSabado, [5, 6], "2025-09-01");
+  cambioHorario.asistencias["2025-09-06"] = { [classId]: { a1: { estado: "presente" } } };
+  const sesionesSabado = sesionesPorClase(cambioHorario).get(classId);
+  // datos de antes de la versión 8: los días salen de las fechas tomadas
+  const v7 = { version: 7, clases: [{ id: "jovenes", nombre: "Jóvenes", alumnos: [] }, { id: "nueva", nombre: "Nueva", alumnos: [] }], asistencias: {} };
+  ["2025-08-02", "2025-08-09", "2025-08-16", "2025-08-23", "2025-08-30", "2025-09-06"].forEach((d) => { v7.asistencias[d] = { jovenes: { j1: { estado: "presente" } } }; });
+  v7.asistencias["2025-08-10"] = { jovenes: { j1: { estado: "presente" } } }; // un domingo suelto
+  const diasV7 = migrateState(v7).clases.map((c) => c.dias.join()).join("|");
+  const remoto = { ...conCalendario, suspensiones: [], borrados: { "suspension/s1": "2025-08-02T00:00:00.000Z" }, updatedAt: "2025-08-02T00:00:00.000Z" };
+  results.push({
+    name: "Calendario de clases",
+    pass: diaSemana("2025-08-10") === 0 && ajustarAClase(logos, "2025-08-13") === "2025-08-10" && ajustarAClase(logos, "2025-08-14") === "2025-08-17"
+      && ajustarAClase(logos, "2025-08-10", 1) === "2025-08-17" && ajustarAClase({ dias: [] }, "2025-08-13") === "2025-08-13"
+      && sumarDias("2025-12-31", 1) === "2026-01-01" && suspensionDe(conCalendario, "2025-08-17", "smart")?.motivo === "Feriado"
+      && sesionesLogos.size === 1 && sesionesLogos.has(f) && matrizCalendario[1].slice(-2).join("|") === "1|50%"
+      && diasV7 === "6|0" && logosSabado.horarios.length === 1 && logosSabado.horarios[0].dias.join() === "0"
+      && sesionesSabado.size === 2 && sesionesSabado.has(f) && sesionesSabado.has("2025-09-06") && ajustarAClase(logosSabado, "2025-08-13") === "2025-08-10"
+      && mergeStates(conCalendario, remoto).suspensiones.length === 0 && mergeStates(conCalendario, {}).suspensiones.length === 1,
+  });
+
+  // Test 24: fechas locales — una clase de la noche en UTC−6 queda en su día, no en el siguiente
+  const nocheUtc = "2025-08-11T01:30:00.000Z"; // domingo 10, 7:30 p. m. en Costa Rica
+  const v8 = ensureStateShape({ version: 8, clases: [], asistencias: {} });
+  const corrida = deepClone(tState);
+  corrida.asistencias["2025-08-11"] = { [classId]: { a1: { estado: "presente", updatedAt: nocheUtc } } };
+  corrida.asistencias["2025-08-12"] = { [classId]: { a1: { estado: "presente", updatedAt: "2025-08-12T15:00:00.000Z" } } }; // tomada de día: no se toca
+  const gruposCorridos = revisarFechasCorridas(corrida, "America/Costa_Rica");
+  moverFechasCorridas(corrida, gruposCorridos, "2025-09-01T00:00:00.000Z");
+  results.push({
+    name: "Fechas en la zona de la iglesia",
+    pass: fechaLocal(nocheUtc, "America/Costa_Rica") === f && fechaLocal(nocheUtc, "UTC") === "2025-08-11"
+      && esFechaISO(hoyLocal()) && !esFechaISO("2025-02-30") && diaSemana(f) === 0 && sumarDias(f, -10) === "2025-07-31"
+      && formatFecha(f).includes("10") && formatFecha("no es fecha") === "no es fecha"
+      && v8.ajustes.zonaHoraria === ZONA_HORARIA_DEFECTO && zonaValida("America/Costa_Rica") && !zonaValida("Marte/Olympus")
+      && gruposCorridos.length === 1 && gruposCorridos[0].nueva === f && !corrida.asistencias["2025-08-11"] && corrida.asistencias["2025-08-12"]
+      && corrida.asistencias[f][classId].a1.updatedAt === "2025-09-01T00:00:00.000Z" && corrida.borrados[`asistencia/2025-08-11/${classId}/a1`] === "2025-09-01T00:00:00.000Z",
+  });
+
+  // Test 25: reglas de alerta (racha, caída, excepción por clase) y bandeja (posponer, nuevo episodio)
+  const conAlertas = deepClone(tState);
+  conAlertas.clases[0].alumnos.push({ id: "a2", nombre: "Caída Alumno" });
+  const domingos = ["2025-08-17", "2025-08-24", "2025-08-31"];
+  domingos.forEach((d, i) => { conAlertas.asistencias[d] = { [classId]: { a1: { estado: "ausente" }, a2: { estado: i === 2 ? "presente" : "ausente" } } }; });
+  const alertasRacha = calcularAlertas(conAlertas);
+  const caidaActiva = deepClone(conAlertas);
+  caidaActiva.ajustes.alertas = { ...caidaActiva.ajustes.alertas, caida: true, caidaSesiones: 4, porClase: { [classId]: { semanas: 4 } } };
+  const alertasCaida = calcularAlertas(caidaActiva);
+  const pospuesta = deepClone(conAlertas);
+  setAlerta(pospuesta, alertasRacha[0], { estado: "pospuesta", hasta: "2025-09-10" }, "2025-09-01T12:00:00.000Z");
+  const [alertaPospuesta] = calcularAlertas(pospuesta);
+  pospuesta.asistencias["2025-09-07"] = { [classId]: { a1: { estado: "presente" } } };
+  ["2025-09-14", "2025-09-21", "2025-09-28"].forEach((d) => { pospuesta.asistencias[d] = { [classId]: { a1: { estado: "ausente" } } }; });
+  const [alertaNueva] = calcularAlertas(pospuesta).filter((a) => a.persona.alumnoId === "a1");
+  // la caída conserva su id aunque entren sesiones nuevas; lo guardado de un episodio terminado se poda
+  const idsCaida = (s) => calcularAlertas(s).filter((a) => a.motivos[0].regla === "caida").map((a) => a.id).sort().join();
+  const caidaMas = deepClone(caidaActiva);
+  caidaMas.asistencias["2025-09-07"] = { [classId]: { a1: { estado: "ausente" }, a2: { estado: "ausente" } } };
+  const caidaEstable = idsCaida(caidaMas) === idsCaida(caidaActiva);
+  const podada = deepClone(pospuesta);
+  setAlerta(podada, alertaNueva, { estado: "vista" }, "2025-09-29T12:00:00.000Z");
+  results.push({
+    name: "Reglas y bandeja de alertas",
+    pass: alertasRacha.length === 1 && alertasRacha[0].id === `a1:racha:${domingos[0]}` && alertasRacha[0].motivos[0].regla === "racha"
+      && alertasCaida.length === 2 && alertasCaida.every((a) => a.motivos.length === 1 && a.motivos[0].regla === "caida")
+      && reglasDeClase(caidaActiva, "smart").semanas === 3
+      && alertaPospuesta.estado === "pospuesta" && !alertaPendiente(alertaPospuesta, "2025-09-09") && alertaPendiente(alertaPospuesta, "2025-09-10")
+      && alertaNueva.id === "a1:racha:2025-09-14" && alertaNueva.estado === "nueva"
+      && mergeStates(pospuesta, { ...conAlertas, updatedAt: "2000-01-01T00:00:00.000Z" }).alertas.length === 1
+      && caidaEstable && podada.alertas.length === 1 && podada.alertas[0].id === alertaNueva.id && Boolean(podada.borrados[`alerta/${alertasRacha[0].id}`]),
+  });
+
+  // Test 26: seguimiento — abrir, anotar contacto, cierre al volver y reapertura si la racha vuelve
+  const conCaso = deepClone(conAlertas);
+  const [personaCaso] = estadisticasPersonas(conCaso, new Set(["a1"]));
+  const casoId = abrirSeguimiento(conCaso, personaCaso, { responsable: "Ana", fecha: "2025-09-01" }, "2025-09-01T12:00:00.000Z");
+  const otroDispositivo = deepClone(conCaso);
+  registrarContacto(conCaso, casoId, { fecha: "2025-09-01", canal: "WhatsApp", resultado: "Habló: volverá", nota: "" }, "2025-09-01T12:05:00.000Z");
+  registrarContacto(otroDispositivo, casoId, { fecha: "2025-09-02", canal: "Llamada", resultado: "No contestó", nota: "" }, "2025-09-02T12:00:00.000Z");
+  const sinCambio = seguirCasos(conCaso, "2025-09-03T12:00:00.000Z");
+  const volvio = seguirCasos(patchAsistencias(conCaso, "2025-09-07", classId, { a1: { estado: "tarde" } }, "2025-09-07T15:00:00.000Z"), "2025-09-07T15:00:00.000Z");
+  const recaida = deepClone(volvio);
+  ["2025-09-14", "2025-09-21", "2025-09-28"].forEach((d) => { recaida.asistencias[d] = { [classId]: { a1: { estado: "ausente" } } }; });
+  const reabierto = seguirCasos(recaida, "2025-09-28T15:00:00.000Z");
+  results.push({
+    name: "Seguimiento pastoral",
+    pass: abrirSeguimiento(conCaso, personaCaso, { fecha: "2025-09-01" }, "2025-09-01T13:00:00.000Z") === casoId && conCaso.seguimientos.length === 1
+      && sinCambio === conCaso
+      && volvio.seguimientos[0].estado === "cerrado" && volvio.seguimientos[0].cierre.motivo === "volvio" && volvio.seguimientos[0].cierre.fecha === "2025-09-07"
+      && reabierto.seguimientos[0].estado === "abierto" && reabierto.seguimientos[0].ultimaAsistencia === "2025-09-07" && reabierto.seguimientos[0].contactos.length === 1
+      && mergeStates(conCaso, otroDispositivo).seguimientos[0].contactos.map((k) => k.canal).join() === "WhatsApp,Llamada"
+      && mergeStates(conCaso, { borrados: { "alumno/a1": "2025-09-05T00:00:00.000Z" } }).seguimientos.length === 0,
+  });
+
+  // Test 27: plantillas de mensaje y enlaces de WhatsApp / SMS
+  const datos = datosMensaje({ nombre: "José", clase: "Logos", docente: "", currentAbsentStreak: 3 });
+  const mensaje = rellenarPlantilla("Hola {nombre}, hace {semanas} semanas que no vienes a {clase}. {docente}\n{otro}", datos);
+  results.push({
+    name: "Plantillas de mensaje",
+    pass: mensaje === "Hola José, hace 3 semanas que no vienes a Logos.\n{otro}"
+      && enlaceWhatsApp("+506 8888-8888", "¿Vienes?") === "https://wa.me/50688888888?text=%C2%BFVienes%3F"
+      && enlaceSms("8888 8888", "Hola & adiós") === "sms:+50688888888?body=Hola%20%26%20adi%C3%B3s"
+      && enlaceWhatsApp("", "x") === ""
+      && migrateState({ version: 11, clases: [], asistencias: {}, ajustes: {} }).ajustes.plantillas.length === PLANTILLAS_DEFECTO.length,
+  });
+
+  // Test 28: teléfonos — mismas formas de escribir dan el mismo E.164, errores y limpieza
+  const formas = ["8888 8888", "+506 8888-8888", "506 88888888", "00506 8888 8888"].map((t) => parseTelefono(t, "506").e164);
+  const conTelefonos = deepClone(conAlertas);
+  conTelefonos.clases[0].alumnos = [
+    { id: "t1", nombre: "Uno", telefono: "8888-8888" },
+    { id: "t2", nombre: "Dos", telefono: "+50677777777" },
+    { id: "t3", nombre: "Tres", telefono: "888" },
+  ];
+  const revision = revisarTelefonos(conTelefonos, "506");
+  const limpio = deepClone(conTelefonos);
+  aplicarTelefonos(limpio, revision.cambios, "2025-09-01T12:00:00.000Z");
+  results.push({
+    name: "Teléfonos en E.164",
+    pass: formas.every((t) => t === "+50688888888")
+      && parseTelefono("555 123 4567", "1").e164 === "+15551234567"
+      && !!parseTelefono("888", "506").error && !!parseTelefono("+506 8888 88881", "506").error && !parseTelefono("", "506").error
+      && formatTelefono("+50688888888") === "+506 8888 8888" && formatTelefono("8888") === "8888"
+      && revision.cambios.length === 1 && revision.invalidos.length === 1 && revision.invalidos[0].alumnoId === "t3"
+      && limpio.clases[0].alumnos[0].telefono === "+50688888888" && limpio.clases[0].alumnos[0].updatedAt === "2025-09-01T12:00:00.000Z"
+      && revisarTelefonos(limpio, "506").cambios.length === 0,
+  });
+
+  // Test 29: duplicados — nombre sin tildes y mismo teléfono; unión con conflictos por fecha
+  const conDuplicados = ensureStateShape(null);
+  conDuplicados.clases[0].alumnos = [{ id: "d1", nombre: "José Pérez", telefono: "+50688888888" }, { id: "d3", nombre: "Ana Rojas" }];
+  conDuplicados.clases[1].alumnos = [{ id: "d2", nombre: "jose  perez", telefono: "8888 8888", nacimiento: "1990-01-01" }];
+  conDuplicados.asistencias = {
+    "2025-08-03": { [conDuplicados.clases[0].id]: { d1: { estado: "presente" } } },
+    "2025-08-10": { [conDuplicados.clases[0].id]: { d1: { estado: "ausente", nota: "enfermo" } }, [conDuplicados.clases[1].id]: { d2: { estado: "presente", nota: "vino a la otra clase" } } },
+    "2025-08-17": { [conDuplicados.clases[1].id]: { d2: { estado: "tarde" } } },
+    // d2 quedó anotado en dos clases el mismo día: se juntan antes de compararlo con d1
+    "2025-08-24": { [conDuplicados.clases[0].id]: { d1: { estado: "ausente" } }, [conDuplicados.clases[1].id]: { d2: { estado: "ausente", nota: "llegó tarde" } }, [conDuplicados.clases[2].id]: { d2: { estado: "presente" } } },
+    "2025-08-31": { [conDuplicados.clases[0].id]: { d1: { estado: "presente" } } },
+  };
+  const [parDuplicado, ...otrosPares] = buscarDuplicados(conDuplicados);
+  const unido = deepClone(conDuplicados);
+  const okUnion = unirPersonas(unido, "d1", "d2", {}, "2025-09-01T12:00:00.000Z");
+  const [c0, c1, c2] = [unido.clases[0].id, unido.clases[1].id, unido.clases[2].id];
+  results.push({
+    name: "Duplicados y unión",
+    pass: otrosPares.length === 0 && parDuplicado.puntaje === 100 && parDuplicado.a.alumnoId === "d1"
+      && conflictosUnion(conDuplicados, "d1", "d2").map((k) => `${k.fecha}:${k.sugerido}`).join() === "2025-08-10:quitar,2025-08-24:quitar"
+      && okUnion && !unido.clases[1].alumnos.length && unido.borrados["alumno/d2"] && unido.clases[0].alumnos[0].nacimiento === "1990-01-01"
+      && unido.asistencias["2025-08-10"][c1].d1.estado === "presente" && unido.asistencias["2025-08-10"][c1].d1.nota === "enfermo / vino a la otra clase"
+      && !unido.asistencias["2025-08-10"][c0].d1 && !!unido.borrados[`asistencia/2025-08-10/${c0}/d1`]
+      && unido.asistencias["2025-08-17"][c1].d1.estado === "tarde" && unido.asistencias["2025-08-03"][c0].d1.estado === "presente"
+      && unido.asistencias["2025-08-24"][c2].d1.estado === "presente" && unido.asistencias["2025-08-24"][c2].d1.nota === "llegó tarde"
+      && !unido.asistencias["2025-08-24"][c1].d1 && !unido.asistencias["2025-08-24"][c0].d1 && !!unido.borrados[`asistencia/2025-08-24/${c0}/d1`]
+      && !JSON.stringify(mergeStates(conDuplicados, unido).asistencias).includes("d2"),
+  });
+
+  // Test 30: sin conexión los cambios esperan en la bandeja; al volver se envían por REST y llega
+  // lo que otro dispositivo guardó (servidorRest simulado con las mismas reglas que server.js)
+  const claveRest = "clave-de-prueba";
+  const servidorRest = { ...deepClone(tState), usuarios: [{ id: "u1", nombre: "Admin", rol: "admin", claveHash: await sha256Hex(claveRest), updatedAt: "2025-08-01T00:00:00.000Z" }] };
+  servidorRest.asistencias["2025-08-17"] = { smart: { b1: { estado: "presente", updatedAt: "2025-08-17T15:00:00.000Z" } } };
+  let enLinea = false;
+  const pedidos = [];
+  const fetchPrueba = async (url, { method, headers, body }) => {
+    if (!enLinea) throw new TypeError("Failed to fetch");
+    pedidos.push({ url, method, auth: headers.Authorization });
+    const respuesta = (status, json) => ({ ok: status === 200, status, json: async () => json });
+    const user = findUserByHash(servidorRest, await sha256Hex((headers.Authorization || "").replace(/^Bearer /, "")));
+    if (!user) return respuesta(401, { ok: false, error: "Clave de acceso no válida" });
+    const { state: permitido } = filterUnauthorized(servidorRest, conservarClaves(servidorRest, JSON.parse(body)), user);
+    Object.assign(servidorRest, mergeStates(servidorRest, permitido));
+    return respuesta(200, { ok: true, updatedAt: servidorRest.updatedAt, state: paraCliente(servidorRest, user) });
+  };
+  const rest = createRestBackend("https://iglesia.example/api/", claveRest, fetchPrueba);
+  let local = ensureStateShape(paraCliente(deepClone(servidorRest), null));
+  delete local.asistencias["2025-08-17"];
+  let bandeja = { pendientes: [], lastSyncAt: null };
+  local = patchAsistencias(local, "2025-08-24", classId, { a1: { estado: "presente" } }, "2025-08-24T15:00:00.000Z");
+  bandeja = enqueueChange(bandeja, "2025-08-24T15:00:00.000Z");
+  const sinRed = await rest.save(local).then(() => null, (e) => e);
+  local = patchAsistencias(local, "2025-08-24", classId, { a1: { nota: "llegó temprano" } }, "2025-08-24T15:00:05.000Z");
+  bandeja = enqueueChange(bandeja, "2025-08-24T15:00:05.000Z");
+  const pendientesSinRed = bandeja.pendientes.length;
+  enLinea = true;
+  const enviados = new Set(bandeja.pendientes.map((c) => c.id));
+  const respuestaRest = await rest.save(local);
+  bandeja = marcarEnviados(bandeja, enviados, "2025-08-24T16:00:00.000Z");
+  local = ensureStateShape(mergeStates(local, respuestaRest.state));
+  results.push({
+    name: "Bandeja sin conexión y envío por REST",
+    pass: sinRed instanceof TypeError && !(sinRed instanceof AuthError) && pendientesSinRed === 2
+      && pedidos.length === 1 && pedidos[0].url === "https://iglesia.example/api/state" && pedidos[0].method === "POST" && pedidos[0].auth === `Bearer ${claveRest}`
+      && servidorRest.asistencias["2025-08-24"][classId].a1.nota === "llegó temprano" && servidorRest.usuarios[0].claveHash
+      && bandeja.pendientes.length === 0 && bandeja.lastSyncAt === "2025-08-24T16:00:00.000Z"
+      && local.asistencias["2025-08-17"].smart.b1.estado === "presente" && !local.usuarios[0].claveHash,
+  });
+
   return results;
 }
 
 function TestPanel() {
-  const tests = useMemo(() => runStaticTests(), []);
+  const [tests, setTests] = useState([]);
+  useEffect(() => {
+    runStaticTests().then(setTests);
+  }, []);
   const passed = tests.filter(t => t.pass).length;
   return (
     <Card className="shadow-sm">
@@ -711,71 +5082,384 @@ function TestPanel() {
 
 // ================== App ==================
 export default function App() {
-  const [state, setState] = useState(() => (
-    ensureStateShape(loadLocal())
-  ));
-  const [sync, setSync] = useState({ mode: SYNC_MODE, status: SYNC_MODE === "sheets" ? "idle" : "local" });
+  const [state, setState] = useState(() => ensureStateShape(null));
+  const [ready, setReady] = useState(false); // el almacenamiento local es asíncrono
+  // Si la caché local es de una versión más nueva, no se carga ni se sobrescribe
+  const [schemaError, setSchemaError] = useState(null);
+  const [session, setSession] = useState(() => loadSession());
+  const usuario = findUserByHash(state, session?.hash) || (session?.usuarioId && state.usuarios.find((u) => u.id === session.usuarioId)) || null;
+  const usuarioRef = useRef(usuario);
+  usuarioRef.current = usuario;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+  const [backendConfig, setBackendConfig] = useState(() => loadBackendConfig());
+  const backend = useMemo(() => createBackend(backendConfig, session?.clave), [backendConfig, session]);
+  const backendRef = useRef(backend);
+  backendRef.current = backend;
+  const [sync, setSync] = useState({ status: backend.remote ? "idle" : "local" });
+  const [outbox, setOutbox] = useState(() => loadOutbox());
+  const outboxRef = useRef(outbox);
+  const stateRef = useRef(state);
   const saveTimer = useRef(null);
-  const lastPushedRef = useRef(0);
+  const retryTimer = useRef(null);
+  const attemptRef = useRef(0);
+  const flushingRef = useRef(false);
+  const reenviarRef = useRef(false); // se pidió enviar mientras había un envío en curso
+  const skipPushRef = useRef(true); // no anotar el estado inicial ni el que llega del remoto
+  const blockedRef = useRef(false);
+  const undoRef = useRef({ hechas: [], deshechas: [] }); // solo en memoria, por pestaña
+  const [aviso, setAviso] = useState(null); // { id, texto } de la última acción destructiva
+  stateRef.current = state;
+  // Las ediciones se calculan sobre stateRef (que se adelanta al render) y llegan hechas a setState:
+  // React puede llamar dos veces a un updater, y la pila de deshacer o skipPushRef no se tocan ahí.
+  const commitState = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+  // Los días (fecha de hoy, claves de asistencia) se calculan en la zona de la iglesia y los
+  // teléfonos con su código de país. Se fijan en fechas.js y telefonos.js desde un efecto de
+  // layout (no durante el render) y `ajustesAplicados` vuelve a dibujar con ellos antes de pintar;
+  // la app no se muestra hasta aplicarlos con los datos cargados.
+  const [ajustesAplicados, setAjustesAplicados] = useState(null);
+  const claveAjustes = `${state.ajustes?.zonaHoraria}|${state.ajustes?.codigoPais}`;
+  useLayoutEffect(() => {
+    setZonaHoraria(state.ajustes?.zonaHoraria);
+    setCodigoPais(state.ajustes?.codigoPais);
+    if (ready) setAjustesAplicados(claveAjustes);
+  }, [claveAjustes, ready]);
+  // Las alertas se recalculan solo cuando cambian los datos de los que salen (no con cada cambio
+  // del historial o de la sesión); lo hecho con cada una se consulta aparte
+  const alertasActivas = useMemo(
+    () => calcularAlertas({ ...state, alertas: [] }),
+    [state.asistencias, state.clases, state.ajustes, state.estados, state.suspensiones],
+  );
+  const alertasNuevas = useMemo(() => {
+    const guardadas = new Map(state.alertas.map((a) => [a.id, a.estado]));
+    return alertasActivas.filter((a) => (guardadas.get(a.id) || "nueva") === "nueva").length;
+  }, [alertasActivas, state.alertas]);
+
+  function updateOutbox(fn) {
+    outboxRef.current = fn(outboxRef.current);
+    saveOutbox(outboxRef.current);
+    setOutbox(outboxRef.current);
+  }
+
+  // Todas las ediciones de la interfaz pasan por aquí para quedar anotadas en el historial
+  // y en la pila de deshacer. `opciones.aviso` muestra un aviso con "Deshacer" (borrados, importar…);
+  // `opciones.olvidar` (id de persona) es un borrado definitivo, que no entra en la pila.
+  const updateState = useCallback((update, opciones = {}) => {
+    const accion = { id: newId(), at: ahoraISO(), agrupable: !opciones.aviso };
+    const prev = stateRef.current;
+    const editado = typeof update === "function" ? update(prev) : update;
+    if (editado !== prev) {
+      // Los casos de seguimiento se cierran o reabren con la misma edición que los provoca
+      const next = seguirCasos(editado, accion.at);
+      const cambios = auditChanges(prev, next);
+      if (opciones.olvidar) undoRef.current = olvidarEnDeshacer(undoRef.current, opciones.olvidar);
+      else if (cambios.length) undoRef.current = pushUndo(undoRef.current, { ...accion, cambios });
+      commitState(withAudit(prev, next, usuarioRef.current, accion.at, cambios));
+    }
+    if (opciones.aviso) setAviso({ id: accion.id, texto: opciones.aviso });
+  }, [commitState]);
+
+  // Deshacer y rehacer se aplican como una edición más (con marcas nuevas y anotada en el historial)
+  const applyUndo = useCallback((cambios) => {
+    const at = ahoraISO();
+    const prev = stateRef.current;
+    commitState(withAudit(prev, revertAudit(deepClone(prev), cambios, at), usuarioRef.current, at));
+  }, [commitState]);
+
+  const deshacer = useCallback(() => {
+    const { hechas, deshechas } = undoRef.current;
+    const entrada = hechas[hechas.length - 1];
+    if (!entrada) return;
+    undoRef.current = { hechas: hechas.slice(0, -1), deshechas: [...deshechas, entrada] };
+    setAviso(null);
+    applyUndo(entrada.cambios);
+  }, [applyUndo]);
+
+  const rehacer = useCallback(() => {
+    const { hechas, deshechas } = undoRef.current;
+    const entrada = deshechas[deshechas.length - 1];
+    if (!entrada) return;
+    undoRef.current = { hechas: [...hechas, entrada], deshechas: deshechas.slice(0, -1) };
+    applyUndo(invertChanges(entrada.cambios));
+  }, [applyUndo]);
+
+  // Aplica un estado remoto fusionándolo con el local (sin volver a anotarlo como cambio propio).
+  // El usuario marcado con `esSesion` es el de la clave de este dispositivo.
+  // Las asistencias que llegan también cierran o reabren casos de seguimiento: eso es una acción
+  // del sistema (no va al historial ni a deshacer), pero sí se envía al remoto.
+  function applyRemote(remote) {
+    const at = ahoraISO();
+    const yo = remote.usuarios.find((u) => u.esSesion);
+    remote = { ...remote, usuarios: remote.usuarios.map(({ esSesion, ...u }) => u) };
+    const s = sessionRef.current;
+    if (yo && s && s.usuarioId !== yo.id) {
+      const nueva = { ...s, usuarioId: yo.id };
+      sessionRef.current = nueva;
+      saveSession(nueva);
+      setSession(nueva);
+    }
+    const prev = stateRef.current;
+    const merged = ensureStateShape(mergeStates(prev, remote));
+    if (sameState(merged, prev)) return;
+    const seguido = seguirCasos(merged, at);
+    skipPushRef.current = seguido === merged;
+    commitState(seguido);
+  }
+
+  // El backend tiene datos de una versión más nueva (no se envía nada para no degradarlos)
+  // o rechazó la clave de acceso: se detiene hasta recargar o iniciar sesión de nuevo
+  function blockSync(e) {
+    blockedRef.current = true;
+    clearTimeout(retryTimer.current);
+    setSync((s) => ({ ...s, status: "error", mensaje: e.message }));
+  }
+
+  // Envía el estado mientras haya cambios pendientes; si falla, reintenta con espera exponencial.
+  // Si ya hay un envío en curso, este se hace al terminar aquel (p. ej. a la conexión nueva).
+  async function flushOutbox() {
+    const destino = backendRef.current;
+    if (!destino.remote || blockedRef.current) return;
+    if (flushingRef.current) {
+      reenviarRef.current = true;
+      return;
+    }
+    clearTimeout(retryTimer.current);
+    const enviados = new Set(outboxRef.current.pendientes.map((c) => c.id));
+    if (!enviados.size) return;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      setSync((s) => ({ ...s, status: "offline" })); // se reanuda con el evento "online"
+      return;
+    }
+    flushingRef.current = true;
+    try {
+      setSync((s) => ({ ...s, status: "syncing" }));
+      const res = await destino.save(stateRef.current);
+      if (destino !== backendRef.current) return; // se cambió de conexión mientras se enviaba
+      attemptRef.current = 0;
+      updateOutbox((o) => marcarEnviados(o, enviados, ahoraISO()));
+      // El servidor devuelve su estado ya fusionado: traer lo que otros dispositivos hayan guardado
+      if (res?.state) applyRemote(res.state);
+      setSync((s) => ({ ...s, status: "synced" }));
+    } catch (e) {
+      if (destino !== backendRef.current) return;
+      if (e instanceof SchemaVersionError || e instanceof AuthError) {
+        blockSync(e);
+        return;
+      }
+      const delay = backoffDelay(attemptRef.current);
+      attemptRef.current += 1;
+      console.warn(`Fallo al guardar remoto, reintento en ${Math.round(delay / 1000)}s:`, e);
+      setSync((s) => ({ ...s, status: "error" }));
+      retryTimer.current = setTimeout(flushOutbox, delay);
+    } finally {
+      flushingRef.current = false;
+      const pedido = reenviarRef.current;
+      reenviarRef.current = false;
+      // Envío pedido mientras tanto a otra conexión, o cambios anotados mientras se enviaba
+      // (si falló, ya quedó programado el reintento)
+      if ((pedido && destino !== backendRef.current) || (outboxRef.current.pendientes.length && attemptRef.current === 0)) flushOutbox();
+    }
+  }
+
+  // Cambia de backend en caliente. Los datos locales se conservan: al conectar se suben
+  // (fusionándose con lo que haya en el servidor) y al desconectar simplemente se dejan de enviar.
+  function changeBackend(config, clave) {
+    saveBackendConfig(config);
+    clearTimeout(retryTimer.current);
+    blockedRef.current = false;
+    attemptRef.current = 0;
+    const vacia = { pendientes: [], lastSyncAt: null };
+    updateOutbox(() => (config.kind === "local" ? vacia : enqueueChange(vacia, ahoraISO())));
+    setSync({ status: config.kind === "local" ? "local" : "idle" });
+    setBackendConfig(config);
+    if (clave && clave !== session?.clave) login(clave, config);
+  }
+
+  // La clave se comprueba contra los hashes de los usuarios de este dispositivo o, si no está
+  // entre ellos, contra el servidor (`config`: la conexión con la que se inicia sesión)
+  async function login(clave, config = backendConfig) {
+    const limpia = normalizeClave(clave);
+    if (!limpia) return false;
+    const hash = await sha256Hex(limpia);
+    let nueva = findUserByHash(stateRef.current, hash) ? { clave: limpia, hash } : null;
+    const destino = createBackend(config, limpia);
+    if (!nueva && destino.remote) {
+      try {
+        const remoto = await destino.load();
+        const yo = remoto.usuarios.find((u) => u.esSesion);
+        if (yo) {
+          nueva = { clave: limpia, hash, usuarioId: yo.id };
+          applyRemote(remoto);
+        }
+      } catch (e) {
+        console.warn("No se pudo comprobar la clave en el servidor:", e);
+      }
+    }
+    if (!nueva) return false;
+    saveSession(nueva);
+    setSession(nueva);
+    return true;
+  }
+
+  function logout() {
+    saveSession(null);
+    setSession(null);
+  }
+
+  // Al montar, cargar el estado guardado en este dispositivo
+  useEffect(() => {
+    let mounted = true;
+    loadLocal().then((local) => {
+      if (!mounted) return;
+      try {
+        commitState(ensureStateShape(local));
+      } catch (e) {
+        setSchemaError(e.message);
+      }
+      setReady(true);
+    });
+    return () => { mounted = false; };
+  }, []);
 
-  // Al montar, si hay backend configurado, cargar del remoto y fusionar
+  // Con el estado local listo (o al cambiar de conexión), si hay backend, cargar del remoto, fusionar y enviar lo pendiente
   useEffect(() => {
-    if (SYNC_MODE !== "sheets") return;
+    if (!ready || !backend.remote || schemaError) return;
     let mounted = true;
+    blockedRef.current = false;
     (async () => {
       try {
-        setSync((s) => ({ ...s, status: "syncing" }));
-        const remote = await remoteLoad();
+        setSync({ status: "syncing" });
+        const remote = await backend.load();
         if (!mounted) return;
-        // Estrategia simple: remoto manda si es más reciente
-        const local = ensureStateShape(loadLocal());
-        const newer = (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
-        setState(ensureStateShape(newer));
+        // Fusión por registro: se conservan los cambios de ambos lados
+        applyRemote(remote);
         setSync((s) => ({ ...s, status: "synced" }));
       } catch (e) {
+        if (e instanceof SchemaVersionError || e instanceof AuthError) {
+          blockSync(e);
+          return;
+        }
         console.warn("Fallo al cargar remoto, continuo en local:", e);
         setSync((s) => ({ ...s, status: "idle" }));
       }
+      if (mounted) flushOutbox();
     })();
-    return () => { mounted = false; };
-  }, []);
+    const onOnline = () => {
+      attemptRef.current = 0;
+      flushOutbox();
+    };
+    window.addEventListener("online", onOnline);
+    return () => {
+      mounted = false;
+      window.removeEventListener("online", onOnline);
+      clearTimeout(retryTimer.current);
+    };
+  }, [ready, backend]);
 
-  // Guardado local inmediato (cache)
-  useEffect(() => { saveLocal(state); }, [state]);
+  // Guardado local inmediato (cache; solo se escriben los registros que cambiaron)
+  useEffect(() => {
+    if (!ready || schemaError) return;
+    saveLocal(state);
+  }, [state, ready]);
 
-  // Empujar al remoto con debounce si está activo
+  // Cada edición se anota al instante en la bandeja (sobrevive a cerrar la pestaña)
+  // y se envía al remoto con debounce
   useEffect(() => {
-    if (SYNC_MODE !== "sheets") return;
+    if (!ready || !backend.remote || schemaError) return;
+    if (skipPushRef.current) {
+      skipPushRef.current = false;
+      return;
+    }
+    updateOutbox((o) => enqueueChange(o, ahoraISO()));
     if (saveTimer.current) clearTimeout(saveTimer.current);
-    saveTimer.current = setTimeout(async () => {
-      try {
-        setSync((s) => ({ ...s, status: "syncing" }));
-        await remoteSave(state);
-        lastPushedRef.current = Date.now();
-        setSync((s) => ({ ...s, status: "synced" }));
-      } catch (e) {
-        console.warn("Fallo al guardar remoto:", e);
-        setSync((s) => ({ ...s, status: "idle" }));
-      }
+    saveTimer.current = setTimeout(() => {
+      attemptRef.current = 0;
+      flushOutbox();
     }, 800); // 0.8s de debounce
     return () => clearTimeout(saveTimer.current);
-  }, [state]);
+  }, [state, ready]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (o Ctrl+Y). Dentro de un campo de texto se deja el deshacer del navegador.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t && (t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && !["checkbox", "radio", "button", "file"].includes(t.type)) || t.isContentEditable)) return;
+      const tecla = e.key.toLowerCase();
+      if (tecla === "z" && !e.shiftKey) deshacer();
+      else if ((tecla === "z" && e.shiftKey) || tecla === "y") rehacer();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [deshacer, rehacer]);
+
+  // El aviso de "Deshacer" desaparece solo
+  useEffect(() => {
+    if (!aviso) return;
+    const t = setTimeout(() => setAviso(null), 8000);
+    return () => clearTimeout(t);
+  }, [aviso]);
+
+  if (!ready || !ajustesAplicados) {
+    return (
+      <div className="p-4 max-w-7xl mx-auto">
+        <Header sync={{ ...sync, mode: backend.remote ? "remote" : "local", nombre: backend.nombre }} />
+        <p className="text-sm text-muted-foreground">Cargando datos…</p>
+      </div>
+    );
+  }
+
+  if (schemaError) {
+    return (
+      <div className="p-4 max-w-7xl mx-auto">
+        <Header sync={{ ...sync, mode: backend.remote ? "remote" : "local", nombre: backend.nombre }} />
+        <Card>
+          <CardContent className="p-4">
+            <h3 className="font-semibold mb-2">No se pueden abrir los datos guardados</h3>
+            <p className="text-sm text-muted-foreground">{schemaError}</p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
 
   return (
     <div className="p-4 max-w-7xl mx-auto">
-      <Header sync={sync} />
+      <Header
+        sync={{ ...sync, mode: backend.remote ? "remote" : "local", nombre: backend.nombre, pendientes: outbox.pendientes.length, lastSyncAt: outbox.lastSyncAt }}
+        usuario={usuario}
+      />
+
+      <div className="flex items-center justify-end gap-2">
+        <Button variant="secondary" disabled={!undoRef.current.hechas.length} onClick={deshacer} title="Deshacer (Ctrl+Z)">
+          <Undo2 className="w-4 h-4 mr-1 inline"/> Deshacer
+        </Button>
+        <Button variant="secondary" disabled={!undoRef.current.deshechas.length} onClick={rehacer} title="Rehacer (Ctrl+Shift+Z)">
+          <Redo2 className="w-4 h-4 mr-1 inline"/> Rehacer
+        </Button>
+      </div>
 
       <Tabs defaultValue="asistencia" className="mt-2">
         <TabsList className="flex flex-wrap">
           <TabsTrigger value="asistencia"><Users className="w-4 h-4 mr-1"/> Tomar asistencia</TabsTrigger>
           <TabsTrigger value="fechas"><LineChart className="w-4 h-4 mr-1"/> Estadísticas por fecha</TabsTrigger>
           <TabsTrigger value="personas"><Check className="w-4 h-4 mr-1"/> Estadísticas por persona</TabsTrigger>
+          <TabsTrigger value="alertas">
+            <Bell className="w-4 h-4 mr-1"/> Alertas{alertasNuevas > 0 && <Badge variant="destructive" className="ml-1">{alertasNuevas}</Badge>}
+          </TabsTrigger>
+          <TabsTrigger value="seguimiento"><HeartHandshake className="w-4 h-4 mr-1"/> Seguimiento</TabsTrigger>
+          <TabsTrigger value="historial"><History className="w-4 h-4 mr-1"/> Historial</TabsTrigger>
           <TabsTrigger value="config"><Settings className="w-4 h-4 mr-1"/> Configuración</TabsTrigger>
           <TabsTrigger value="tests">🧪 Tests</TabsTrigger>
         </TabsList>
 
         <TabsContent value="asistencia" className="mt-4">
-          <AttendanceTaker state={state} setState={setState} />
+          <AttendanceTaker state={state} setState={updateState} usuario={usuario} />
         </TabsContent>
 
         <TabsContent value="fechas" className="mt-4">
@@ -783,11 +5467,32 @@ export default function App() {
         </TabsContent>
 
         <TabsContent value="personas" className="mt-4">
-          <StatsByPerson state={state} />
+          <StatsByPerson state={state} setState={updateState} usuario={usuario} />
+        </TabsContent>
+
+        <TabsContent value="alertas" className="mt-4">
+          <AlertasView state={state} setState={updateState} usuario={usuario} />
+        </TabsContent>
+
+        <TabsContent value="seguimiento" className="mt-4">
+          <SeguimientoView state={state} setState={updateState} usuario={usuario} />
+        </TabsContent>
+
+        <TabsContent value="historial" className="mt-4">
+          <HistorialView state={state} setState={updateState} usuario={usuario} />
         </TabsContent>
 
         <TabsContent value="config" className="mt-4">
-          <Configuracion state={state} setState={setState} />
+          <Configuracion
+            state={state}
+            setState={updateState}
+            usuario={usuario}
+            clave={session?.clave}
+            onLogin={login}
+            onLogout={logout}
+            backendConfig={backendConfig}
+            onChangeBackend={changeBackend}
+          />
         </TabsContent>
 
         <TabsContent value="tests" className="mt-4">
@@ -795,9 +5500,25 @@ export default function App() {
         </TabsContent>
       </Tabs>
 
+      {aviso && (
+        <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 rounded-xl bg-slate-900 text-white px-4 py-2 shadow-lg">
+          <span className="text-sm">{aviso.texto}</span>
+          <Button
+            variant="secondary"
+            onClick={() => {
+              // Solo si sigue siendo lo último que se hizo; si no, se usa el botón de la barra
+              if (undoRef.current.hechas[undoRef.current.hechas.length - 1]?.id === aviso.id) deshacer();
+              setAviso(null);
+            }}
+          >
+            Deshacer
+          </Button>
+        </div>
+      )}
+
       <footer className="text-xs text-muted-foreground mt-6">
         <p>
-          Consejo: Tome asistencia cada domingo (o día de clase). El sistema detectará automáticamente rachas de ausencia de 3 semanas y resaltará en rojo a esas personas para dar seguimiento.
+          Consejo: Tome asistencia cada domingo (o día de clase). El sistema detectará automáticamente rachas de ausencia (según las reglas de Configuración) y las llevará a la pestaña Alertas para dar seguimiento.
         </p>
       </footer>
 
@@ -806,44 +5527,98 @@ export default function App() {
       2) En el Sheet, abra Extensiones → Apps Script y pegue este código, GUARDANDO el proyecto:
 
       function doGet(e) {
-        const props = PropertiesService.getDocumentProperties();
-        const json = props.getProperty('STATE_JSON');
-        const state = json ? JSON.parse(json) : {
-          version: 1,
-          updatedAt: new Date().toISOString(),
-          clases: [
-            { id: 'logos', nombre: 'Logos', rango: '18–24 años', docente: '', alumnos: [] },
-            { id: 'smart', nombre: 'Smart Class', rango: '25–39 años', docente: '', alumnos: [] },
-            { id: 'moriah', nombre: 'Moriah', rango: '40–55 años', docente: '', alumnos: [] },
-            { id: 'horeb', nombre: 'Horeb', rango: '56–65 años', docente: '', alumnos: [] },
-            { id: 'sabiduria', nombre: 'Sabiduría', rango: '+66 años', docente: '', alumnos: [] },
-          ],
-          asistencias: {}
-        };
-        return ContentService.createTextOutput(JSON.stringify(state))
-          .setMimeType(ContentService.MimeType.JSON)
-          .setHeader('Access-Control-Allow-Origin', '*');
+        const clave = (e.parameter && e.parameter.clave) || '';
+        const json = PropertiesService.getDocumentProperties().getProperty('STATE_JSON');
+        const stored = json ? JSON.parse(json) : null;
+        if (!stored || isOpenMode(stored)) return responder(SIN_ADMIN);
+        // Solo usuarios con clave leen los datos, y nunca reciben los hashes de las claves (permisos.js)
+        const user = findUserByHash(stored, clave && sha256Hex(clave));
+        if (!user) return responder(CLAVE_INVALIDA);
+        return responder(paraCliente(stored, user));
       }
 
       function doPost(e) {
         const body = JSON.parse(e.postData.contents);
-        body.updatedAt = new Date().toISOString();
+        const clave = (e.parameter && e.parameter.clave) || '';
+        const lock = LockService.getDocumentLock();
+        lock.waitLock(10000); // evita que dos docentes guardando a la vez se pisen
+        try {
+          const props = PropertiesService.getDocumentProperties();
+          const json = props.getProperty('STATE_JSON');
+          const stored = json ? JSON.parse(json) : null;
+          if (!stored || isOpenMode(stored)) return responder(SIN_ADMIN);
+          // Mismas reglas de permisos que la app (permisos.js)
+          const user = findUserByHash(stored, clave && sha256Hex(clave));
+          if (!user) return responder(CLAVE_INVALIDA);
+          const filtrado = filterUnauthorized(stored, conservarClaves(stored, body), user);
+          const merged = mergeStates(stored, filtrado.state);
+          merged.historial = sinClavesHistorial(merged.historial);
+          props.setProperty('STATE_JSON', JSON.stringify(merged));
+          return responder({ ok: true, updatedAt: merged.updatedAt, state: paraCliente(merged, user), rechazados: filtrado.rechazados });
+        } finally {
+          lock.releaseLock();
+        }
+      }
+
+      // Ejecútela UNA vez desde el editor (Ejecutar → crearPrimerAdmin) y copie la clave del registro
+      // de ejecución. Los demás usuarios se crean desde la app.
+      function crearPrimerAdmin() {
         const props = PropertiesService.getDocumentProperties();
-        props.setProperty('STATE_JSON', JSON.stringify(body));
-        return ContentService.createTextOutput(JSON.stringify({ ok: true, updatedAt: body.updatedAt }))
+        const json = props.getProperty('STATE_JSON');
+        const state = json ? JSON.parse(json) : { clases: [], asistencias: {}, borrados: {} };
+        if (!isOpenMode(state)) throw new Error('Ya hay usuarios: cree los demás desde la app.');
+        const clave = Utilities.getUuid().replace(/-/g, '').slice(0, 20).match(/.{4}/g).join('-');
+        const at = new Date().toISOString();
+        state.usuarios = [{ id: Utilities.getUuid().slice(0, 8), nombre: 'Administrador', rol: 'admin', claveHash: sha256Hex(clave), updatedAt: at }];
+        state.updatedAt = at;
+        props.setProperty('STATE_JSON', JSON.stringify(state));
+        Logger.log('Clave del administrador (guárdela): ' + clave);
+      }
+
+      const CLAVE_INVALIDA = { ok: false, code: 'auth', error: 'Clave de acceso no válida' };
+      const SIN_ADMIN = { ok: false, code: 'sin-admin', error: 'Falta crear el administrador: ejecute crearPrimerAdmin en el editor de Apps Script' };
+
+      function responder(datos) {
+        return ContentService.createTextOutput(JSON.stringify(datos))
           .setMimeType(ContentService.MimeType.JSON)
           .setHeader('Access-Control-Allow-Origin', '*');
       }
 
-      3) En Apps Script → Implementar → Implementar como aplicación web:
+      function sha256Hex(texto) {
+        return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, texto, Utilities.Charset.UTF_8)
+          .map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); })
+          .join('');
+      }
+
+      // Debajo, pegue también el contenido de los archivos sync.js y permisos.js
+      // (JavaScript puro; quite las líneas "import" y la palabra "export").
+      // Las fechas de asistencia llegan como días "AAAA-MM-DD" en la zona de la iglesia
+      // (ajustes.zonaHoraria; ver fechas.js) y los updatedAt como instantes UTC: no las
+      // convierta. Conviene que el proyecto (Configuración del proyecto → Zona horaria) use la misma zona.
+
+      3) En el editor elija la función crearPrimerAdmin y pulse Ejecutar: en el registro aparece la
+         clave del administrador (sin ese paso el WebApp no entrega ni guarda datos).
+      4) En Apps Script → Implementar → Implementar como aplicación web:
          - Descripción: IBBLA WebApp
          - Ejecutar como: Tú
          - Quién tiene acceso: Cualquiera con el enlace (o restringido a tu dominio si usan cuentas de Google de la iglesia)
          - Copia la URL de despliegue.
-      4) Pega la URL en SHEETS_WEBAPP_URL arriba y publica la app (Vercel o local). 
-      5) Comparte el mismo enlace de la app a todos los maestros; todo se sincroniza en ese Sheet.
+      5) En la app, abra Configuración → Conexión, elija "Google Sheets (Apps Script)", pegue la URL y la
+         clave, pulse "Probar conexión" y luego "Guardar y conectar" (no hace falta recompilar).
+      6) Cree en Configuración → Usuarios una clave para cada maestro y compártales el enlace de la app, la
+         URL del WebApp y su clave; cada uno lo configura una vez en Conexión y todo se sincroniza en ese Sheet.
 
       (Opcional) Puedes crear varios WebApps (uno por clase) si deseas aislar datos.
+
+      ================= DOCUMENTACIÓN BACKEND (REST propio) =================
+      Alternativa a Sheets para auto-hospedar: server.js implementa el mismo protocolo sobre un archivo JSON.
+        GET  /state → estado completo, sin los hashes de las claves
+        POST /state → fusiona el estado recibido (sync.js) y responde { ok, updatedAt, state, rechazados }
+                      (ambos exigen "Authorization: Bearer <clave>"; el POST aplica permisos.js)
+      1) node server.js --crear-admin "Nombre"   (una vez: imprime la clave del primer administrador)
+      2) npm run server   (variables opcionales: PORT=8787, DATA_FILE=./ibbla-data.json)
+      3) En Configuración → Conexión elija "Servidor REST propio", pegue la URL base (p. ej. http://localhost:8787) y la clave.
+      Cualquier otro servidor que respete ese protocolo sirve igual.
       ======================================================================= */}
     </div>
   );
@@ -0,0 +1,79 @@
+/**
+ * IBBLA Asistencia – Fechas en la zona horaria de la iglesia
+ *
+ * Dos tipos de fecha en los datos:
+ *   - Instantes (`updatedAt`, `historial[].at`…): ISO en UTC, para comparar entre dispositivos.
+ *   - Días de clase (claves de `asistencias`, nacimientos, bajas…): "AAAA-MM-DD" en la zona
+ *     horaria configurada (`ajustes.zonaHoraria`), no en la del navegador ni en UTC. Así una
+ *     clase de las 7 p. m. en UTC−6 queda en su día y no en el siguiente.
+ * Las operaciones con días ("AAAA-MM-DD") se hacen en UTC para que no dependan de la zona.
+ * JavaScript puro, sin dependencias (se puede pegar en el Apps Script quitando `export`).
+ */
+
+export const ZONA_HORARIA_DEFECTO = "America/Costa_Rica";
+const LOCALE = "es";
+
+let zonaActual = ZONA_HORARIA_DEFECTO;
+
+export function zonaValida(zona) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zona });
+    return !!zona;
+  } catch {
+    return false;
+  }
+}
+
+// La app la fija al cargar el estado (y cuando un admin la cambia)
+export function setZonaHoraria(zona) {
+  zonaActual = zonaValida(zona) ? zona : ZONA_HORARIA_DEFECTO;
+}
+
+export const getZonaHoraria = () => zonaActual;
+
+export const ahoraISO = () => new Date().toISOString();
+
+// Día "AAAA-MM-DD" de un instante en la zona dada
+export function fechaLocal(instante = new Date(), zona = zonaActual) {
+  const partes = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: zona, year: "numeric", month: "2-digit", day: "2-digit" })
+      .formatToParts(new Date(instante))
+      .map((p) => [p.type, p.value]),
+  );
+  return `${partes.year}-${partes.month}-${partes.day}`;
+}
+
+export const hoyLocal = (zona = zonaActual) => fechaLocal(new Date(), zona);
+
+export const esFechaISO = (f) => /^\d{4}-\d{2}-\d{2}$/.test(f || "") && fechaUTC(f).toISOString().slice(0, 10) === f;
+
+const fechaUTC = (fecha) => new Date(`${fecha}T00:00:00Z`);
+
+// 0 = domingo
+export const diaSemana = (fecha) => fechaUTC(fecha).getUTCDay();
+
+export function sumarDias(fecha, n) {
+  const t = fechaUTC(fecha);
+  t.setUTCDate(t.getUTCDate() + n);
+  return t.toISOString().slice(0, 10);
+}
+
+export const diasEntre = (desde, hasta) => Math.round((fechaUTC(hasta) - fechaUTC(desde)) / 86400000);
+
+// "dom 10 ago 2025" (corto) o "domingo, 10 de agosto de 2025" (largo)
+export function formatFecha(fecha, { largo = false } = {}) {
+  if (!esFechaISO(fecha)) return fecha || "";
+  const opciones = largo
+    ? { weekday: "long", day: "numeric", month: "long", year: "numeric" }
+    : { weekday: "short", day: "numeric", month: "short", year: "numeric" };
+  return new Intl.DateTimeFormat(LOCALE, { ...opciones, timeZone: "UTC" }).format(fechaUTC(fecha));
+}
+
+// Un instante (ISO) como fecha y hora de la iglesia; `soloHora` para "14:05"
+export function formatInstante(iso, { soloHora = false, zona = zonaActual } = {}) {
+  if (!iso) return "";
+  const opciones = soloHora
+    ? { hour: "2-digit", minute: "2-digit" }
+    : { day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit" };
+  return new Intl.DateTimeFormat(LOCALE, { ...opciones, timeZone: zona }).format(new Date(iso));
+}
@@ -0,0 +1,222 @@
+/**
+ * IBBLA Asistencia – Usuarios, roles y permisos
+ *
+ * Las mismas reglas se aplican en la app (para mostrar u ocultar acciones) y en los
+ * servidores (server.js y Apps Script), que descartan los cambios no autorizados antes
+ * de fusionar. Se pega tal cual en el Apps Script junto con sync.js (sin `import`/`export`).
+ *
+ * Roles:
+ *   admin        → todo: configuración de clases, usuarios, conexión, importar y reiniciar.
+ *   coordinador  → asistencia, lista de alumnos, sesiones suspendidas, alertas y seguimiento de todas las clases.
+ *   docente      → lo mismo, solo en las clases donde figura en `clases[].docente`.
+ * Mientras no exista ningún usuario la app funciona en "modo abierto" (todos son admin). Los
+ * servidores, en cambio, no aceptan lecturas ni escrituras hasta crear el primer admin.
+ *
+ * Los hashes de las claves no viajan a los clientes (ver paraCliente/conservarClaves).
+ */
+import { newerRecord } from "./sync.js";
+
+export const ROLES = {
+  admin: "Administrador",
+  coordinador: "Coordinador",
+  docente: "Docente",
+};
+
+// Para comparar nombres sin importar mayúsculas, tildes ni espacios repetidos.
+export function normalizeName(t) {
+  return (t || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+export const isOpenMode = (state) => !(state?.usuarios || []).length;
+
+export function findUserByHash(state, hash) {
+  if (!hash) return null;
+  return (state?.usuarios || []).find((u) => u.claveHash === hash) || null;
+}
+
+export function isAdmin(user, state) {
+  return isOpenMode(state) || user?.rol === "admin";
+}
+
+export function canEditClass(user, state, classId) {
+  if (isOpenMode(state)) return true;
+  if (!user) return false;
+  if (user.rol === "admin" || user.rol === "coordinador") return true;
+  const clase = (state.clases || []).find((c) => c.id === classId);
+  return !!clase && !!normalizeName(clase.docente) && normalizeName(clase.docente) === normalizeName(user.nombre);
+}
+
+/**
+ * El estado tal como se entrega a `user`: sin los hashes de las claves de acceso de nadie. El
+ * propio usuario recibe en su lugar `esSesion: true`, para que la app sepa quién inició sesión.
+ */
+export function paraCliente(state, user) {
+  return {
+    ...state,
+    usuarios: (state?.usuarios || []).map(({ claveHash, ...u }) => (user && u.id === user.id ? { ...u, esSesion: true } : u)),
+    historial: sinClavesHistorial(state?.historial),
+  };
+}
+
+// El historial tampoco guarda hashes: los cambios de usuario anotados antes de la versión 14 los
+// traían en `antes`/`despues`. Se quitan dejando constancia (`claveRenovada`) si la clave cambió.
+export function sinClavesHistorial(historial) {
+  return (historial || []).map((h) => {
+    if (h.tipo !== "usuario" || !(h.antes?.claveHash || h.despues?.claveHash)) return h;
+    const { claveHash: antes, ...datosAntes } = h.antes || {};
+    const { claveHash: despues, ...datosDespues } = h.despues || {};
+    return { ...h, antes: h.antes && datosAntes, despues: h.despues && datosDespues, ...(h.antes && h.despues && antes !== despues ? { claveRenovada: true } : {}) };
+  });
+}
+
+// Lo que llega de un cliente trae los usuarios sin hash: se conserva el guardado (una clave
+// renovada sí trae el hash nuevo). Muta y devuelve `incoming`.
+export function conservarClaves(stored, incoming) {
+  const hashes = new Map((stored?.usuarios || []).map((u) => [u.id, u.claveHash]));
+  for (const u of incoming?.usuarios || []) {
+    delete u.esSesion;
+    if (!u.claveHash && hashes.get(u.id)) u.claveHash = hashes.get(u.id);
+  }
+  return incoming;
+}
+
+// Claves de primer nivel que solo un admin puede cambiar (además de clases y usuarios).
+const SHARED_KEYS = ["clases", "asistencias", "suspensiones", "alertas", "seguimientos", "borrados", "usuarios", "historial", "version", "updatedAt"];
+
+/**
+ * Quita de `incoming` los cambios que `user` no puede hacer sobre `stored` (el estado del servidor).
+ * Un cambio es un registro que ganaría la fusión (más reciente) y difiere del guardado.
+ * Devuelve { state, rechazados } con las rutas descartadas.
+ */
+export function filterUnauthorized(stored, incoming, user) {
+  const out = JSON.parse(JSON.stringify(incoming || {}));
+  if (isOpenMode(stored)) return { state: out, rechazados: [] };
+  const rechazados = [];
+  const admin = isAdmin(user, stored);
+  const puede = (classId) => canEditClass(user, stored, classId);
+  const cambia = (antes, despues) => newerRecord(antes, despues) === despues && JSON.stringify(antes) !== JSON.stringify(despues);
+
+  const clasesGuardadas = new Map((stored.clases || []).map((c) => [c.id, c]));
+  const alumnosGuardados = new Map();
+  for (const c of stored.clases || []) {
+    for (const al of c.alumnos || []) alumnosGuardados.set(al.id, { alumno: al, classId: c.id });
+  }
+
+  // Configuración de clases (nombre, docente, rango…): solo admin
+  out.clases = (out.clases || []).flatMap((c) => {
+    const { alumnos, ...campos } = c;
+    const antes = clasesGuardadas.get(c.id);
+    const { alumnos: _alumnosAntes, ...camposAntes } = antes || {};
+    if (admin || !cambia(antes ? camposAntes : undefined, campos)) return [c];
+    rechazados.push(`clase/${c.id}`);
+    return antes ? [{ ...camposAntes, alumnos }] : [];
+  });
+
+  // Alumnos: hay que poder editar la clase de destino y, si cambió de clase, también la de origen
+  for (const c of out.clases) {
+    c.alumnos = (c.alumnos || []).filter((al) => {
+      const antes = alumnosGuardados.get(al.id);
+      const movido = antes && antes.classId !== c.id && newerRecord(antes.alumno, al) === al;
+      if (!cambia(antes?.alumno, al) && !movido) return true;
+      if (puede(c.id) && (!antes || puede(antes.classId))) return true;
+      rechazados.push(`alumno/${al.id}`);
+      return false;
+    });
+  }
+
+  // Asistencias: solo en clases que puede editar
+  for (const [f, porClase] of Object.entries(out.asistencias || {})) {
+    for (const [cId, regs] of Object.entries(porClase || {})) {
+      for (const [aId, r] of Object.entries(regs || {})) {
+        if (!cambia(stored.asistencias?.[f]?.[cId]?.[aId], r) || puede(cId)) continue;
+        rechazados.push(`asistencia/${f}/${cId}/${aId}`);
+        delete regs[aId];
+      }
+    }
+  }
+
+  // Sesiones suspendidas: las de una clase, quien puede editarla; las de todas las clases, solo admin
+  const suspensionesGuardadas = new Map((stored.suspensiones || []).map((x) => [x.id, x]));
+  const puedeSuspender = (x) => admin || (!!x?.classId && puede(x.classId));
+  out.suspensiones = (out.suspensiones || []).filter((x) => {
+    const antes = suspensionesGuardadas.get(x.id);
+    if (!cambia(antes, x) || (puedeSuspender(x) && (!antes || puedeSuspender(antes)))) return true;
+    rechazados.push(`suspension/${x.id}`);
+    return false;
+  });
+
+  // Alertas (vista, pospuesta, resuelta): quien puede editar la clase guardada de la persona
+  // (no el `classId` que manda el cliente); si la persona no existe, se descartan
+  const puedePersona = (alumnoId) => alumnosGuardados.has(alumnoId) && puede(alumnosGuardados.get(alumnoId).classId);
+  const alertasGuardadas = new Map((stored.alertas || []).map((x) => [x.id, x]));
+  out.alertas = (out.alertas || []).filter((x) => {
+    const antes = alertasGuardadas.get(x.id);
+    if (!cambia(antes, x) || (puedePersona(x.alumnoId) && (!antes || puede(antes.classId)))) return true;
+    rechazados.push(`alerta/${x.id}`);
+    return false;
+  });
+
+  // Casos de seguimiento: igual que las alertas, por la clase guardada de la persona
+  const casosGuardados = new Map((stored.seguimientos || []).map((x) => [x.id, x]));
+  out.seguimientos = (out.seguimientos || []).filter((x) => {
+    const antes = casosGuardados.get(x.id);
+    if (!cambia(antes, x) || (puedePersona(x.alumnoId) && (!antes || puede(antes.classId)))) return true;
+    rechazados.push(`seguimiento/${x.id}`);
+    return false;
+  });
+
+  // Lápidas nuevas
+  for (const [ruta, t] of Object.entries(out.borrados || {})) {
+    if ((stored.borrados || {})[ruta] && stored.borrados[ruta] >= t) continue;
+    const [tipo, ...partes] = ruta.split("/");
+    const permitido = admin
+      || (tipo === "alumno" && alumnosGuardados.has(partes[0]) && puede(alumnosGuardados.get(partes[0]).classId))
+      || (tipo === "asistencia" && puede(partes[1]))
+      || (tipo === "suspension" && puedeSuspender(suspensionesGuardadas.get(partes[0])))
+      || (tipo === "alerta" && alertasGuardadas.has(partes[0]) && puede(alertasGuardadas.get(partes[0]).classId))
+      || (tipo === "seguimiento" && casosGuardados.has(partes[0]) && puede(casosGuardados.get(partes[0]).classId));
+    if (permitido) continue;
+    rechazados.push(ruta);
+    delete out.borrados[ruta];
+  }
+
+  // Historial: cualquiera agrega entradas, siempre a su propio nombre; una entrada existente
+  // solo la puede prolongar su autor (misma ruta y mismo valor anterior) o vaciarse si la
+  // persona a la que se refiere se borró definitivamente. Nunca se borra.
+  const historialGuardado = new Map((stored.historial || []).map((h) => [h.id, h]));
+  const autor = user ? { id: user.id, nombre: user.nombre } : null;
+  out.historial = (out.historial || []).filter((h) => {
+    const antes = historialGuardado.get(h.id);
+    if (!antes) {
+      h.usuario = autor;
+      return true;
+    }
+    if (!cambia(antes, h)) return true;
+    // Quien borra definitivamente a una persona vacía las entradas que hablan de ella
+    if (h.redactado && h.antes === null && h.despues === null && out.borrados?.[`alumno/${h.alumnoId}`]) return true;
+    const propia = antes.usuario?.id === user?.id && antes.ruta === h.ruta && JSON.stringify(antes.antes) === JSON.stringify(h.antes);
+    if (propia) {
+      h.usuario = autor;
+      return true;
+    }
+    rechazados.push(`historial/${h.id}`);
+    return false;
+  });
+
+  // Usuarios y demás ajustes generales: solo admin
+  if (!admin) {
+    const usuariosGuardados = new Map((stored.usuarios || []).map((u) => [u.id, u]));
+    for (const u of out.usuarios || []) {
+      if (cambia(usuariosGuardados.get(u.id), u)) rechazados.push(`usuario/${u.id}`);
+    }
+    out.usuarios = stored.usuarios || [];
+    for (const k of new Set([...Object.keys(out), ...Object.keys(stored)])) {
+      if (SHARED_KEYS.includes(k) || JSON.stringify(out[k]) === JSON.stringify(stored[k])) continue;
+      rechazados.push(k);
+      if (k in stored) out[k] = stored[k];
+      else delete out[k];
+    }
+  }
+
+  return { state: out, rechazados };
+}
@@ -0,0 +1,189 @@
+/**
+ * IBBLA Asistencia – Servidor REST de referencia
+ *
+ * Implementa el mismo protocolo que el backend "rest" de la app, guardando el estado en un
+ * archivo JSON. Sirve para auto-hospedar la sincronización o para probar sin conexión.
+ *
+ *   GET  /state   → estado completo (JSON), sin los hashes de las claves
+ *   POST /state   → fusiona el estado recibido con el guardado (sync.js) y responde
+ *                   { ok: true, updatedAt, state, rechazados } con el resultado
+ *
+ * Ambos exigen `Authorization: Bearer <clave de acceso>` de un usuario existente; el POST
+ * descarta los cambios que ese usuario no puede hacer (permisos.js) antes de fusionar.
+ * Mientras no haya ningún usuario el servidor responde 409: el primer admin se crea aparte.
+ *
+ * Uso:  node server.js --crear-admin "Nombre"   (una vez: crea el admin e imprime su clave)
+ *       node server.js            (PORT=8787, DATA_FILE=./ibbla-data.json)
+ *       PORT=9000 DATA_FILE=/ruta/datos.json node server.js
+ */
+import http from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+import { readFile, writeFile, rename } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { mergeStates } from "./sync.js";
+import { conservarClaves, filterUnauthorized, findUserByHash, isOpenMode, paraCliente, sinClavesHistorial } from "./permisos.js";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+async function readState(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Escritura atómica: archivo temporal + rename, para no dejar un JSON a medias
+async function writeState(file, state) {
+  const tmp = `${file}.tmp`;
+  await writeFile(tmp, JSON.stringify(state));
+  await rename(tmp, file);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const sha256Hex = (text) => createHash("sha256").update(text, "utf8").digest("hex");
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1].trim() : "";
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+// Misma forma que las claves generadas en la app: 20 caracteres hexadecimales en grupos de 4
+const generarClave = () => randomBytes(10).toString("hex").match(/.{4}/g).join("-");
+
+/**
+ * Crea el primer administrador (en un archivo nuevo o en uno sin usuarios) y devuelve su clave.
+ * Falla si ya hay usuarios: los demás se crean desde la app.
+ */
+export async function crearPrimerAdmin(file, nombre = "Administrador") {
+  const current = (await readState(file)) || { clases: [], asistencias: {}, borrados: {} };
+  if (!isOpenMode(current)) throw new Error("Ya hay usuarios: cree los demás desde la app (Configuración → Usuarios).");
+  const clave = generarClave();
+  const at = new Date().toISOString();
+  const admin = { id: randomBytes(4).toString("hex"), nombre, rol: "admin", claveHash: sha256Hex(clave), updatedAt: at };
+  await writeState(file, { ...current, usuarios: [admin], updatedAt: at });
+  return clave;
+}
+
+const CLAVE_INVALIDA = { ok: false, code: "auth", error: "Clave de acceso no válida" };
+const SIN_ADMIN = { ok: false, code: "sin-admin", error: "El servidor no tiene administrador: ejecute node server.js --crear-admin \"Nombre\"" };
+
+export function createStateServer({ file = "./ibbla-data.json" } = {}) {
+  // Las escrituras se encadenan para que dos POST simultáneos no se pisen
+  let queue = Promise.resolve();
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (pathname !== "/state") {
+      sendJson(res, 404, { ok: false, error: "Not found" });
+      return;
+    }
+    const clave = bearerToken(req);
+    if (req.method === "GET") {
+      const current = await readState(file);
+      if (!current || isOpenMode(current)) {
+        sendJson(res, 409, SIN_ADMIN);
+        return;
+      }
+      const user = findUserByHash(current, clave && sha256Hex(clave));
+      if (!user) {
+        sendJson(res, 401, CLAVE_INVALIDA);
+        return;
+      }
+      sendJson(res, 200, paraCliente(current, user));
+      return;
+    }
+    if (req.method === "POST") {
+      let incoming;
+      try {
+        incoming = JSON.parse(await readBody(req));
+      } catch (e) {
+        sendJson(res, e.status || 400, { ok: false, error: e.status ? e.message : "Invalid JSON" });
+        return;
+      }
+      if (!incoming || typeof incoming !== "object" || Array.isArray(incoming)) {
+        sendJson(res, 400, { ok: false, error: "Expected a state object" });
+        return;
+      }
+      const result = await (queue = queue.catch(() => {}).then(async () => {
+        const current = await readState(file);
+        if (!current || isOpenMode(current)) return { status: 409 };
+        const user = findUserByHash(current, clave && sha256Hex(clave));
+        if (!user) return { status: 401 };
+        const { state: permitido, rechazados } = filterUnauthorized(current, conservarClaves(current, incoming), user);
+        const merged = mergeStates(current, permitido);
+        merged.historial = sinClavesHistorial(merged.historial);
+        await writeState(file, merged);
+        return { merged, rechazados, user };
+      }));
+      if (result.status) {
+        sendJson(res, result.status, result.status === 409 ? SIN_ADMIN : CLAVE_INVALIDA);
+        return;
+      }
+      const { merged, rechazados, user } = result;
+      sendJson(res, 200, { ok: true, updatedAt: merged.updatedAt, state: paraCliente(merged, user), rechazados });
+      return;
+    }
+    sendJson(res, 405, { ok: false, error: "Method not allowed" });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      console.error("Error atendiendo", req.method, req.url, e);
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: "Internal error" });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const file = process.env.DATA_FILE || "./ibbla-data.json";
+  const i = process.argv.indexOf("--crear-admin");
+  if (i !== -1) {
+    crearPrimerAdmin(file, process.argv[i + 1]).then(
+      (clave) => console.log(`Administrador creado en ${file}. Su clave de acceso (guárdela, no se vuelve a mostrar): ${clave}`),
+      (e) => {
+        console.error(e.message);
+        process.exitCode = 1;
+      },
+    );
+  } else {
+    createStateServer({ file }).listen(port, () => {
+      console.log(`IBBLA servidor de asistencia en http://localhost:${port} (datos: ${file})`);
+    });
+  }
+}
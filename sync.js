@@ -0,0 +1,141 @@
+/**
+ * IBBLA Asistencia – Fusión de estados por registro
+ *
+ * Compartido por la app (App.jsx), el servidor de referencia (server.js) y el Apps Script
+ * (se pega tal cual, quitando la palabra `export`). JavaScript puro, sin dependencias.
+ */
+
+// Devuelve el registro con updatedAt más reciente (empate: se queda con el primero).
+export function newerRecord(x, y) {
+  if (!x) return y;
+  if (!y) return x;
+  return (y.updatedAt || "") > (x.updatedAt || "") ? y : x;
+}
+
+// El historial se rota: se conservan las entradas más recientes.
+export const HISTORIAL_MAX = 5000;
+
+// Fusiona dos estados registro por registro. Las lápidas (borrados) ganan sobre
+// cualquier versión igual o más antigua del registro borrado.
+export function mergeStates(a, b) {
+  a = JSON.parse(JSON.stringify(a || {}));
+  b = JSON.parse(JSON.stringify(b || {}));
+  const lados = [a, b];
+
+  const borrados = {};
+  for (const s of lados) {
+    for (const [ruta, t] of Object.entries(s.borrados || {})) {
+      if (!borrados[ruta] || t > borrados[ruta]) borrados[ruta] = t;
+    }
+  }
+  const vivo = (ruta, rec) => !borrados[ruta] || (rec?.updatedAt || "") > borrados[ruta];
+
+  // Clases: sus propios campos (nombre, docente…) se resuelven por clase; los alumnos aparte.
+  const porClase = new Map();
+  for (const s of lados) {
+    for (const c of s.clases || []) porClase.set(c.id, newerRecord(porClase.get(c.id), c));
+  }
+  const clases = [];
+  for (const [id, c] of porClase) {
+    if (!vivo(`clase/${id}`, c)) continue;
+    clases.push({ ...c, alumnos: [] });
+  }
+
+  // Alumnos: se indexan por id (no por clase) y gana la versión más reciente, con su clase.
+  const porAlumno = new Map();
+  for (const s of lados) {
+    for (const c of s.clases || []) {
+      for (const al of c.alumnos || []) {
+        const prev = porAlumno.get(al.id);
+        if (!prev || newerRecord(prev.alumno, al) !== prev.alumno) porAlumno.set(al.id, { alumno: al, classId: c.id });
+      }
+    }
+  }
+  for (const { alumno, classId } of porAlumno.values()) {
+    if (!vivo(`alumno/${alumno.id}`, alumno)) continue;
+    const cls = clases.find((c) => c.id === classId);
+    if (cls) cls.alumnos.push(alumno);
+  }
+
+  // Asistencias: cada registro fecha/clase/alumno por separado.
+  const asistencias = {};
+  for (const s of lados) {
+    for (const [f, clasesFecha] of Object.entries(s.asistencias || {})) {
+      for (const [cId, regs] of Object.entries(clasesFecha || {})) {
+        for (const [aId, r] of Object.entries(regs || {})) {
+          const prev = asistencias[f]?.[cId]?.[aId];
+          if (newerRecord(prev, r) !== r) continue;
+          asistencias[f] = asistencias[f] || {};
+          asistencias[f][cId] = asistencias[f][cId] || {};
+          asistencias[f][cId][aId] = r;
+        }
+      }
+    }
+  }
+  for (const [f, clasesFecha] of Object.entries(asistencias)) {
+    for (const [cId, regs] of Object.entries(clasesFecha)) {
+      for (const [aId, r] of Object.entries(regs)) {
+        if (!vivo(`asistencia/${f}/${cId}/${aId}`, r) || !vivo(`alumno/${aId}`, r)) delete regs[aId];
+      }
+    }
+  }
+
+  // Usuarios: por id, como los alumnos.
+  const porUsuario = new Map();
+  for (const s of lados) {
+    for (const u of s.usuarios || []) porUsuario.set(u.id, newerRecord(porUsuario.get(u.id), u));
+  }
+  const usuarios = [...porUsuario.values()].filter((u) => vivo(`usuario/${u.id}`, u));
+
+  // Sesiones suspendidas (feriados, clases canceladas): también por id.
+  const porSuspension = new Map();
+  for (const s of lados) {
+    for (const x of s.suspensiones || []) porSuspension.set(x.id, newerRecord(porSuspension.get(x.id), x));
+  }
+  const suspensiones = [...porSuspension.values()]
+    .filter((x) => vivo(`suspension/${x.id}`, x))
+    .sort((x, y) => (x.fecha || "").localeCompare(y.fecha || ""));
+
+  // Alertas de abandono (lo que se hizo con cada una): por id.
+  const porAlerta = new Map();
+  for (const s of lados) {
+    for (const x of s.alertas || []) porAlerta.set(x.id, newerRecord(porAlerta.get(x.id), x));
+  }
+  // Lo de una persona borrada definitivamente se va con ella (como su asistencia)
+  const alertas = [...porAlerta.values()].filter((x) => vivo(`alerta/${x.id}`, x) && vivo(`alumno/${x.alumnoId}`, x));
+
+  // Seguimiento pastoral: cada caso por id (gana el más reciente), pero los contactos anotados
+  // se suman de ambos lados para que dos docentes puedan anotar a la vez.
+  const porCaso = new Map();
+  const contactosCaso = new Map();
+  for (const s of lados) {
+    for (const c of s.seguimientos || []) {
+      porCaso.set(c.id, newerRecord(porCaso.get(c.id), c));
+      const contactos = contactosCaso.get(c.id) || new Map();
+      for (const k of c.contactos || []) contactos.set(k.id, k);
+      contactosCaso.set(c.id, contactos);
+    }
+  }
+  const seguimientos = [...porCaso.values()]
+    .filter((c) => vivo(`seguimiento/${c.id}`, c) && vivo(`alumno/${c.alumnoId}`, c))
+    .map((c) => ({ ...c, contactos: [...contactosCaso.get(c.id).values()].sort((x, y) => `${x.fecha}${x.at}`.localeCompare(`${y.fecha}${y.at}`)) }));
+
+  // Estados de asistencia: por id (los que se desactivan no se borran). Se conserva el orden
+  // del primer lado y se agregan al final los que solo están en el otro.
+  const porEstado = new Map();
+  for (const s of lados) {
+    for (const e of s.estados || []) porEstado.set(e.id, newerRecord(porEstado.get(e.id), e));
+  }
+  const estados = [...porEstado.values()];
+
+  // Historial de cambios: solo se agrega (unión por id), ordenado por fecha y rotado.
+  const porEntrada = new Map();
+  for (const s of lados) {
+    for (const h of s.historial || []) porEntrada.set(h.id, newerRecord(porEntrada.get(h.id), h));
+  }
+  const historial = [...porEntrada.values()].sort((x, y) => (x.at || "").localeCompare(y.at || "")).slice(-HISTORIAL_MAX);
+
+  const updatedAt = [a.updatedAt, b.updatedAt].filter(Boolean).sort().pop();
+  const resto = (b.updatedAt || "") > (a.updatedAt || "") ? { ...a, ...b } : { ...b, ...a };
+  return { ...resto, version: Math.max(a.version || 1, b.version || 1), updatedAt, clases, asistencias, usuarios, suspensiones, alertas, seguimientos, estados, historial, borrados };
+}
@@ -0,0 +1,91 @@
+/**
+ * IBBLA Asistencia – Teléfonos en formato internacional (E.164)
+ *
+ * Los teléfonos se guardan como "+50688888888": "+", código de país y número, sin espacios.
+ * Lo que se escribe sin "+" se toma como número del país configurado (`ajustes.codigoPais`),
+ * así "8888 8888", "+506 8888-8888" y "506 88888888" quedan iguales.
+ * En pantalla se muestran agrupados ("+506 8888 8888").
+ * JavaScript puro, sin dependencias.
+ */
+
+export const CODIGO_PAIS_DEFECTO = "506";
+
+// Dígitos del número nacional en los países más comunes en la iglesia (el resto se acepta con "+")
+const LONGITUD_NACIONAL = {
+  1: 10, // EE. UU. y Canadá
+  34: 9, // España
+  52: 10, // México
+  57: 10, // Colombia
+  58: 10, // Venezuela
+  502: 8, // Guatemala
+  503: 8, // El Salvador
+  504: 8, // Honduras
+  505: 8, // Nicaragua
+  506: 8, // Costa Rica
+  507: 8, // Panamá
+};
+
+let codigoActual = CODIGO_PAIS_DEFECTO;
+
+export const codigoPaisValido = (codigo) => /^[1-9]\d{0,2}$/.test(String(codigo || ""));
+
+// La app lo fija al cargar el estado (y cuando un admin lo cambia)
+export function setCodigoPais(codigo) {
+  codigoActual = codigoPaisValido(codigo) ? String(codigo) : CODIGO_PAIS_DEFECTO;
+}
+
+export const getCodigoPais = () => codigoActual;
+
+// Código de país al inicio de unos dígitos internacionales (los códigos no son prefijo unos de otros)
+function separarCodigo(digitos) {
+  for (const n of [1, 2, 3]) {
+    if (LONGITUD_NACIONAL[digitos.slice(0, n)]) return [digitos.slice(0, n), digitos.slice(n)];
+  }
+  return null;
+}
+
+/**
+ * Interpreta un teléfono escrito a mano. Devuelve { e164, error }: `e164` vacío si el texto
+ * está vacío o no es válido; `error` es el mensaje para mostrar junto al campo.
+ */
+export function parseTelefono(texto, codigo = codigoActual) {
+  const limpio = String(texto || "").trim();
+  if (!limpio) return { e164: "", error: null };
+  if (/[a-z]/i.test(limpio)) return { e164: "", error: "Tiene letras" };
+  let digitos = limpio.replace(/\D/g, "");
+  let internacional = limpio.startsWith("+");
+  if (!internacional && digitos.startsWith("00")) {
+    digitos = digitos.slice(2);
+    internacional = true;
+  }
+  if (!internacional) {
+    const largo = LONGITUD_NACIONAL[codigo];
+    const nacional = digitos.replace(/^0/, "");
+    if (largo && digitos.length === codigo.length + largo && digitos.startsWith(codigo)) {
+      // ya trae el código de país, solo le faltaba el "+"
+    } else if (!largo || nacional.length === largo) {
+      digitos = codigo + nacional;
+    } else {
+      return { e164: "", error: nacional.length < largo ? `Faltan dígitos (son ${largo})` : `Sobran dígitos (son ${largo})` };
+    }
+  }
+  if (!/^[1-9]\d{7,14}$/.test(digitos)) return { e164: "", error: "Número no válido" };
+  const partes = separarCodigo(digitos);
+  if (partes && partes[1].length !== LONGITUD_NACIONAL[partes[0]]) {
+    return { e164: "", error: `Para +${partes[0]} el número tiene ${LONGITUD_NACIONAL[partes[0]]} dígitos` };
+  }
+  return { e164: `+${digitos}`, error: null };
+}
+
+export const normalizeTelefono = (texto, codigo = codigoActual) => parseTelefono(texto, codigo).e164;
+
+// "+50688888888" → "+506 8888 8888"; lo que no está en E.164 se muestra tal cual
+export function formatTelefono(telefono) {
+  const t = String(telefono || "");
+  if (!/^\+\d{8,15}$/.test(t)) return t;
+  const partes = separarCodigo(t.slice(1));
+  if (!partes) return t;
+  const [codigo, n] = partes;
+  const grupos = n.length % 4 === 0 ? n.match(/.{4}/g) : [n.slice(0, 3), n.slice(3, 6), n.slice(6)];
+  return `+${codigo} ${grupos.join(" ")}`;
+}